@@ -566,6 +566,7 @@ class SplitSnapClient {
     document.getElementById("people-list").textContent = "";
     document.getElementById("people-list").classList.remove("has-people");
     document.getElementById("item-assignment-section").classList.add("hidden");
+    document.getElementById("shares-section").classList.add("hidden");
     document.getElementById("split-results").classList.add("hidden");
     document.getElementById("upi-payment-section").classList.add("hidden");
     document.getElementById("payment-links-section").classList.add("hidden");
@@ -621,11 +622,13 @@ class SplitSnapClient {
       id: Date.now().toString(),
       name: name,
       assignedItems: [],
+      shares: 1,
     };
 
     this.participants.push(person);
     this.renderParticipants();
     this.updateItemAssignments();
+    this.updateShareInputs();
 
     nameInput.value = "";
     nameInput.focus();
@@ -637,6 +640,7 @@ class SplitSnapClient {
     this.participants = this.participants.filter((p) => p.id !== personId);
     this.renderParticipants();
     this.updateItemAssignments();
+    this.updateShareInputs();
     this.showNotification("Person removed");
   }
 
@@ -687,6 +691,56 @@ class SplitSnapClient {
     } else {
       itemSection.classList.add("hidden");
     }
+
+    // Show/hide shares section
+    const sharesSection = document.getElementById("shares-section");
+    if (this.splitMethod === "shares") {
+      sharesSection.classList.remove("hidden");
+      this.updateShareInputs();
+    } else {
+      sharesSection.classList.add("hidden");
+    }
+  }
+
+  updateShareInputs() {
+    if (this.splitMethod !== "shares") {
+      return;
+    }
+
+    const sharesList = document.getElementById("shares-list");
+
+    sharesList.textContent = "";
+    sharesList.appendChild(
+      this.createSafeHTML(
+        this.participants
+          .map(
+            (person) => `
+            <div class="item-assignment-row">
+                <div class="item-info">
+                    <div class="item-name">${this.escapeHtml(person.name)}</div>
+                </div>
+                <div class="item-assignee">
+                    <input type="number" class="assignee-units" min="0" step="0.5"
+                        data-person-id="${person.id}" value="${person.shares}"
+                        aria-label="Shares for ${this.escapeHtml(person.name)}">
+                </div>
+            </div>
+        `
+          )
+          .join("")
+      )
+    );
+
+    sharesList.querySelectorAll("[data-person-id]").forEach((input) => {
+      input.addEventListener("change", (e) => {
+        const person = this.participants.find(
+          (p) => p.id === e.target.dataset.personId
+        );
+        if (person) {
+          person.shares = parseFloat(e.target.value);
+        }
+      });
+    });
   }
 
   updateItemAssignments() {
@@ -701,31 +755,46 @@ class SplitSnapClient {
     const itemsList = document.getElementById("items-assignment-list");
     const items = this.currentReceipt.items;
 
+    // Items with several units are split per unit, single items are shared equally
+    const renderAssignee = (item, index, person) => {
+      const assigned = person.assignedItems.find((i) => i.index === index);
+      const quantity = item.quantity || 1;
+
+      if (quantity > 1) {
+        return `
+                    <label class="assignee-option">
+                        <span>${this.escapeHtml(person.name)}</span>
+                        <input type="number" class="assignee-units" min="0" max="${quantity}" step="1"
+                            data-person-id="${person.id}" value="${assigned ? assigned.units : 0}"
+                            aria-label="Units of ${this.escapeHtml(item.name)} for ${this.escapeHtml(person.name)}">
+                    </label>`;
+      }
+
+      return `
+                    <label class="assignee-option">
+                        <input type="checkbox" class="assignee-check"
+                            data-person-id="${person.id}" ${assigned ? "checked" : ""}>
+                        <span>${this.escapeHtml(person.name)}</span>
+                    </label>`;
+    };
+
     itemsList.textContent = "";
     itemsList.appendChild(
       this.createSafeHTML(
         items
           .map(
             (item, index) => `
-            <div class="item-assignment-row">
+            <div class="item-assignment-row" data-item-index="${index}">
                 <div class="item-info">
                     <div class="item-name">${this.escapeHtml(item.name)}</div>
                     <div class="item-price">₹${
                       item.price ? item.price.toFixed(2) : "0.00"
-                    }</div>
+                    }${(item.quantity || 1) > 1 ? ` × ${item.quantity}` : ""}</div>
                 </div>
                 <div class="item-assignee">
-                    <select class="assignee-select" data-item-index="${index}">
-                        <option value="">Unassigned</option>
-                        ${this.participants
-                          .map(
-                            (person) =>
-                              `<option value="${person.id}">${this.escapeHtml(
-                                person.name
-                              )}</option>`
-                          )
-                          .join("")}
-                    </select>
+                    ${this.participants
+                      .map((person) => renderAssignee(item, index, person))
+                      .join("")}
                 </div>
             </div>
         `
@@ -734,15 +803,14 @@ class SplitSnapClient {
       )
     );
 
-    // Add event listeners to selects
-    itemsList.querySelectorAll(".assignee-select").forEach((select) => {
-      select.addEventListener("change", (e) => this.assignItem(e.target));
+    // Add event listeners to assignee inputs
+    itemsList.querySelectorAll(".item-assignment-row").forEach((row) => {
+      row.addEventListener("change", () => this.assignItem(row));
     });
   }
 
-  assignItem(selectElement) {
-    const itemIndex = parseInt(selectElement.dataset.itemIndex);
-    const personId = selectElement.value;
+  assignItem(rowElement) {
+    const itemIndex = parseInt(rowElement.dataset.itemIndex);
     const item = this.currentReceipt.items[itemIndex];
 
     // Remove item from all participants
@@ -752,17 +820,53 @@ class SplitSnapClient {
       );
     });
 
-    // Assign to selected person
-    if (personId) {
-      const person = this.participants.find((p) => p.id === personId);
-      if (person) {
+    // Assign to every selected person, with units for multi-unit items
+    rowElement.querySelectorAll("[data-person-id]").forEach((input) => {
+      const person = this.participants.find(
+        (p) => p.id === input.dataset.personId
+      );
+      if (!person) return;
+
+      const assignment = {
+        index: itemIndex,
+        name: item.name,
+        price: item.price || 0,
+        quantity: item.quantity || 1,
+      };
+
+      if (input.type === "checkbox" && input.checked) {
+        person.assignedItems.push(assignment);
+      } else if (input.type === "number" && parseInt(input.value) > 0) {
         person.assignedItems.push({
-          index: itemIndex,
-          name: item.name,
-          price: item.price || 0,
+          ...assignment,
+          units: parseInt(input.value),
         });
       }
+    });
+  }
+
+  // Check that every item is assigned exactly once, returns an error message or null
+  validateItemAssignments(claims) {
+    const items = this.currentReceipt.items || [];
+
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
+      const itemClaims = claims[index];
+      const quantity = item.quantity || 1;
+
+      if (itemClaims.length === 0) {
+        return `${item.name} is not assigned to anyone`;
+      }
+
+      if (quantity > 1) {
+        const units = itemClaims.reduce((sum, claim) => sum + claim.units, 0);
+        if (units !== quantity) {
+          return `${item.name} has ${units} of ${quantity} units assigned`;
+        }
+      }
     }
+
+    return null;
   }
 
   async calculateSplit() {
@@ -828,37 +932,123 @@ class SplitSnapClient {
     }
 
     const results = [];
+    const totalInPaise = window.splitMath.toMinorUnits(total);
 
     if (this.splitMethod === "equal") {
-      const perPerson = total / this.participants.length;
-      console.log("Per person amount:", perPerson);
+      const amounts = window.splitMath.splitEqually(
+        totalInPaise,
+        this.participants.length
+      );
+      console.log("Per person amounts (paise):", amounts);
+
+      this.participants.forEach((person, index) => {
+        results.push({
+          name: person.name,
+          amount: window.splitMath.fromMinorUnits(amounts[index]),
+          items: [],
+        });
+      });
+    } else if (this.splitMethod === "shares") {
+      const weights = this.participants.map((person) => person.shares);
 
-      this.participants.forEach((person) => {
+      if (weights.some((weight) => !Number.isFinite(weight) || weight < 0)) {
+        this.showNotification("Shares must be zero or more", "error");
+        return;
+      }
+      if (!weights.some((weight) => weight > 0)) {
+        this.showNotification(
+          "At least one person needs a share greater than zero",
+          "error"
+        );
+        return;
+      }
+
+      const amounts = window.splitMath.allocate(totalInPaise, weights);
+
+      this.participants.forEach((person, index) => {
         results.push({
           name: person.name,
-          amount: perPerson,
+          amount: window.splitMath.fromMinorUnits(amounts[index]),
           items: [],
         });
       });
     } else if (this.splitMethod === "by_items") {
-      const itemsTotal =
-        this.currentReceipt.items?.reduce(
-          (sum, item) => sum + (parseFloat(item.price) || 0),
-          0
-        ) || 0;
-      const taxRatio = itemsTotal > 0 ? total / itemsTotal : 1;
+      const items = this.currentReceipt.items || [];
+      const itemCost = (item) =>
+        window.splitMath.toMinorUnits(
+          (parseFloat(item.price) || 0) * (item.quantity || 1)
+        );
+      const itemsTotal = items.reduce((sum, item) => sum + itemCost(item), 0);
+
+      // Collect who claimed each item
+      const claims = items.map(() => []);
+      this.participants.forEach((person, personIndex) => {
+        person.assignedItems.forEach((assigned) => {
+          claims[assigned.index]?.push({
+            personIndex,
+            ...(assigned.units !== undefined && { units: assigned.units }),
+          });
+        });
+      });
+
+      const validationError = this.validateItemAssignments(claims);
+      if (validationError) {
+        this.showNotification(validationError, "error");
+        return;
+      }
 
-      this.participants.forEach((person) => {
-        const itemsSum = person.assignedItems.reduce(
-          (sum, item) => sum + (parseFloat(item.price) || 0),
+      const subtotals = new Array(this.participants.length).fill(0);
+      items.forEach((item, index) => {
+        const portions = window.splitMath.allocateItem(
+          itemCost(item),
+          claims[index]
+        );
+        claims[index].forEach((claim, claimIndex) => {
+          subtotals[claim.personIndex] += portions[claimIndex];
+        });
+      });
+
+      // Tax and service charge follow each person's share of the items
+      const tax = window.splitMath.toMinorUnits(this.currentReceipt.tax);
+      const serviceCharge = window.splitMath.toMinorUnits(
+        this.currentReceipt.serviceCharge
+      );
+      const charges = {
+        tax: window.splitMath.allocateCharge(tax, "proportional", subtotals),
+        serviceCharge: window.splitMath.allocateCharge(
+          serviceCharge,
+          "proportional",
+          subtotals
+        ),
+        adjustment: window.splitMath.allocateCharge(
+          totalInPaise - itemsTotal - tax - serviceCharge,
+          "proportional",
+          subtotals
+        ),
+      };
+
+      this.participants.forEach((person, index) => {
+        const breakdown = {
+          items: subtotals[index],
+          tax: charges.tax[index],
+          serviceCharge: charges.serviceCharge[index],
+          adjustment: charges.adjustment[index],
+        };
+        const amount = Object.values(breakdown).reduce(
+          (sum, part) => sum + part,
           0
         );
-        const finalAmount = itemsSum * taxRatio;
 
         results.push({
           name: person.name,
-          amount: finalAmount,
+          amount: window.splitMath.fromMinorUnits(amount),
           items: person.assignedItems,
+          breakdown: Object.fromEntries(
+            Object.entries(breakdown).map(([key, part]) => [
+              key,
+              window.splitMath.fromMinorUnits(part),
+            ])
+          ),
         });
       });
     }
@@ -875,6 +1065,27 @@ class SplitSnapClient {
     });
   }
 
+  // Render "items ₹X + tax ₹Y + service ₹Z" for item-based splits
+  formatChargeBreakdown(breakdown) {
+    if (!breakdown) return "";
+
+    const parts = [
+      ["items", breakdown.items],
+      ["tax", breakdown.tax],
+      ["service", breakdown.serviceCharge],
+      ["other", breakdown.adjustment],
+      ["tip", breakdown.tip],
+    ]
+      .filter(([, amount]) => amount)
+      .map(([label, amount]) => `${label} ₹${amount.toFixed(2)}`);
+
+    if (breakdown.discount) {
+      parts.push(`discount −₹${breakdown.discount.toFixed(2)}`);
+    }
+
+    return `<div class="person-breakdown">${parts.join(" + ")}</div>`;
+  }
+
   displaySplitResults(data) {
     const resultsSection = document.getElementById("split-results");
     const breakdown = document.getElementById("split-breakdown");
@@ -916,7 +1127,9 @@ class SplitSnapClient {
       .map(
         (calc) => `
             <div class="person-split">
-                <div class="person-name">${calc.name}</div>
+                <div class="person-name">${calc.name}${this.formatChargeBreakdown(
+                  calc.breakdown
+                )}</div>
                 <div class="person-amount">₹${(calc.amount || 0).toFixed(
                   2
                 )}</div>
@@ -948,19 +1161,26 @@ class SplitSnapClient {
       message += `Total: ₹${total.toFixed(2)}\n\n`;
 
       if (this.splitMethod === "equal") {
-        const perPerson = total / this.participants.length;
+        const amounts = window.splitMath.splitEqually(
+          window.splitMath.toMinorUnits(total),
+          this.participants.length
+        );
         message += `Equal Split (${this.participants.length} people):\n`;
-        this.participants.forEach((person) => {
-          message += `• ${person.name}: ₹${perPerson.toFixed(2)}\n`;
+        this.participants.forEach((person, index) => {
+          const amount = window.splitMath.fromMinorUnits(amounts[index]);
+          message += `• ${person.name}: ₹${amount.toFixed(2)}\n`;
         });
       } else {
-        message += `Item-wise Split:\n`;
-        this.participants.forEach((person) => {
-          const itemsSum = person.assignedItems.reduce(
-            (sum, item) => sum + item.price,
-            0
-          );
-          message += `• ${person.name}: ₹${itemsSum.toFixed(2)}\n`;
+        message +=
+          this.splitMethod === "shares"
+            ? `Split by Shares:\n`
+            : `Item-wise Split:\n`;
+        const calculations = Object.values(
+          this.currentSplit?.calculations || {}
+        );
+        this.participants.forEach((person, index) => {
+          const amount = calculations[index]?.amount || 0;
+          message += `• ${person.name}: ₹${amount.toFixed(2)}\n`;
         });
       }
 
@@ -1578,7 +1798,9 @@ class SplitSnapClient {
       .map(
         (calc) => `
             <div class="person-split">
-                <div class="person-name">${calc.name}</div>
+                <div class="person-name">${calc.name}${this.formatChargeBreakdown(
+                  calc.breakdown
+                )}</div>
                 <div class="person-amount">₹${(calc.amount || 0).toFixed(
                   2
                 )}</div>
@@ -0,0 +1,153 @@
+// Split Math - Paise-exact amount allocation shared by the client and the server
+
+class SplitMath {
+  constructor() {
+    this.strategies = {
+      LARGEST_REMAINDER: "largest_remainder",
+      ROUND_ROBIN: "round_robin",
+    };
+  }
+
+  // Convert a rupee amount to integer paise
+  toMinorUnits(amount) {
+    return Math.round((parseFloat(amount) || 0) * 100);
+  }
+
+  // Convert integer paise back to rupees
+  fromMinorUnits(units) {
+    return units / 100;
+  }
+
+  // Distribute totalMinor across weights so the parts always sum to totalMinor.
+  // options.order lists indices in the order leftover paise are handed out,
+  // options.strategy picks largest remainder (default) or plain round robin.
+  allocate(totalMinor, weights, options = {}) {
+    const count = weights.length;
+    const parts = new Array(count).fill(0);
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+
+    if (count === 0 || weightSum <= 0 || totalMinor === 0) {
+      return parts;
+    }
+
+    const order = this.resolveOrder(count, options.order);
+    const remainders = [];
+    let allocated = 0;
+
+    weights.forEach((weight, index) => {
+      const exact = (totalMinor * weight) / weightSum;
+      parts[index] = Math.floor(exact);
+      remainders[index] = exact - parts[index];
+      allocated += parts[index];
+    });
+
+    let leftover = totalMinor - allocated;
+
+    // Only participants with a non-zero weight may receive leftover paise
+    let recipients = order.filter((index) => weights[index] > 0);
+    if (options.strategy !== this.strategies.ROUND_ROBIN) {
+      recipients = recipients
+        .map((index, rank) => ({ index, rank }))
+        .sort(
+          (a, b) =>
+            remainders[b.index] - remainders[a.index] || a.rank - b.rank
+        )
+        .map((entry) => entry.index);
+    }
+
+    for (let i = 0; leftover > 0; i = (i + 1) % recipients.length) {
+      parts[recipients[i]] += 1;
+      leftover -= 1;
+    }
+
+    return parts;
+  }
+
+  // Allocate the share of totalMinor that the weights cover out of denominator.
+  // Used when some weight is left unassigned (unclaimed items, percentages < 100).
+  allocateProportional(totalMinor, weights, denominator, options = {}) {
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+
+    if (denominator <= 0 || weightSum <= 0) {
+      return new Array(weights.length).fill(0);
+    }
+
+    if (weightSum >= denominator) {
+      const scaledTotal = Math.round((totalMinor * weightSum) / denominator);
+      return this.allocate(scaledTotal, weights, options);
+    }
+
+    // The unassigned bucket takes part in rounding and is then dropped
+    const parts = this.allocate(
+      totalMinor,
+      [...weights, denominator - weightSum],
+      { ...options, order: this.resolveOrder(weights.length, options.order) }
+    );
+    return parts.slice(0, weights.length);
+  }
+
+  // Split totalMinor into equal parts
+  splitEqually(totalMinor, count, options = {}) {
+    return this.allocate(totalMinor, new Array(count).fill(1), options);
+  }
+
+  // Divide one item's cost between its claims. Claims either take whole units
+  // ({ units: 2 } of a quantity-3 item) or a relative weight ({ weight: 0.5 });
+  // a claim with neither counts as one equal share.
+  allocateItem(itemCostMinor, claims, options = {}) {
+    const byUnits = claims.some((claim) => claim.units !== undefined);
+    const weights = claims.map((claim) =>
+      byUnits
+        ? parseFloat(claim.units) || 0
+        : claim.weight !== undefined
+        ? parseFloat(claim.weight) || 0
+        : 1
+    );
+
+    return this.allocate(itemCostMinor, weights, options);
+  }
+
+  // Divide a receipt-level charge (tax, service charge, tip, discount) between
+  // participants. rule is "proportional" (by weights), "equal", or
+  // { assignTo: index } to put the whole charge on one person.
+  allocateCharge(amountMinor, rule, weights, options = {}) {
+    const count = weights.length;
+
+    if (rule && typeof rule === "object" && rule.assignTo !== undefined) {
+      const parts = new Array(count).fill(0);
+      if (rule.assignTo >= 0 && rule.assignTo < count) {
+        parts[rule.assignTo] = amountMinor;
+        return parts;
+      }
+    }
+
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+    if (rule === "equal" || weightSum <= 0) {
+      return this.splitEqually(amountMinor, count, options);
+    }
+
+    return this.allocate(amountMinor, weights, options);
+  }
+
+  // Build a complete index order, appending any indices the caller left out
+  resolveOrder(count, order = null) {
+    const resolved = (order || []).filter(
+      (index, position, list) =>
+        index >= 0 && index < count && list.indexOf(index) === position
+    );
+
+    for (let index = 0; index < count; index++) {
+      if (!resolved.includes(index)) {
+        resolved.push(index);
+      }
+    }
+
+    return resolved;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = new SplitMath();
+} else {
+  window.splitMath = new SplitMath();
+}
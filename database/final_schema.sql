@@ -3,6 +3,13 @@
 
 -- Drop existing tables if they exist (use carefully in production)
 DROP TABLE IF EXISTS public.spending_insights CASCADE;
+DROP TABLE IF EXISTS public.share_access_logs CASCADE;
+DROP TABLE IF EXISTS public.item_claims CASCADE;
+DROP TABLE IF EXISTS public.ocr_corrections CASCADE;
+DROP TABLE IF EXISTS public.split_payments CASCADE;
+DROP TABLE IF EXISTS public.recurring_splits CASCADE;
+DROP TABLE IF EXISTS public.group_members CASCADE;
+DROP TABLE IF EXISTS public.expense_groups CASCADE;
 DROP TABLE IF EXISTS public.receipt_shares CASCADE;
 DROP TABLE IF EXISTS public.currency_rates CASCADE;
 DROP TABLE IF EXISTS public.budgets CASCADE;
@@ -49,11 +56,24 @@ CREATE TABLE public.receipts (
     service_charge NUMERIC(12,2) CHECK (service_charge >= 0) DEFAULT 0,
     total_amount NUMERIC(12,2) CHECK (total_amount >= 0) DEFAULT 0,
     raw_ocr_text TEXT,
-    ocr_method TEXT CHECK (ocr_method IN ('manual', 'ai', 'mobile_app', 'desktop_scan')) DEFAULT 'ai',
+    ocr_method TEXT CHECK (ocr_method IN ('manual', 'ai', 'mobile_app', 'desktop_scan', 'recurring')) DEFAULT 'ai',
     confidence_score NUMERIC(3,2) CHECK (confidence_score BETWEEN 0 AND 1) DEFAULT 0,
+    category_id UUID REFERENCES public.expense_categories(id) ON DELETE SET NULL,
+    transaction_at TIMESTAMP WITH TIME ZONE,
+    invoice_number VARCHAR(50),
+    kot_number VARCHAR(50),
+    table_number VARCHAR(20),
+    merchant_gstin VARCHAR(15),
+    gst_details JSONB,
+    -- Hashes of the uploaded photo: exact bytes, and a perceptual dHash for re-encoded copies
+    image_sha256 CHAR(64),
+    image_phash CHAR(16),
+    duplicate_of UUID REFERENCES public.receipts(id) ON DELETE SET NULL,
     metadata JSONB DEFAULT '{}'::jsonb,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    -- When the spending happened: the date printed on the receipt, else the upload time
+    spent_at TIMESTAMP WITH TIME ZONE GENERATED ALWAYS AS (COALESCE(transaction_at, created_at)) STORED,
     CONSTRAINT valid_total_amount CHECK (total_amount = (subtotal + tax_amount + service_charge))
 );
 
@@ -78,12 +98,17 @@ CREATE TABLE public.split_participants (
     name VARCHAR(100) NOT NULL,
     email VARCHAR(255),
     phone VARCHAR(20),
+    upi_id VARCHAR(100),
+    share_amount NUMERIC(12,2) DEFAULT 0,
+    amount_contributed NUMERIC(12,2) DEFAULT 0,
     amount_owed NUMERIC(12,2) DEFAULT 0,
     amount_paid NUMERIC(12,2) DEFAULT 0,
     items_assigned JSONB DEFAULT '[]'::jsonb,
     payment_status VARCHAR(20) DEFAULT 'pending',
     payment_method VARCHAR(50),
     payment_date TIMESTAMP WITH TIME ZONE,
+    previous_amount_owed NUMERIC(12,2),
+    owed_changed_after_payment BOOLEAN DEFAULT false,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -125,6 +150,15 @@ CREATE TABLE public.receipt_shares (
     message TEXT,
     status VARCHAR(20) DEFAULT 'pending',
     sent_at TIMESTAMP WITH TIME ZONE,
+    -- Share links: only the SHA-256 of the token and a salted scrypt hash of the PIN are stored
+    token_hash CHAR(64) UNIQUE,
+    pin_hash TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    view_count INTEGER DEFAULT 0,
+    last_viewed_at TIMESTAMP WITH TIME ZONE,
+    -- Set when the owner turns an editable link's item claims into a split
+    claims_locked_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -139,9 +173,138 @@ CREATE TABLE public.spending_insights (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- 9. Expense Groups Table
+CREATE TABLE public.expense_groups (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    currency VARCHAR(3) DEFAULT 'INR',
+    created_by UUID REFERENCES public.temp_users(id) DEFAULT '00000000-0000-0000-0000-000000000000',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 10. Group Members Table
+CREATE TABLE public.group_members (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    group_id UUID REFERENCES public.expense_groups(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    email VARCHAR(255),
+    phone VARCHAR(20),
+    upi_id VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 11. Split Payments Table (one row per payment a participant makes)
+CREATE TABLE public.split_payments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    split_id UUID REFERENCES public.bill_splits(id) ON DELETE CASCADE,
+    participant_id UUID REFERENCES public.split_participants(id) ON DELETE CASCADE,
+    amount NUMERIC(12,2) NOT NULL,
+    method VARCHAR(50) DEFAULT 'upi',
+    reference VARCHAR(100),
+    note TEXT,
+    paid_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    voided_at TIMESTAMP WITH TIME ZONE,
+    void_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT positive_payment_amount CHECK (amount > 0)
+);
+
+-- 12. Recurring Splits Table (templates for rent, subscriptions, utilities)
+CREATE TABLE public.recurring_splits (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    merchant_name TEXT,
+    amount NUMERIC(12,2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) DEFAULT 'INR',
+    category_id UUID REFERENCES public.expense_categories(id) ON DELETE SET NULL,
+    split_method VARCHAR(20) NOT NULL DEFAULT 'equal',
+    split_data JSONB DEFAULT '{}'::jsonb,
+    payer_name VARCHAR(100),
+    payee_upi VARCHAR(100),
+    frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('weekly', 'monthly', 'yearly')),
+    interval_count INTEGER NOT NULL DEFAULT 1 CHECK (interval_count > 0),
+    start_date DATE NOT NULL,
+    end_date DATE,
+    next_due_date DATE NOT NULL,
+    last_generated_at TIMESTAMP WITH TIME ZONE,
+    is_active BOOLEAN DEFAULT true,
+    group_id UUID REFERENCES public.expense_groups(id) ON DELETE SET NULL,
+    group_payer_id UUID REFERENCES public.group_members(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES public.temp_users(id) DEFAULT '00000000-0000-0000-0000-000000000000',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 13. OCR Corrections Table (user edits to OCR-read receipts, used as per-merchant parsing hints)
+CREATE TABLE public.ocr_corrections (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    receipt_id UUID REFERENCES public.receipts(id) ON DELETE CASCADE NOT NULL,
+    merchant_name TEXT NOT NULL,
+    merchant_key TEXT NOT NULL,
+    field VARCHAR(20) NOT NULL CHECK (field IN ('merchant_name', 'item_name', 'item_price')),
+    item_name TEXT,
+    item_price NUMERIC(10,2),
+    ocr_value TEXT NOT NULL,
+    corrected_value TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 14. Share Access Logs Table (every attempt to open a share link, allowed or not)
+CREATE TABLE public.share_access_logs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    share_id UUID REFERENCES public.receipt_shares(id) ON DELETE CASCADE NOT NULL,
+    outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('viewed', 'pin_required', 'invalid_pin', 'pin_locked', 'auth_required', 'expired', 'revoked')),
+    ip_address TEXT,
+    user_agent TEXT,
+    user_id UUID,
+    accessed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 15. Item Claims Table (items people say they had, claimed through an editable share link)
+CREATE TABLE public.item_claims (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    share_id UUID REFERENCES public.receipt_shares(id) ON DELETE CASCADE NOT NULL,
+    receipt_id UUID REFERENCES public.receipts(id) ON DELETE CASCADE NOT NULL,
+    item_index INTEGER NOT NULL CHECK (item_index >= 0),
+    item_name TEXT NOT NULL,
+    -- Phone digits when given, otherwise the lower-cased name
+    claimant_key VARCHAR(120) NOT NULL,
+    claimant_name VARCHAR(100) NOT NULL,
+    claimant_phone VARCHAR(20),
+    units NUMERIC(8,2) CHECK (units > 0),
+    shared BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(share_id, item_index, claimant_key)
+);
+
+-- Link splits generated from a recurring template back to it
+ALTER TABLE public.bill_splits ADD COLUMN recurring_split_id UUID REFERENCES public.recurring_splits(id) ON DELETE SET NULL;
+ALTER TABLE public.bill_splits ADD COLUMN recurring_due_date DATE;
+
+-- Link receipts, splits and participants to groups
+ALTER TABLE public.receipts ADD COLUMN group_id UUID REFERENCES public.expense_groups(id) ON DELETE SET NULL;
+ALTER TABLE public.bill_splits ADD COLUMN group_id UUID REFERENCES public.expense_groups(id) ON DELETE SET NULL;
+ALTER TABLE public.split_participants ADD COLUMN group_member_id UUID REFERENCES public.group_members(id) ON DELETE SET NULL;
+
+-- Payment reminders: how and how often an unpaid participant has been chased,
+-- and the reminder each receipt_shares row records
+ALTER TABLE public.split_participants ADD COLUMN reminder_channel VARCHAR(20) CHECK (reminder_channel IN ('email', 'whatsapp', 'sms'));
+ALTER TABLE public.split_participants ADD COLUMN reminder_count INTEGER DEFAULT 0;
+ALTER TABLE public.split_participants ADD COLUMN last_reminded_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.split_participants ADD COLUMN reminders_snoozed_until TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.split_participants ADD COLUMN reminders_opted_out_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.receipt_shares ADD COLUMN participant_id UUID REFERENCES public.split_participants(id) ON DELETE CASCADE;
+
 -- Create Performance Indexes
 CREATE INDEX idx_receipts_user_id ON public.receipts(user_id);
 CREATE INDEX idx_receipts_created_at ON public.receipts(created_at DESC);
+CREATE INDEX idx_receipts_spent_at ON public.receipts(spent_at DESC);
+CREATE INDEX idx_receipts_invoice_number ON public.receipts(invoice_number) WHERE invoice_number IS NOT NULL;
+CREATE INDEX idx_receipts_image_sha256 ON public.receipts(image_sha256) WHERE image_sha256 IS NOT NULL;
+CREATE INDEX idx_receipts_duplicate_of ON public.receipts(duplicate_of) WHERE duplicate_of IS NOT NULL;
+CREATE INDEX idx_receipts_merchant_gstin ON public.receipts(merchant_gstin) WHERE merchant_gstin IS NOT NULL;
 CREATE INDEX idx_receipts_merchant_name ON public.receipts(merchant_name);
 CREATE INDEX idx_receipts_total_amount ON public.receipts(total_amount);
 CREATE INDEX idx_receipts_merchant_name_search ON public.receipts USING gin(to_tsvector('english', merchant_name));
@@ -149,6 +312,24 @@ CREATE INDEX idx_bill_splits_receipt_id ON public.bill_splits(receipt_id);
 CREATE INDEX idx_split_participants_split_id ON public.split_participants(split_id);
 CREATE INDEX idx_budgets_category_id ON public.budgets(category_id);
 CREATE INDEX idx_currency_rates_date ON public.currency_rates(date DESC);
+CREATE INDEX idx_group_members_group_id ON public.group_members(group_id);
+CREATE INDEX idx_bill_splits_group_id ON public.bill_splits(group_id);
+CREATE INDEX idx_bill_splits_created_by ON public.bill_splits(created_by);
+CREATE INDEX idx_bill_splits_status ON public.bill_splits(status);
+CREATE INDEX idx_split_participants_name ON public.split_participants(name);
+CREATE INDEX idx_split_participants_email ON public.split_participants(email);
+CREATE INDEX idx_split_payments_participant_id ON public.split_payments(participant_id);
+CREATE INDEX idx_split_payments_split_id ON public.split_payments(split_id);
+CREATE INDEX idx_receipts_category_id ON public.receipts(category_id);
+CREATE INDEX idx_recurring_splits_next_due_date ON public.recurring_splits(next_due_date) WHERE is_active;
+CREATE INDEX idx_ocr_corrections_merchant_key ON public.ocr_corrections(merchant_key);
+CREATE INDEX idx_ocr_corrections_created_at ON public.ocr_corrections(created_at DESC);
+CREATE INDEX idx_receipt_shares_receipt_id ON public.receipt_shares(receipt_id);
+CREATE INDEX idx_receipt_shares_participant_id ON public.receipt_shares(participant_id) WHERE participant_id IS NOT NULL;
+CREATE INDEX idx_split_participants_unpaid ON public.split_participants(payment_status) WHERE reminders_opted_out_at IS NULL;
+CREATE INDEX idx_item_claims_share_id ON public.item_claims(share_id);
+CREATE INDEX idx_share_access_logs_share_id ON public.share_access_logs(share_id, accessed_at DESC);
+CREATE UNIQUE INDEX idx_bill_splits_recurring_occurrence ON public.bill_splits(recurring_split_id, recurring_due_date);
 
 -- Enable Row Level Security (RLS)
 ALTER TABLE public.receipts ENABLE ROW LEVEL SECURITY;
@@ -160,6 +341,13 @@ ALTER TABLE public.currency_rates ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.receipt_shares ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.spending_insights ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.temp_users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.expense_groups ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.group_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.split_payments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.recurring_splits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.ocr_corrections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.share_access_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.item_claims ENABLE ROW LEVEL SECURITY;
 
 -- Permissive Policies for Development (replace with proper RLS in production)
 CREATE POLICY "Allow all operations" ON public.receipts FOR ALL USING (true) WITH CHECK (true);
@@ -171,6 +359,13 @@ CREATE POLICY "Allow all operations" ON public.currency_rates FOR ALL USING (tru
 CREATE POLICY "Allow all operations" ON public.receipt_shares FOR ALL USING (true) WITH CHECK (true);
 CREATE POLICY "Allow all operations" ON public.spending_insights FOR ALL USING (true) WITH CHECK (true);
 CREATE POLICY "Allow all operations" ON public.temp_users FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Allow all operations" ON public.expense_groups FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Allow all operations" ON public.group_members FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Allow all operations" ON public.split_payments FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Allow all operations" ON public.recurring_splits FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Allow all operations" ON public.ocr_corrections FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Allow all operations" ON public.share_access_logs FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Allow all operations" ON public.item_claims FOR ALL USING (true) WITH CHECK (true);
 
 -- Grant Permissions
 GRANT ALL ON ALL TABLES IN SCHEMA public TO anon, authenticated, service_role;
@@ -193,6 +388,54 @@ CREATE TRIGGER update_bill_splits_updated_at
     BEFORE UPDATE ON public.bill_splits 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_expense_groups_updated_at 
+    BEFORE UPDATE ON public.expense_groups 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_recurring_splits_updated_at 
+    BEFORE UPDATE ON public.recurring_splits 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Keep a participant's amount_paid and payment_status in step with their payments
+CREATE OR REPLACE FUNCTION refresh_participant_payments()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_participant_id UUID := COALESCE(NEW.participant_id, OLD.participant_id);
+    v_paid NUMERIC(12,2);
+    v_method VARCHAR(50);
+    v_paid_at TIMESTAMP WITH TIME ZONE;
+BEGIN
+    SELECT COALESCE(SUM(amount), 0) INTO v_paid
+    FROM public.split_payments
+    WHERE participant_id = v_participant_id AND voided_at IS NULL;
+
+    SELECT method, paid_at INTO v_method, v_paid_at
+    FROM public.split_payments
+    WHERE participant_id = v_participant_id AND voided_at IS NULL
+    ORDER BY paid_at DESC
+    LIMIT 1;
+
+    UPDATE public.split_participants SET
+        amount_paid = v_paid,
+        payment_method = v_method,
+        payment_date = v_paid_at,
+        payment_status = CASE
+            WHEN payment_status = 'waived' THEN 'waived'
+            WHEN amount_owed <= 0 THEN 'paid'
+            WHEN v_paid <= 0 THEN 'pending'
+            WHEN v_paid >= amount_owed THEN 'paid'
+            ELSE 'partially_paid'
+        END
+    WHERE id = v_participant_id;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER refresh_participant_payments_on_change
+    AFTER INSERT OR UPDATE OR DELETE ON public.split_payments
+    FOR EACH ROW EXECUTE FUNCTION refresh_participant_payments();
+
 -- Insert Default Expense Categories
 INSERT INTO public.expense_categories (name, description, color, icon, keywords) VALUES
 ('Food & Dining', 'Restaurants, cafes, food delivery', '#EF4444', 'utensils', ARRAY['restaurant', 'cafe', 'food', 'dining', 'meal', 'lunch', 'dinner', 'breakfast']),
@@ -252,4 +495,202 @@ BEGIN
 
     RETURN v_receipt_id;
 END;
-$$;
\ No newline at end of file
+$$;
+
+-- Create a bill split and its participants in one transaction
+CREATE OR REPLACE FUNCTION create_bill_split(
+    p_split JSONB,
+    p_participants JSONB
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_split_id UUID;
+BEGIN
+    IF jsonb_typeof(p_participants) != 'array' OR jsonb_array_length(p_participants) = 0 THEN
+        RAISE EXCEPTION 'A split needs at least one participant';
+    END IF;
+
+    INSERT INTO public.bill_splits (
+        receipt_id, split_name, split_method, total_people, split_data, created_by,
+        recurring_split_id, recurring_due_date
+    ) VALUES (
+        (p_split->>'receipt_id')::UUID,
+        p_split->>'split_name',
+        p_split->>'split_method',
+        (p_split->>'total_people')::INTEGER,
+        COALESCE(p_split->'split_data', '{}'::jsonb),
+        COALESCE((p_split->>'created_by')::UUID, '00000000-0000-0000-0000-000000000000'),
+        (p_split->>'recurring_split_id')::UUID,
+        (p_split->>'recurring_due_date')::DATE
+    )
+    RETURNING id INTO v_split_id;
+
+    INSERT INTO public.split_participants (
+        split_id, name, email, phone, upi_id, amount_contributed,
+        share_amount, amount_owed, items_assigned
+    )
+    SELECT
+        v_split_id,
+        p->>'name',
+        p->>'email',
+        p->>'phone',
+        p->>'upi_id',
+        COALESCE((p->>'amount_contributed')::NUMERIC, 0),
+        COALESCE((p->>'share_amount')::NUMERIC, 0),
+        COALESCE((p->>'amount_owed')::NUMERIC, 0),
+        COALESCE(p->'items_assigned', '[]'::jsonb)
+    FROM jsonb_array_elements(p_participants) AS p;
+
+    RETURN v_split_id;
+END;
+$$;
+
+-- Update a bill split and replace its participant list in one transaction.
+-- Participants with an id are updated in place (keeping their payments),
+-- participants without one are inserted and missing ones are removed.
+CREATE OR REPLACE FUNCTION update_bill_split(
+    p_split_id UUID,
+    p_split JSONB,
+    p_participants JSONB
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    IF jsonb_typeof(p_participants) != 'array' OR jsonb_array_length(p_participants) = 0 THEN
+        RAISE EXCEPTION 'A split needs at least one participant';
+    END IF;
+
+    UPDATE public.bill_splits SET
+        split_name = p_split->>'split_name',
+        split_method = p_split->>'split_method',
+        total_people = (p_split->>'total_people')::INTEGER,
+        split_data = COALESCE(p_split->'split_data', '{}'::jsonb)
+    WHERE id = p_split_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Split % not found', p_split_id;
+    END IF;
+
+    DELETE FROM public.split_participants
+    WHERE split_id = p_split_id
+      AND id NOT IN (
+          SELECT (p->>'id')::UUID
+          FROM jsonb_array_elements(p_participants) AS p
+          WHERE p ? 'id'
+      );
+
+    UPDATE public.split_participants AS sp SET
+        name = p->>'name',
+        email = p->>'email',
+        phone = p->>'phone',
+        upi_id = p->>'upi_id',
+        amount_contributed = COALESCE((p->>'amount_contributed')::NUMERIC, 0),
+        share_amount = COALESCE((p->>'share_amount')::NUMERIC, 0),
+        amount_owed = COALESCE((p->>'amount_owed')::NUMERIC, 0),
+        items_assigned = COALESCE(p->'items_assigned', '[]'::jsonb),
+        payment_status = COALESCE(p->>'payment_status', sp.payment_status),
+        previous_amount_owed = COALESCE((p->>'previous_amount_owed')::NUMERIC, sp.previous_amount_owed),
+        owed_changed_after_payment = COALESCE((p->>'owed_changed_after_payment')::BOOLEAN, sp.owed_changed_after_payment)
+    FROM jsonb_array_elements(p_participants) AS p
+    WHERE p ? 'id'
+      AND sp.id = (p->>'id')::UUID
+      AND sp.split_id = p_split_id;
+
+    INSERT INTO public.split_participants (
+        split_id, name, email, phone, upi_id, amount_contributed,
+        share_amount, amount_owed, items_assigned
+    )
+    SELECT
+        p_split_id,
+        p->>'name',
+        p->>'email',
+        p->>'phone',
+        p->>'upi_id',
+        COALESCE((p->>'amount_contributed')::NUMERIC, 0),
+        COALESCE((p->>'share_amount')::NUMERIC, 0),
+        COALESCE((p->>'amount_owed')::NUMERIC, 0),
+        COALESCE(p->'items_assigned', '[]'::jsonb)
+    FROM jsonb_array_elements(p_participants) AS p
+    WHERE NOT p ? 'id';
+
+    RETURN p_split_id;
+END;
+$$;
+
+-- Log an attempt to open a share link; successful views also bump the share's view count
+CREATE OR REPLACE FUNCTION record_share_access(
+    p_share_id UUID,
+    p_outcome TEXT,
+    p_ip_address TEXT DEFAULT NULL,
+    p_user_agent TEXT DEFAULT NULL,
+    p_user_id UUID DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_view_count INTEGER;
+BEGIN
+    INSERT INTO public.share_access_logs (share_id, outcome, ip_address, user_agent, user_id)
+    VALUES (p_share_id, p_outcome, p_ip_address, p_user_agent, p_user_id);
+
+    IF p_outcome = 'viewed' THEN
+        UPDATE public.receipt_shares
+        SET view_count = view_count + 1,
+            last_viewed_at = NOW()
+        WHERE id = p_share_id
+        RETURNING view_count INTO v_view_count;
+    ELSE
+        SELECT view_count INTO v_view_count
+        FROM public.receipt_shares
+        WHERE id = p_share_id;
+    END IF;
+
+    RETURN v_view_count;
+END;
+$$;
+
+-- Replace one claimant's item claims on a share link in one transaction,
+-- so a failed insert can't leave their earlier claims deleted
+CREATE OR REPLACE FUNCTION replace_item_claims(
+    p_share_id UUID,
+    p_claimant_key TEXT,
+    p_claims JSONB
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    DELETE FROM public.item_claims
+    WHERE share_id = p_share_id
+      AND claimant_key = p_claimant_key;
+
+    INSERT INTO public.item_claims (
+        share_id, receipt_id, item_index, item_name, claimant_key,
+        claimant_name, claimant_phone, units, shared
+    )
+    SELECT
+        p_share_id,
+        (c->>'receipt_id')::UUID,
+        (c->>'item_index')::INTEGER,
+        c->>'item_name',
+        p_claimant_key,
+        c->>'claimant_name',
+        c->>'claimant_phone',
+        (c->>'units')::NUMERIC,
+        COALESCE((c->>'shared')::BOOLEAN, false)
+    FROM jsonb_array_elements(COALESCE(p_claims, '[]'::jsonb)) AS c;
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$;
@@ -15,6 +15,15 @@ const analyticsService = require('./services/analyticsService');
 const currencyService = require('./services/currencyService');
 const sharingService = require('./services/sharingService');
 const upiService = require('./services/upiService');
+const groupService = require('./services/groupService');
+const recurringSplitService = require('./services/recurringSplitService');
+const receiptService = require('./services/receiptService');
+const ocrLearningService = require('./services/ocrLearningService');
+const gstReportService = require('./services/gstReportService');
+const ocrJobService = require('./services/ocrJobService');
+const sharePageService = require('./services/sharePageService');
+const itemClaimService = require('./services/itemClaimService');
+const paymentReminderService = require('./services/paymentReminderService');
 
 const app = express();
 const PORT = process.env.PORT || 3003;
@@ -110,108 +119,766 @@ app.post('/api/ocr/process', upload.single('image'), async (req, res) => {
             });
         }
 
-        // Process image with OCR
-        const ocrResult = await ocrService.processImage(req.file.buffer, {
-            filename: req.file.originalname,
-            mimetype: req.file.mimetype,
-            source: req.body.source
+        // Process image with OCR, categorize and save. Identical images return
+        // the earlier result unless force=true is sent with the upload.
+        const result = await ocrJobService.processReceiptUpload(req.file, req.body.source, {
+            force: req.body.force === 'true'
+        });
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('OCR processing error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+// Queue an image for background OCR; poll the job or follow its event stream
+app.post('/api/ocr/jobs', upload.single('image'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'No image file provided'
+            });
+        }
+
+        const job = ocrJobService.createJob(req.file, req.body.source, {
+            force: req.body.force === 'true'
+        });
+
+        res.status(202).json({
+            success: true,
+            data: {
+                ...job,
+                statusUrl: `/api/ocr/jobs/${job.id}`,
+                eventsUrl: `/api/ocr/jobs/${job.id}/events`
+            }
+        });
+    } catch (error) {
+        console.error('Create OCR job error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to queue OCR job'
+        });
+    }
+});
+
+// Get OCR job status, progress and (when completed) the receipt data
+app.get('/api/ocr/jobs/:id', (req, res) => {
+    const job = ocrJobService.getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'OCR job not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: job
+    });
+});
+
+// Stream OCR job updates as server-sent events until the job finishes
+app.get('/api/ocr/jobs/:id/events', (req, res) => {
+    const job = ocrJobService.getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'OCR job not found'
+        });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+
+    const send = update => {
+        res.write(`event: ${update.finished ? update.status : 'progress'}\ndata: ${JSON.stringify(update)}\n\n`);
+    };
+
+    const onUpdate = update => {
+        if (update.id !== job.id) return;
+        send(update);
+        if (update.finished) close();
+    };
+
+    const close = () => {
+        ocrJobService.off('update', onUpdate);
+        res.end();
+    };
+
+    send(job);
+    if (job.finished) return res.end();
+
+    ocrJobService.on('update', onUpdate);
+    req.on('close', () => ocrJobService.off('update', onUpdate));
+});
+
+// Cancel a queued or running OCR job
+app.delete('/api/ocr/jobs/:id', (req, res) => {
+    const result = ocrJobService.cancelJob(req.params.id);
+
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(result.notFound ? 404 : 409).json({
+            success: false,
+            error: result.error
+        });
+    }
+});
+
+// Parsing hints learned from corrections to OCR results
+app.get('/api/ocr/hints', async (req, res) => {
+    try {
+        const result = await ocrLearningService.getHintsSummary();
+        res.json(result);
+    } catch (error) {
+        console.error('Get OCR hints error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to get OCR hints'
+        });
+    }
+});
+
+// Per-variant OCR timings and win rates, for pruning preprocessing variants
+app.get('/api/ocr/metrics', (req, res) => {
+    res.json({
+        success: true,
+        data: ocrService.getVariantMetrics()
+    });
+});
+
+// Get receipt history
+app.get('/api/receipts', async (req, res) => {
+    try {
+        const { startDate, endDate, category, limit } = req.query;
+        const receipts = await supabaseService.getReceiptHistory({
+            startDate,
+            endDate,
+            category,
+            limit: parseInt(limit) || 50
+        });
+        res.json({
+            success: true,
+            data: receipts
+        });
+    } catch (error) {
+        console.error('Get receipts error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch receipts'
+        });
+    }
+});
+
+// Create a receipt by hand (no image), e.g. a cash expense without a slip
+app.post('/api/receipts', async (req, res) => {
+    try {
+        const result = await receiptService.createManualReceipt(req.body);
+
+        if (result.success) {
+            res.status(201).json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('Create receipt error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to create receipt'
+        });
+    }
+});
+
+// Get single receipt
+app.get('/api/receipts/:id', async (req, res) => {
+    try {
+        const receipt = await supabaseService.getReceiptById(req.params.id);
+        res.json({
+            success: true,
+            data: receipt
+        });
+    } catch (error) {
+        console.error('Get receipt error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch receipt'
+        });
+    }
+});
+
+// Replace a receipt's details and items
+app.put('/api/receipts/:id', async (req, res) => {
+    try {
+        const result = await receiptService.updateReceipt(req.params.id, req.body, { replace: true });
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('Replace receipt error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to update receipt'
+        });
+    }
+});
+
+// Correct a receipt: edit fields, add/remove/update items
+app.patch('/api/receipts/:id', async (req, res) => {
+    try {
+        const result = await receiptService.updateReceipt(req.params.id, req.body);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('Update receipt error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to update receipt'
+        });
+    }
+});
+
+// Delete a receipt and its splits
+app.delete('/api/receipts/:id', async (req, res) => {
+    try {
+        const result = await receiptService.deleteReceipt(req.params.id, { force: req.query.force === 'true' });
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('Delete receipt error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to delete receipt'
+        });
+    }
+});
+
+// === BILL SPLITTING ENDPOINTS ===
+
+// Create bill split
+app.post('/api/splits', async (req, res) => {
+    try {
+        const { receiptId, splitData } = req.body;
+        const result = await billSplitService.createSplit(receiptId, splitData);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('Create split error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to create split'
+        });
+    }
+});
+
+// Validate a split and preview amounts without saving
+app.post('/api/splits/validate', async (req, res) => {
+    try {
+        const { receiptId, splitData } = req.body;
+        const result = await billSplitService.validateSplit(receiptId, splitData || {});
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('Validate split error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to validate split'
+        });
+    }
+});
+
+// Get split details
+app.get('/api/splits/:id', async (req, res) => {
+    try {
+        const result = await billSplitService.getSplit(req.params.id);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error('Get split error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to get split'
+        });
+    }
+});
+
+// Edit split
+app.patch('/api/splits/:id', async (req, res) => {
+    try {
+        const result = await billSplitService.updateSplit(req.params.id, req.body);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('Update split error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to update split'
+        });
+    }
+});
+
+// Mark a participant paid, unpaid or waived
+app.patch('/api/splits/participants/:participantId/payment', async (req, res) => {
+    try {
+        const { status, paymentMethod } = req.body;
+        const result = await billSplitService.updatePaymentStatus(
+            req.params.participantId,
+            status,
+            paymentMethod
+        );
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('Update payment error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to update payment'
+        });
+    }
+});
+
+// Record a full or partial payment
+app.post('/api/splits/participants/:participantId/payments', async (req, res) => {
+    try {
+        const result = await billSplitService.recordPayment(req.params.participantId, req.body);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('Record payment error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to record payment'
+        });
+    }
+});
+
+// Get a participant's payment history
+app.get('/api/splits/participants/:participantId/payments', async (req, res) => {
+    try {
+        const result = await billSplitService.getPaymentHistory(req.params.participantId);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error('Get payment history error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to get payment history'
+        });
+    }
+});
+
+// Void a recorded payment
+app.post('/api/splits/payments/:paymentId/void', async (req, res) => {
+    try {
+        const result = await billSplitService.voidPayment(req.params.paymentId, req.body.reason);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('Void payment error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to void payment'
+        });
+    }
+});
+
+// Get what is still outstanding on a split
+app.get('/api/splits/:id/balance', async (req, res) => {
+    try {
+        const result = await billSplitService.getSplitBalance(req.params.id);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error('Get split balance error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to get split balance'
+        });
+    }
+});
+
+// Generate UPI payments toward the participants who paid the bill
+app.post('/api/splits/:id/payments', async (req, res) => {
+    try {
+        const { payerUPI } = req.body;
+        const result = await billSplitService.generateSplitPayments(req.params.id, payerUPI);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('Generate split payments error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to generate split payments'
+        });
+    }
+});
+
+// Get user splits
+app.get('/api/users/:userId/splits', async (req, res) => {
+    try {
+        const { role, status, startDate, endDate, outstanding, page, limit } = req.query;
+        const result = await billSplitService.getUserSplits(req.params.userId, {
+            role,
+            status,
+            startDate,
+            endDate,
+            outstandingOnly: outstanding === 'true',
+            page,
+            limit
+        });
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('Get user splits error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to get user splits'
+        });
+    }
+});
+
+// === GROUP ENDPOINTS ===
+
+// Create group
+app.post('/api/groups', async (req, res) => {
+    try {
+        const result = await groupService.createGroup(req.body);
+
+        if (result.success) {
+            res.status(201).json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('Create group error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to create group'
+        });
+    }
+});
+
+// Get group details
+app.get('/api/groups/:id', async (req, res) => {
+    try {
+        const result = await groupService.getGroup(req.params.id);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error('Get group error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to get group'
+        });
+    }
+});
+
+// Add group members
+app.post('/api/groups/:id/members', async (req, res) => {
+    try {
+        const { members } = req.body;
+        const result = await groupService.addMembers(req.params.id, members || []);
+
+        if (result.success) {
+            res.status(201).json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('Add group members error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to add group members'
+        });
+    }
+});
+
+// Add split to group
+app.post('/api/groups/:id/splits', async (req, res) => {
+    try {
+        const { splitId, paidBy } = req.body;
+        const result = await groupService.addSplitToGroup(req.params.id, splitId, paidBy);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('Add group split error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to add split to group'
+        });
+    }
+});
+
+// Get group balances
+app.get('/api/groups/:id/balances', async (req, res) => {
+    try {
+        const result = await groupService.calculateBalances(req.params.id);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error('Get group balances error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to get group balances'
+        });
+    }
+});
+
+// Get simplified settle-up plan with UPI payments
+app.get('/api/groups/:id/settle-up', async (req, res) => {
+    try {
+        const result = await groupService.getSettlementPlan(req.params.id);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
+        }
+    } catch (error) {
+        console.error('Get settle-up plan error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to get settle-up plan'
+        });
+    }
+});
+
+// === RECURRING SPLIT ENDPOINTS ===
+
+// Create a recurring split (rent, subscriptions, utilities)
+app.post('/api/recurring-splits', async (req, res) => {
+    try {
+        const result = await recurringSplitService.createRecurringSplit(req.body);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('Create recurring split error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to create recurring split'
+        });
+    }
+});
+
+// List recurring splits
+app.get('/api/recurring-splits', async (req, res) => {
+    try {
+        const { active, groupId } = req.query;
+        const result = await recurringSplitService.getRecurringSplits({
+            active: active === undefined ? undefined : active === 'true',
+            groupId
+        });
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('Get recurring splits error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to get recurring splits'
+        });
+    }
+});
+
+// Generate splits for every recurring split that is due
+app.post('/api/recurring-splits/process', async (req, res) => {
+    try {
+        const result = await recurringSplitService.processDueSplits(req.body.asOf ? new Date(req.body.asOf) : new Date());
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('Process recurring splits error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to process recurring splits'
         });
+    }
+});
 
-        if (!ocrResult.success) {
-            return res.status(500).json({
-                success: false,
-                error: ocrResult.error || 'OCR processing failed'
-            });
-        }
+// Get a recurring split and the splits generated from it
+app.get('/api/recurring-splits/:id', async (req, res) => {
+    try {
+        const result = await recurringSplitService.getRecurringSplit(req.params.id);
 
-        // Auto-categorize the receipt
-        const categoryResult = await categoryService.categorizeReceipt(ocrResult.data);
-        ocrResult.data.categoryId = categoryResult.category.id;
-        ocrResult.data.categoryName = categoryResult.category.name;
-        ocrResult.data.categoryConfidence = categoryResult.confidence;
-
-        // Save to Supabase with enhanced data
-        try {
-            const savedReceipt = await supabaseService.saveReceiptData({
-                ocrData: ocrResult.data,
-                metadata: {
-                    source: req.body.source,
-                    filename: req.file.originalname,
-                    fileSize: req.file.size,
-                    processedAt: new Date().toISOString()
-                }
-            });
-            ocrResult.data.receiptId = savedReceipt.id;
-        } catch (dbError) {
-            console.warn('Failed to save to database:', dbError.message);
-            // Continue without failing the request
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(404).json(result);
         }
-
-        res.json({
-            success: true,
-            data: {
-                ...ocrResult.data,
-                category: categoryResult.category,
-                categoryConfidence: categoryResult.confidence
-            }
+    } catch (error) {
+        console.error('Get recurring split error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to get recurring split'
         });
+    }
+});
 
+// Update, pause or resume a recurring split
+app.patch('/api/recurring-splits/:id', async (req, res) => {
+    try {
+        const result = await recurringSplitService.updateRecurringSplit(req.params.id, req.body);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
     } catch (error) {
-        console.error('OCR processing error:', error);
+        console.error('Update recurring split error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Internal server error'
+            error: error.message || 'Failed to update recurring split'
         });
     }
 });
 
-// Get receipt history
-app.get('/api/receipts', async (req, res) => {
+// Delete a recurring split
+app.delete('/api/recurring-splits/:id', async (req, res) => {
     try {
-        const { startDate, endDate, category, limit } = req.query;
-        const receipts = await supabaseService.getReceiptHistory({
-            startDate,
-            endDate,
-            category,
-            limit: parseInt(limit) || 50
-        });
-        res.json({
-            success: true,
-            data: receipts
-        });
+        const result = await recurringSplitService.deleteRecurringSplit(req.params.id);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
     } catch (error) {
-        console.error('Get receipts error:', error);
+        console.error('Delete recurring split error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to fetch receipts'
+            error: error.message || 'Failed to delete recurring split'
         });
     }
 });
 
-// Get single receipt
-app.get('/api/receipts/:id', async (req, res) => {
+// === PAYMENT REMINDER ENDPOINTS ===
+
+// Send the payment reminders that are due (dryRun lists them without sending)
+app.post('/api/reminders/process', async (req, res) => {
     try {
-        const receipt = await supabaseService.getReceiptById(req.params.id);
-        res.json({
-            success: true,
-            data: receipt
+        const { asOf, dryRun, ignoreQuietHours, payeeUPI, payeeName } = req.body;
+        const result = await paymentReminderService.processDueReminders(asOf ? new Date(asOf) : new Date(), {
+            dryRun: dryRun === true,
+            ignoreQuietHours: ignoreQuietHours === true,
+            payeeUPI,
+            payeeName
         });
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
     } catch (error) {
-        console.error('Get receipt error:', error);
+        console.error('Process reminders error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to fetch receipt'
+            error: error.message || 'Failed to process payment reminders'
         });
     }
 });
 
-// === BILL SPLITTING ENDPOINTS ===
-
-// Create bill split
-app.post('/api/splits', async (req, res) => {
+// WhatsApp reminders waiting for the owner to send
+app.get('/api/reminders/queue', async (req, res) => {
     try {
-        const { receiptId, splitData } = req.body;
-        const result = await billSplitService.createSplit(receiptId, splitData);
+        const result = await paymentReminderService.getReminderQueue(parseInt(req.query.limit) || 50);
 
         if (result.success) {
             res.json(result);
@@ -219,72 +886,73 @@ app.post('/api/splits', async (req, res) => {
             res.status(400).json(result);
         }
     } catch (error) {
-        console.error('Create split error:', error);
+        console.error('Get reminder queue error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to create split'
+            error: error.message || 'Failed to get reminder queue'
         });
     }
 });
 
-// Get split details
-app.get('/api/splits/:id', async (req, res) => {
+// Mark a queued reminder as sent, or drop it with { sent: false }
+app.post('/api/reminders/:shareId/complete', async (req, res) => {
     try {
-        const result = await billSplitService.getSplit(req.params.id);
+        const result = await paymentReminderService.completeQueuedReminder(req.params.shareId, req.body.sent !== false);
 
         if (result.success) {
             res.json(result);
         } else {
-            res.status(404).json(result);
+            res.status(400).json(result);
         }
     } catch (error) {
-        console.error('Get split error:', error);
+        console.error('Complete reminder error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to get split'
+            error: error.message || 'Failed to update reminder'
         });
     }
 });
 
-// Update payment status
-app.patch('/api/splits/participants/:participantId/payment', async (req, res) => {
+// Get a participant's reminder settings and the reminders sent so far
+app.get('/api/splits/participants/:participantId/reminders', async (req, res) => {
     try {
-        const { status, paymentMethod } = req.body;
-        const result = await billSplitService.updatePaymentStatus(
-            req.params.participantId,
-            status,
-            paymentMethod
-        );
+        const result = await paymentReminderService.getParticipantReminders(req.params.participantId);
 
         if (result.success) {
             res.json(result);
         } else {
-            res.status(400).json(result);
+            res.status(result.code === 'PARTICIPANT_NOT_FOUND' ? 404 : 400).json(result);
         }
     } catch (error) {
-        console.error('Update payment error:', error);
+        console.error('Get participant reminders error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to update payment'
+            error: error.message || 'Failed to get reminders'
         });
     }
 });
 
-// Get user splits
-app.get('/api/users/:userId/splits', async (req, res) => {
+// Snooze, opt out of or change the channel for a participant's reminders
+app.patch('/api/splits/participants/:participantId/reminders', async (req, res) => {
     try {
-        const result = await billSplitService.getUserSplits(req.params.userId);
+        const { optOut, snoozeDays, snoozeUntil, channel } = req.body;
+        const result = await paymentReminderService.updateReminderSettings(req.params.participantId, {
+            optOut,
+            snoozeDays,
+            snoozeUntil,
+            channel
+        });
 
         if (result.success) {
             res.json(result);
         } else {
-            res.status(400).json(result);
+            res.status(result.code === 'PARTICIPANT_NOT_FOUND' ? 404 : 400).json(result);
         }
     } catch (error) {
-        console.error('Get user splits error:', error);
+        console.error('Update reminder settings error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to get user splits'
+            error: error.message || 'Failed to update reminder settings'
         });
     }
 });
@@ -392,6 +1060,35 @@ app.get('/api/analytics/insights', async (req, res) => {
     }
 });
 
+// === REPORT ENDPOINTS ===
+
+// GST input credit report, as JSON or as invoice-level CSV (format=csv)
+app.get('/api/reports/gst', async (req, res) => {
+    try {
+        const { startDate, endDate, gstin, format } = req.query;
+        const result = await gstReportService.generateInputCreditReport(startDate, endDate, { gstin });
+
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        if (format === 'csv') {
+            const filename = `gst-input-credit-${startDate || 'all'}-${endDate || 'all'}.csv`;
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            return res.send(gstReportService.toCSV(result.data));
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('GST report error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to generate GST report'
+        });
+    }
+});
+
 // === CURRENCY ENDPOINTS ===
 
 // Get supported currencies
@@ -450,11 +1147,30 @@ app.get('/api/currencies/rates/:baseCurrency', async (req, res) => {
 
 // === SHARING ENDPOINTS ===
 
-// Generate shareable link
+// HTTP status for share link errors; anything else on a link lookup is a 404
+const shareErrorStatus = {
+    SHARE_NOT_FOUND: 404,
+    SHARE_EXPIRED: 410,
+    SHARE_REVOKED: 410,
+    AUTH_REQUIRED: 401,
+    PIN_REQUIRED: 401,
+    INVALID_PIN: 401,
+    PIN_LOCKED: 429,
+    EDIT_NOT_ALLOWED: 403,
+    CLAIMS_LOCKED: 409,
+    CLAIMS_INCOMPLETE: 409
+};
+
+// Generate shareable link (body: expiresAt or expiresInDays, pin, allowEdit, requireAuth)
 app.post('/api/receipts/:id/share/link', async (req, res) => {
     try {
         const result = await sharingService.generateShareableLink(req.params.id, req.body);
-        res.json(result);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
     } catch (error) {
         console.error('Generate share link error:', error);
         res.status(500).json({
@@ -521,15 +1237,42 @@ app.post('/api/receipts/:id/share/email', async (req, res) => {
     }
 });
 
-// Get shared receipt
+// Email each split participant their share with UPI payment links
+app.post('/api/splits/:id/share/email', async (req, res) => {
+    try {
+        const { subject, customMessage, payeeUPI, payeeName } = req.body;
+        const result = await sharingService.shareBillSplitViaEmail(req.params.id, {
+            subject,
+            customMessage,
+            payeeUPI,
+            payeeName
+        });
+        result.success ? res.json(result) : res.status(400).json(result);
+    } catch (error) {
+        console.error('Split email share error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to share split via email'
+        });
+    }
+});
+
+// Get shared receipt. A PIN goes in the X-Share-Pin header and, for links that
+// require sign-in, a Supabase access token in the Authorization header.
 app.get('/api/shared/:token', async (req, res) => {
     try {
-        const result = await sharingService.getSharedReceipt(req.params.token);
+        const authorization = req.get('authorization') || '';
+        const result = await sharingService.getSharedReceipt(req.params.token, {
+            pin: req.get('x-share-pin'),
+            accessToken: authorization.startsWith('Bearer ') ? authorization.slice(7) : null,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        });
 
         if (result.success) {
             res.json(result);
         } else {
-            res.status(404).json(result);
+            res.status(shareErrorStatus[result.code] || 404).json(result);
         }
     } catch (error) {
         console.error('Get shared receipt error:', error);
@@ -540,6 +1283,175 @@ app.get('/api/shared/:token', async (req, res) => {
     }
 });
 
+// List a receipt's share links (?all=true includes expired and revoked ones)
+app.get('/api/receipts/:id/shares', async (req, res) => {
+    try {
+        const result = await sharingService.listShareLinks(req.params.id, {
+            includeInactive: req.query.all === 'true'
+        });
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('List share links error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to list share links'
+        });
+    }
+});
+
+// Revoke a share link
+app.post('/api/shares/:id/revoke', async (req, res) => {
+    try {
+        const result = await sharingService.revokeShareLink(req.params.id);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(result.code === 'SHARE_NOT_FOUND' ? 404 : 409).json(result);
+        }
+    } catch (error) {
+        console.error('Revoke share link error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to revoke share link'
+        });
+    }
+});
+
+// Extend a share link (body: expiresAt, or days to add)
+app.post('/api/shares/:id/extend', async (req, res) => {
+    try {
+        const result = await sharingService.extendShareLink(req.params.id, req.body);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            const status = { SHARE_NOT_FOUND: 404, SHARE_REVOKED: 409 }[result.code] || 400;
+            res.status(status).json(result);
+        }
+    } catch (error) {
+        console.error('Extend share link error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to extend share link'
+        });
+    }
+});
+
+// Get a share link's access log
+app.get('/api/shares/:id/access-log', async (req, res) => {
+    try {
+        const result = await sharingService.getShareAccessLog(req.params.id, parseInt(req.query.limit) || 100);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(result.code === 'SHARE_NOT_FOUND' ? 404 : 400).json(result);
+        }
+    } catch (error) {
+        console.error('Get share access log error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to get share access log'
+        });
+    }
+});
+
+// Get the item claims on an editable share link
+app.get('/api/shared/:token/claims', async (req, res) => {
+    try {
+        const authorization = req.get('authorization') || '';
+        const result = await itemClaimService.getClaimsForToken(req.params.token, {
+            pin: req.get('x-share-pin'),
+            accessToken: authorization.startsWith('Bearer ') ? authorization.slice(7) : null,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        });
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(shareErrorStatus[result.code] || 400).json(result);
+        }
+    } catch (error) {
+        console.error('Get item claims error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to get item claims'
+        });
+    }
+});
+
+// Claim items on an editable share link (body: name, phone, items: [{ index, units, shared }]).
+// Each call replaces the caller's earlier claims.
+app.put('/api/shared/:token/claims', async (req, res) => {
+    try {
+        const { name, phone, items } = req.body;
+        const authorization = req.get('authorization') || '';
+        const result = await itemClaimService.submitClaims(req.params.token, {
+            pin: req.get('x-share-pin'),
+            accessToken: authorization.startsWith('Bearer ') ? authorization.slice(7) : null,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        }, { name, phone }, items);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(shareErrorStatus[result.code] || 400).json(result);
+        }
+    } catch (error) {
+        console.error('Submit item claims error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to submit item claims'
+        });
+    }
+});
+
+// Get the item claims on a share link, with claimants' contact details
+app.get('/api/shares/:id/claims', async (req, res) => {
+    try {
+        const result = await itemClaimService.getClaimsForShare(req.params.id);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(shareErrorStatus[result.code] || 400).json(result);
+        }
+    } catch (error) {
+        console.error('Get share claims error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to get item claims'
+        });
+    }
+});
+
+// Lock the claims and split the bill by item (body: name, paidBy, overrides, rounding, chargeRules, tip, discount)
+app.post('/api/shares/:id/lock', async (req, res) => {
+    try {
+        const result = await itemClaimService.lockClaims(req.params.id, req.body);
+
+        if (result.success) {
+            res.status(201).json(result);
+        } else {
+            res.status(shareErrorStatus[result.code] || 400).json(result);
+        }
+    } catch (error) {
+        console.error('Lock item claims error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to lock item claims'
+        });
+    }
+});
+
 // Generate QR code
 app.post('/api/receipts/:id/qr', async (req, res) => {
     try {
@@ -572,6 +1484,67 @@ app.get('/api/sharing/history', async (req, res) => {
     }
 });
 
+// === PUBLIC SHARE PAGE ===
+
+// Render the public split page for a share link. Works without JavaScript;
+// PIN-protected links post the PIN back to the same URL.
+// The token is in the URL, so keep it out of caches, referrers and search engines
+const setSharedPageHeaders = (res) => {
+    res.set({
+        'Content-Security-Policy': "default-src 'none'; img-src data:; style-src 'unsafe-inline'; form-action 'self'",
+        'Referrer-Policy': 'no-referrer',
+        'Cache-Control': 'no-store',
+        'X-Robots-Tag': 'noindex, nofollow'
+    });
+};
+
+const sendSharedPage = async (req, res, pin, messages = {}) => {
+    setSharedPageHeaders(res);
+
+    try {
+        const page = await sharePageService.renderSharedReceipt(req.params.token, {
+            pin,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        }, messages);
+
+        res.status(page.success ? 200 : shareErrorStatus[page.code] || 404).type('html').send(page.html);
+    } catch (error) {
+        console.error('Shared page error:', error);
+        res.status(500).type('html').send(
+            sharePageService.renderErrorPage('Something went wrong', 'This receipt could not be loaded. Please try again later.')
+        );
+    }
+};
+
+app.get('/shared/:token', (req, res) => sendSharedPage(req, res, null));
+app.post('/shared/:token', (req, res) => sendSharedPage(req, res, req.body.pin));
+
+// Claim form on editable links; ticked items arrive as repeated items/shared fields
+app.post('/shared/:token/claims', async (req, res) => {
+    const toList = value => (value === undefined ? [] : [].concat(value)).map(String);
+    const shared = toList(req.body.shared);
+    const items = toList(req.body.items).map(index => ({ index, shared: shared.includes(index) }));
+
+    const result = await itemClaimService.submitClaims(req.params.token, {
+        pin: req.body.pin,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+    }, { name: req.body.name, phone: req.body.phone }, items);
+
+    // The link was already checked (and a wrong PIN logged) by submitClaims
+    if (!result.success && sharingService.accessErrorCodes.includes(result.code)) {
+        setSharedPageHeaders(res);
+        res.status(shareErrorStatus[result.code] || 404).type('html')
+            .send(sharePageService.renderAccessError(result, req.params.token));
+        return;
+    }
+
+    await sendSharedPage(req, res, req.body.pin, result.success
+        ? { notice: 'Thanks! Your items have been saved.' }
+        : { error: result.error });
+});
+
 // === UPI PAYMENT ENDPOINTS ===
 
 // Generate UPI payment link
@@ -710,6 +1683,14 @@ app.listen(PORT, () => {
     supabaseService.testConnection()
         .then(() => console.log('✅ Database connection successful'))
         .catch(err => console.warn('⚠️  Database connection failed:', err.message));
+
+    if (supabaseService.supabase) {
+        const minutes = parseInt(process.env.RECURRING_SPLIT_INTERVAL_MINUTES) || 60;
+        recurringSplitService.startScheduler(minutes * 60 * 1000);
+
+        const reminderMinutes = parseInt(process.env.REMINDER_INTERVAL_MINUTES) || 60;
+        paymentReminderService.startScheduler(reminderMinutes * 60 * 1000);
+    }
 });
 
 module.exports = app;
\ No newline at end of file
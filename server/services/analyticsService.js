@@ -1,6 +1,7 @@
 // Analytics Service - Spending insights and recommendations
 
 const supabaseService = require('./supabaseService');
+const receiptDateService = require('./receiptDateService');
 
 class AnalyticsService {
     constructor() {
@@ -54,10 +55,9 @@ class AnalyticsService {
         try {
             let query = supabaseService.supabase
                 .from('receipts')
-                .select('total_amount, created_at, receipt_type');
+                .select('total_amount, spent_at, metadata');
 
-            if (startDate) query = query.gte('created_at', startDate);
-            if (endDate) query = query.lte('created_at', endDate);
+            query = receiptDateService.applyDateRange(query, 'spent_at', startDate, endDate);
 
             const { data, error } = await query;
             if (error) throw error;
@@ -74,7 +74,7 @@ class AnalyticsService {
             // Receipt type breakdown
             const typeBreakdown = {};
             data.forEach(receipt => {
-                const type = receipt.receipt_type || 'general';
+                const type = receipt.metadata?.receiptType || 'general';
                 typeBreakdown[type] = (typeBreakdown[type] || 0) + parseFloat(receipt.total_amount || 0);
             });
 
@@ -98,14 +98,12 @@ class AnalyticsService {
             let query = supabaseService.supabase
                 .from('receipts')
                 .select(`
-                    category,
                     total_amount,
-                    created_at,
+                    spent_at,
                     expense_categories(name, color, icon)
                 `);
 
-            if (startDate) query = query.gte('created_at', startDate);
-            if (endDate) query = query.lte('created_at', endDate);
+            query = receiptDateService.applyDateRange(query, 'spent_at', startDate, endDate);
 
             const { data, error } = await query;
             if (error) throw error;
@@ -114,7 +112,7 @@ class AnalyticsService {
             let totalSpent = 0;
 
             data.forEach(receipt => {
-                const category = receipt.category || 'Other';
+                const category = receipt.expense_categories?.name || 'Other';
                 const amount = parseFloat(receipt.total_amount || 0);
                 
                 if (!categoryData[category]) {
@@ -132,7 +130,7 @@ class AnalyticsService {
                 categoryData[category].count += 1;
                 categoryData[category].transactions.push({
                     amount,
-                    date: receipt.created_at
+                    date: receipt.spent_at
                 });
                 totalSpent += amount;
             });
@@ -160,19 +158,18 @@ class AnalyticsService {
         try {
             let query = supabaseService.supabase
                 .from('receipts')
-                .select('total_amount, created_at, category')
-                .order('created_at');
+                .select('total_amount, spent_at, expense_categories(name)')
+                .order('spent_at');
 
-            if (startDate) query = query.gte('created_at', startDate);
-            if (endDate) query = query.lte('created_at', endDate);
+            query = receiptDateService.applyDateRange(query, 'spent_at', startDate, endDate);
 
             const { data, error } = await query;
             if (error) throw error;
 
-            // Group by day
+            // Group by the day the receipt is dated, in IST
             const dailyData = {};
             data.forEach(receipt => {
-                const date = new Date(receipt.created_at).toISOString().split('T')[0];
+                const date = receiptDateService.toIndianDate(receipt.spent_at);
                 if (!dailyData[date]) {
                     dailyData[date] = { total: 0, count: 0, categories: {} };
                 }
@@ -181,7 +178,7 @@ class AnalyticsService {
                 dailyData[date].total += amount;
                 dailyData[date].count += 1;
 
-                const category = receipt.category || 'Other';
+                const category = receipt.expense_categories?.name || 'Other';
                 dailyData[date].categories[category] = (dailyData[date].categories[category] || 0) + amount;
             });
 
@@ -214,10 +211,9 @@ class AnalyticsService {
         try {
             let query = supabaseService.supabase
                 .from('receipts')
-                .select('total_amount, created_at, merchant_name, category');
+                .select('total_amount, spent_at, transaction_at, merchant_name, metadata');
 
-            if (startDate) query = query.gte('created_at', startDate);
-            if (endDate) query = query.lte('created_at', endDate);
+            query = receiptDateService.applyDateRange(query, 'spent_at', startDate, endDate);
 
             const { data, error } = await query;
             if (error) throw error;
@@ -231,17 +227,19 @@ class AnalyticsService {
             };
 
             data.forEach(receipt => {
-                const date = new Date(receipt.created_at);
-                const dayOfWeek = date.toLocaleDateString('en-US', { weekday: 'long' });
-                const hour = date.getHours();
+                const date = receiptDateService.toIndianClock(receipt.spent_at);
+                const dayOfWeek = date.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+                const hour = date.getUTCHours();
                 const amount = parseFloat(receipt.total_amount || 0);
                 const merchant = receipt.merchant_name || 'Unknown';
 
                 // Day of week pattern
                 patterns.dayOfWeek[dayOfWeek] = (patterns.dayOfWeek[dayOfWeek] || 0) + amount;
 
-                // Hour of day pattern
-                patterns.hourOfDay[hour] = (patterns.hourOfDay[hour] || 0) + amount;
+                // Hour of day pattern (skipped when the receipt gives a date but no time)
+                if (!receipt.transaction_at || receipt.metadata?.receiptTime) {
+                    patterns.hourOfDay[hour] = (patterns.hourOfDay[hour] || 0) + amount;
+                }
 
                 // Top merchants
                 if (!patterns.topMerchants[merchant]) {
@@ -521,6 +519,11 @@ class AnalyticsService {
         let score = 0;
         let factors = 0;
 
+        // The same uploaded image, or a receipt already flagged as a copy of the other
+        if (receipt1.image_sha256 && receipt1.image_sha256 === receipt2.image_sha256) return 1;
+        if ((receipt1.duplicate_of && receipt1.duplicate_of === receipt2.id) ||
+            (receipt2.duplicate_of && receipt2.duplicate_of === receipt1.id)) return 1;
+
         // Amount similarity (40% weight)
         const amount1 = parseFloat(receipt1.total_amount || 0);
         const amount2 = parseFloat(receipt2.total_amount || 0);
@@ -539,14 +542,26 @@ class AnalyticsService {
             factors += 0.3;
         }
 
-        // Time proximity (20% weight)
-        const time1 = new Date(receipt1.created_at);
-        const time2 = new Date(receipt2.created_at);
+        // Same merchant and bill number is the same bill; a different bill number is a different one
+        const invoice1 = receipt1.invoice_number;
+        const invoice2 = receipt2.invoice_number;
+        const sameMerchant = this.calculateStringSimilarity(merchant1, merchant2) > 0.8;
+        if (invoice1 && invoice2 && sameMerchant) {
+            if (invoice1 === invoice2) return 1;
+            return Math.min(score / factors, 0.5);
+        }
+
+        // Time proximity (20% weight), using the printed transaction time when known
+        const time1 = new Date(receipt1.transaction_at || receipt1.created_at);
+        const time2 = new Date(receipt2.transaction_at || receipt2.created_at);
         const timeDiff = Math.abs(time1 - time2) / (1000 * 60 * 60); // hours
         if (timeDiff < 24) {
             const timeScore = Math.max(0, 1 - (timeDiff / 24));
             score += timeScore * 0.2;
             factors += 0.2;
+        } else if (receipt1.transaction_at && receipt2.transaction_at) {
+            // Both receipts print their dates and they are days apart
+            factors += 0.2;
         }
 
         // Item similarity (10% weight)
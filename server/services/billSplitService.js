@@ -1,6 +1,11 @@
 // Bill Splitting Service - Smart bill splitting with multiple methods
 
 const supabaseService = require('./supabaseService');
+const upiService = require('./upiService');
+const groupService = require('./groupService');
+const splitMath = require('../../client/split-math');
+const splitValidationService = require('./splitValidationService');
+const { SplitValidationError } = splitValidationService;
 
 class BillSplitService {
     constructor() {
@@ -8,44 +13,46 @@ class BillSplitService {
             EQUAL: 'equal',
             BY_ITEMS: 'by_items',
             CUSTOM: 'custom',
-            PERCENTAGE: 'percentage'
+            PERCENTAGE: 'percentage',
+            SHARES: 'shares'
+        };
+
+        this.paymentStatuses = {
+            PENDING: 'pending',
+            PARTIALLY_PAID: 'partially_paid',
+            PAID: 'paid',
+            WAIVED: 'waived'
+        };
+
+        this.splitStatuses = {
+            ACTIVE: 'active',
+            SETTLED: 'settled'
         };
     }
 
-    // Create a new bill split
-    async createSplit(receiptId, splitData) {
+    // Create a new bill split.
+    // The request is validated and calculated before anything is written, and the
+    // split and its participants are inserted in one transaction.
+    // links holds extra bill_splits columns such as recurring_split_id.
+    async createSplit(receiptId, splitData, links = {}) {
         try {
             console.log('🔄 Creating bill split:', splitData);
 
-            const split = {
-                receipt_id: receiptId,
-                split_name: splitData.name || 'Bill Split',
-                split_method: splitData.method || this.splitMethods.EQUAL,
-                total_people: splitData.participants.length,
-                created_by: splitData.createdBy || 'Anonymous',
-                split_data: {
-                    participants: splitData.participants,
-                    method: splitData.method,
-                    customAmounts: splitData.customAmounts || {},
-                    itemAssignments: splitData.itemAssignments || {}
-                }
-            };
+            const receipt = await supabaseService.getReceiptById(receiptId);
+            const { split, participants } = this.prepareSplit(receiptId, receipt, splitData);
 
-            const { data, error } = await supabaseService.supabase
-                .from('bill_splits')
-                .insert([split])
-                .select()
-                .single();
+            const { data: splitId, error } = await supabaseService.supabase
+                .rpc('create_bill_split', {
+                    p_split: { ...split, ...links },
+                    p_participants: participants
+                });
 
             if (error) throw error;
 
-            // Create participants
-            await this.createParticipants(data.id, splitData.participants, splitData);
-
             // Calculate split amounts
-            const calculatedSplit = await this.calculateSplit(data.id);
+            const calculatedSplit = await this.calculateSplit(splitId);
 
-            console.log('✅ Bill split created successfully:', data.id);
+            console.log('✅ Bill split created successfully:', splitId);
             return {
                 success: true,
                 data: calculatedSplit
@@ -53,28 +60,313 @@ class BillSplitService {
 
         } catch (error) {
             console.error('❌ Error creating bill split:', error);
+            return this.formatError(error);
+        }
+    }
+
+    // Validate a split request and preview its amounts without saving anything
+    async validateSplit(receiptId, splitData) {
+        try {
+            const receipt = await supabaseService.getReceiptById(receiptId);
+            const { participants } = this.prepareSplit(receiptId, receipt, splitData);
+
             return {
-                success: false,
-                error: error.message
+                success: true,
+                data: {
+                    valid: true,
+                    participants: participants.map(participant => ({
+                        name: participant.name,
+                        shareAmount: participant.share_amount,
+                        amountOwed: participant.amount_owed
+                    }))
+                }
             };
+
+        } catch (error) {
+            if (error instanceof SplitValidationError) {
+                return {
+                    success: true,
+                    data: {
+                        valid: false,
+                        errors: error.details
+                    }
+                };
+            }
+            console.error('❌ Error validating bill split:', error);
+            return this.formatError(error);
         }
     }
 
-    // Create participants for a split
-    async createParticipants(splitId, participants, splitData) {
-        const participantRecords = participants.map(participant => ({
-            split_id: splitId,
+    // Edit an existing split: rename, change method, add/remove participants,
+    // reassign items or adjust amounts. Recorded payments are kept, and anyone
+    // who already paid and now owes a different amount is flagged.
+    async updateSplit(splitId, changes = {}) {
+        try {
+            console.log('✏️ Updating bill split:', splitId, changes);
+
+            const { data: split, error: splitError } = await supabaseService.supabase
+                .from('bill_splits')
+                .select(`
+                    *,
+                    receipts(*),
+                    split_participants(*)
+                `)
+                .eq('id', splitId)
+                .single();
+
+            if (splitError) throw splitError;
+
+            const existing = split.split_participants;
+            const splitData = this.mergeSplitChanges(split, changes);
+            const { split: prepared, participants } = this.prepareSplit(split.receipt_id, split.receipts, splitData);
+
+            const flagged = [];
+            const records = participants.map(record => {
+                const requested = splitData.participants.find(participant => participant.name === record.name);
+                const current = existing.find(participant => participant.id === requested.id);
+                if (!current) return record;
+
+                const paid = splitMath.toMinorUnits(current.amount_paid);
+                const oldOwed = splitMath.toMinorUnits(current.amount_owed);
+                const newOwed = splitMath.toMinorUnits(record.amount_owed);
+                const changed = paid > 0 && oldOwed !== newOwed;
+
+                if (changed) {
+                    flagged.push({
+                        participantId: current.id,
+                        name: record.name,
+                        amountPaid: splitMath.fromMinorUnits(paid),
+                        previousAmountOwed: splitMath.fromMinorUnits(oldOwed),
+                        amountOwed: splitMath.fromMinorUnits(newOwed),
+                        balance: splitMath.fromMinorUnits(newOwed - paid)
+                    });
+                }
+
+                return {
+                    ...record,
+                    id: current.id,
+                    ...(changed && {
+                        previous_amount_owed: splitMath.fromMinorUnits(oldOwed),
+                        owed_changed_after_payment: true,
+                        payment_status: this.getPaymentStatus(newOwed, paid, current.payment_status)
+                    })
+                };
+            });
+
+            const { error } = await supabaseService.supabase
+                .rpc('update_bill_split', {
+                    p_split_id: splitId,
+                    // Keep stored keys the request format doesn't cover (e.g. group payer)
+                    p_split: {
+                        ...prepared,
+                        split_data: { ...split.split_data, ...prepared.split_data }
+                    },
+                    p_participants: records
+                });
+
+            if (error) throw error;
+
+            const calculatedSplit = await this.calculateSplit(splitId);
+
+            console.log('✅ Bill split updated successfully:', splitId);
+            return {
+                success: true,
+                data: {
+                    ...calculatedSplit,
+                    flaggedParticipants: flagged
+                }
+            };
+
+        } catch (error) {
+            console.error('❌ Error updating bill split:', error);
+            return this.formatError(error);
+        }
+    }
+
+    // Apply requested changes on top of a stored split, producing a full split request
+    mergeSplitChanges(split, changes) {
+        const stored = split.split_data || {};
+        const errors = [];
+
+        let participants = split.split_participants.map(participant => ({
+            id: participant.id,
+            name: participant.name,
+            email: participant.email,
+            phone: participant.phone,
+            upiId: participant.upi_id,
+            items: participant.items_assigned || [],
+            amountPaid: parseFloat(participant.amount_paid || 0)
+        }));
+
+        const matches = (participant, key) => participant.id === key || participant.name === key;
+        const renames = {};
+
+        (changes.removeParticipants || []).forEach(key => {
+            const participant = participants.find(p => matches(p, key));
+            if (!participant) {
+                errors.push({ code: splitValidationService.errorCodes.UNKNOWN_PARTICIPANT, field: 'removeParticipants', message: `${key} is not a participant in this split` });
+            } else if (participant.amountPaid > 0 && !changes.force) {
+                errors.push({ code: 'PARTICIPANT_HAS_PAYMENTS', field: 'removeParticipants', message: `${participant.name} has already paid and can't be removed` });
+            } else {
+                participants = participants.filter(p => p !== participant);
+            }
+        });
+
+        (changes.participants || []).forEach(update => {
+            const participant = participants.find(p => matches(p, update.id) || matches(p, update.name));
+            if (!participant) {
+                errors.push({ code: splitValidationService.errorCodes.UNKNOWN_PARTICIPANT, field: 'participants', message: `${update.id || update.name} is not a participant in this split` });
+                return;
+            }
+            if (update.name !== undefined && update.name !== participant.name) {
+                renames[participant.name] = update.name;
+            }
+            ['name', 'email', 'phone', 'upiId', 'items'].forEach(field => {
+                if (update[field] !== undefined) participant[field] = update[field];
+            });
+        });
+
+        participants = participants.concat(changes.addParticipants || []);
+
+        if (errors.length > 0) {
+            throw new SplitValidationError('Split update failed', errors);
+        }
+
+        // Anything not mentioned in the request keeps its stored value,
+        // with name-keyed maps following any renames
+        const pick = field => {
+            if (changes[field] !== undefined) return changes[field];
+            const value = stored[field];
+            if (!value || !['customAmounts', 'percentages', 'shares', 'paidBy'].includes(field)) {
+                return value;
+            }
+            return Object.fromEntries(Object.entries(value).map(([key, v]) => [renames[key] || key, v]));
+        };
+
+        return {
+            name: changes.name || split.split_name,
+            method: changes.method || split.split_method,
+            createdBy: stored.createdByName || split.created_by,
+            participants: participants.map(({ amountPaid, ...participant }) => participant),
+            customAmounts: pick('customAmounts'),
+            percentages: pick('percentages'),
+            shares: pick('shares'),
+            itemAssignments: pick('itemAssignments'),
+            paidBy: pick('paidBy'),
+            rounding: pick('rounding'),
+            chargeRules: pick('chargeRules'),
+            tip: pick('tip'),
+            discount: pick('discount')
+        };
+    }
+
+    // Validate, normalise and pre-calculate a split request.
+    // Throws SplitValidationError when the request can't be split as given.
+    prepareSplit(receiptId, receipt, splitData) {
+        const validation = splitValidationService.validateSplitData(receipt, splitData, this.splitMethods);
+        if (!validation.valid) {
+            throw new SplitValidationError('Split validation failed', validation.errors);
+        }
+
+        const method = splitData.method || this.splitMethods.EQUAL;
+        const participants = splitData.participants;
+
+        // Client-side participant IDs don't survive the insert, so key everything by name
+        const byName = values => this.keyByParticipantName(participants, values);
+
+        const storedData = {
+            participants,
+            method,
+            customAmounts: byName(splitData.customAmounts),
+            percentages: byName(splitData.percentages),
+            shares: byName(splitData.shares),
+            itemAssignments: this.keyAssignmentsByName(participants, splitData.itemAssignments),
+            paidBy: byName(splitData.paidBy),
+            rounding: splitData.rounding || {},
+            chargeRules: splitData.chargeRules || {},
+            tip: splitData.tip || 0,
+            discount: splitData.discount || 0
+        };
+
+        const records = participants.map(participant => ({
+            id: participant.name,
             name: participant.name,
             email: participant.email || null,
             phone: participant.phone || null,
+            upi_id: participant.upiId || null,
+            amount_contributed: this.getContribution(storedData.paidBy, participant),
             items_assigned: participant.items || []
         }));
 
-        const { error } = await supabaseService.supabase
-            .from('split_participants')
-            .insert(participantRecords);
+        // Dry run so calculation errors surface before the insert
+        const calculations = this.runCalculation(receipt, records, storedData, method);
+        this.applyContributions(records, calculations);
 
-        if (error) throw error;
+        const createdBy = splitData.createdBy;
+        const isUserId = typeof createdBy === 'string' && /^[0-9a-f-]{36}$/i.test(createdBy);
+
+        return {
+            split: {
+                receipt_id: receiptId,
+                split_name: splitData.name || 'Bill Split',
+                split_method: method,
+                total_people: participants.length,
+                ...(isUserId && { created_by: createdBy }),
+                split_data: {
+                    ...storedData,
+                    ...(!isUserId && createdBy && { createdByName: createdBy })
+                }
+            },
+            participants: records.map(({ id, ...record }) => ({
+                ...record,
+                share_amount: calculations[id].amount,
+                amount_owed: calculations[id].owed
+            }))
+        };
+    }
+
+    // Re-key a participant map from client IDs to participant names
+    keyByParticipantName(participants, values = {}) {
+        const result = {};
+        Object.entries(values || {}).forEach(([key, value]) => {
+            const participant = participants.find(p => (p.id !== undefined && String(p.id) === key) || p.name === key);
+            result[participant ? participant.name : key] = value;
+        });
+        return result;
+    }
+
+    // Re-key item assignment entries from client IDs to participant names
+    keyAssignmentsByName(participants, itemAssignments = {}) {
+        const toName = key => {
+            const participant = participants.find(p => (p.id !== undefined && String(p.id) === String(key)) || p.name === key);
+            return participant ? participant.name : key;
+        };
+
+        const result = {};
+        Object.entries(itemAssignments || {}).forEach(([itemKey, assignees]) => {
+            result[itemKey] = (Array.isArray(assignees) ? assignees : [assignees]).map(assignee =>
+                assignee !== null && typeof assignee === 'object'
+                    ? { ...assignee, participant: toName(assignee.participant) }
+                    : toName(assignee)
+            );
+        });
+        return result;
+    }
+
+    // Shape a failure response, keeping validation details structured
+    formatError(error) {
+        return {
+            success: false,
+            error: error.message,
+            ...(error.code && { code: error.code }),
+            ...(error.details && { details: error.details })
+        };
+    }
+
+    // Look up what a participant paid toward the bill, keyed by client id or name
+    getContribution(paidBy, participant) {
+        const amount = paidBy[participant.id] ?? paidBy[participant.name] ?? 0;
+        return parseFloat(amount) || 0;
     }
 
     // Calculate split amounts based on method
@@ -96,33 +388,20 @@ class BillSplitService {
             const receipt = split.receipts;
             const participants = split.split_participants;
             const method = split.split_method;
+            const calculations = this.runCalculation(receipt, participants, split.split_data, method);
 
-            let calculations = {};
-
-            switch (method) {
-                case this.splitMethods.EQUAL:
-                    calculations = this.calculateEqualSplit(receipt, participants);
-                    break;
-                case this.splitMethods.BY_ITEMS:
-                    calculations = this.calculateItemBasedSplit(receipt, participants);
-                    break;
-                case this.splitMethods.CUSTOM:
-                    calculations = this.calculateCustomSplit(receipt, participants, split.split_data);
-                    break;
-                case this.splitMethods.PERCENTAGE:
-                    calculations = this.calculatePercentageSplit(receipt, participants, split.split_data);
-                    break;
-                default:
-                    calculations = this.calculateEqualSplit(receipt, participants);
-            }
+            // Net each share against what the participant paid at the table
+            this.applyContributions(participants, calculations);
 
             // Update participant amounts
             await this.updateParticipantAmounts(participants, calculations);
+            split.status = await this.refreshSplitStatus(splitId);
 
             return {
                 split,
                 calculations,
-                summary: this.generateSplitSummary(receipt, calculations)
+                settlements: this.calculateSettlements(participants, calculations),
+                summary: this.generateSplitSummary(receipt, calculations, split.split_data)
             };
 
         } catch (error) {
@@ -131,141 +410,613 @@ class BillSplitService {
         }
     }
 
+    // Run the calculation for a split method
+    runCalculation(receipt, participants, splitData, method) {
+        const rounding = this.getRoundingOptions(participants, splitData);
+
+        switch (method) {
+            case this.splitMethods.EQUAL:
+                return this.calculateEqualSplit(receipt, participants, rounding);
+            case this.splitMethods.BY_ITEMS:
+                return this.calculateItemBasedSplit(receipt, participants, rounding, splitData);
+            case this.splitMethods.CUSTOM:
+                return this.calculateCustomSplit(receipt, participants, splitData);
+            case this.splitMethods.PERCENTAGE:
+                return this.calculatePercentageSplit(receipt, participants, splitData, rounding);
+            case this.splitMethods.SHARES:
+                return this.calculateSharesSplit(receipt, participants, splitData, rounding);
+            default:
+                return this.calculateEqualSplit(receipt, participants, rounding);
+        }
+    }
+
+    // Resolve who receives leftover paise first.
+    // rounding.order may list participant IDs or names; otherwise the order
+    // participants were added in is used.
+    getRoundingOptions(participants, splitData = {}) {
+        const rounding = splitData.rounding || {};
+        const preferred = rounding.order || (splitData.participants || []).map(participant => participant.name);
+
+        const order = [];
+        preferred.forEach(key => {
+            const index = participants.findIndex(participant => participant.id === key || participant.name === key);
+            if (index !== -1 && !order.includes(index)) {
+                order.push(index);
+            }
+        });
+
+        return {
+            strategy: rounding.strategy || splitMath.strategies.LARGEST_REMAINDER,
+            order
+        };
+    }
+
+    // Build a calculation entry from an amount in paise
+    buildCalculation(participant, amountInPaise, totalInPaise, items = []) {
+        return {
+            name: participant.name,
+            amount: splitMath.fromMinorUnits(amountInPaise),
+            amountInPaise,
+            items,
+            share: totalInPaise > 0 ? (amountInPaise / totalInPaise * 100).toFixed(1) : 0
+        };
+    }
+
     // Equal split calculation
-    calculateEqualSplit(receipt, participants) {
-        const totalAmount = parseFloat(receipt.total_amount);
-        const perPersonAmount = totalAmount / participants.length;
+    calculateEqualSplit(receipt, participants, rounding = {}) {
+        const totalInPaise = splitMath.toMinorUnits(receipt.total_amount);
+        const amounts = splitMath.splitEqually(totalInPaise, participants.length, rounding);
 
         const calculations = {};
-        participants.forEach(participant => {
-            calculations[participant.id] = {
-                name: participant.name,
-                amount: perPersonAmount,
-                items: [],
-                share: (perPersonAmount / totalAmount * 100).toFixed(1)
-            };
+        participants.forEach((participant, index) => {
+            calculations[participant.id] = this.buildCalculation(participant, amounts[index], totalInPaise);
         });
 
         return calculations;
     }
 
     // Item-based split calculation
-    calculateItemBasedSplit(receipt, participants) {
+    calculateItemBasedSplit(receipt, participants, rounding = {}, splitData = {}) {
         const items = receipt.items || [];
-        const totalAmount = parseFloat(receipt.total_amount);
-        const itemsTotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-        
-        // Calculate tax and service charge ratio
-        const taxRatio = itemsTotal > 0 ? totalAmount / itemsTotal : 1;
+        const totalInPaise = splitMath.toMinorUnits(receipt.total_amount);
+
+        const claims = this.collectItemClaims(items, participants, splitData.itemAssignments);
+        const errors = this.validateItemAssignments(items, claims);
+        if (errors.length > 0) {
+            throw new SplitValidationError(`Invalid item assignments: ${errors.map(e => e.message).join('; ')}`, errors);
+        }
+
+        const subtotals = new Array(participants.length).fill(0);
+        const participantItems = participants.map(() => []);
+
+        items.forEach((item, itemIndex) => {
+            const itemClaims = claims[itemIndex];
+            const quantity = item.quantity || 1;
+            const itemCost = splitMath.toMinorUnits(item.price * quantity);
+            // rounding.order holds participant indexes; allocateItem works in claim positions
+            const portions = splitMath.allocateItem(itemCost, itemClaims, {
+                ...rounding,
+                order: (rounding.order || [])
+                    .map(participantIndex => itemClaims.findIndex(claim => claim.participantIndex === participantIndex))
+                    .filter(claimIndex => claimIndex >= 0)
+            });
+            const weightTotal = itemClaims.reduce((sum, claim) => sum + this.getClaimWeight(claim, itemClaims), 0);
+
+            itemClaims.forEach((claim, claimIndex) => {
+                subtotals[claim.participantIndex] += portions[claimIndex];
+                participantItems[claim.participantIndex].push({
+                    name: item.name,
+                    price: item.price,
+                    ...((item.taxRate ?? item.gstRate) !== undefined && { taxRate: item.taxRate ?? item.gstRate }),
+                    quantity: claim.units !== undefined
+                        ? claim.units
+                        : Math.round(quantity * this.getClaimWeight(claim, itemClaims) / weightTotal * 100) / 100,
+                    sharedWith: itemClaims.length - 1,
+                    total: splitMath.fromMinorUnits(portions[claimIndex])
+                });
+            });
+        });
+
+        const breakdowns = this.allocateReceiptCharges(receipt, participants, subtotals, participantItems, rounding, splitData);
 
         const calculations = {};
-        participants.forEach(participant => {
+        participants.forEach((participant, index) => {
+            const breakdown = breakdowns[index];
+            const amount = breakdown.items + breakdown.tax + breakdown.serviceCharge +
+                breakdown.adjustment + breakdown.tip - breakdown.discount;
+
             calculations[participant.id] = {
-                name: participant.name,
-                amount: 0,
-                items: [],
-                share: 0
+                ...this.buildCalculation(participant, amount, totalInPaise, participantItems[index]),
+                breakdown: Object.fromEntries(
+                    Object.entries(breakdown).map(([key, value]) => [key, splitMath.fromMinorUnits(value)])
+                )
             };
         });
 
-        // Assign items to participants
-        participants.forEach(participant => {
-            const assignedItems = participant.items_assigned || [];
-            let participantTotal = 0;
-
-            assignedItems.forEach(itemId => {
-                const item = items.find(i => i.id === itemId || i.name === itemId);
-                if (item) {
-                    const itemCost = item.price * item.quantity;
-                    participantTotal += itemCost;
-                    calculations[participant.id].items.push({
-                        name: item.name,
-                        price: item.price,
-                        quantity: item.quantity,
-                        total: itemCost
-                    });
+        return calculations;
+    }
+
+    // Spread tax, service charge, discount and tip over participants by the split's rules.
+    // Returns per-participant breakdowns in paise.
+    allocateReceiptCharges(receipt, participants, subtotals, participantItems, rounding = {}, splitData = {}) {
+        const itemsTotal = subtotals.reduce((sum, subtotal) => sum + subtotal, 0);
+        const tax = splitMath.toMinorUnits(receipt.tax_amount);
+        const serviceCharge = splitMath.toMinorUnits(receipt.service_charge);
+        const rules = this.resolveChargeRules(participants, splitData.chargeRules);
+
+        // Whatever the item lines and charges don't explain (OCR misses, rounding on the bill)
+        const adjustment = splitMath.toMinorUnits(receipt.total_amount) - itemsTotal - tax - serviceCharge;
+
+        const charges = {
+            tax: splitMath.allocateCharge(tax, rules.tax, this.getTaxWeights(subtotals, participantItems), rounding),
+            serviceCharge: splitMath.allocateCharge(serviceCharge, rules.serviceCharge, subtotals, rounding),
+            adjustment: splitMath.allocateCharge(adjustment, 'proportional', subtotals, rounding),
+            discount: splitMath.allocateCharge(splitMath.toMinorUnits(splitData.discount), rules.discount, subtotals, rounding),
+            tip: splitMath.allocateCharge(splitMath.toMinorUnits(splitData.tip), rules.tip, subtotals, rounding)
+        };
+
+        return participants.map((participant, index) => ({
+            items: subtotals[index],
+            tax: charges.tax[index],
+            serviceCharge: charges.serviceCharge[index],
+            adjustment: charges.adjustment[index],
+            discount: charges.discount[index],
+            tip: charges.tip[index]
+        }));
+    }
+
+    // Normalise charge rules; "assign" rules name a participant by ID or name
+    resolveChargeRules(participants, chargeRules = {}) {
+        const resolve = rule => {
+            if (!rule || rule === 'proportional') return 'proportional';
+            if (rule === 'equal') return 'equal';
+
+            const key = typeof rule === 'object' ? rule.assignTo : rule;
+            const index = participants.findIndex(participant => participant.id === key || participant.name === key);
+            if (index === -1) {
+                throw new SplitValidationError(`Charge rule assigns to unknown participant: ${key}`, [{
+                    code: splitValidationService.errorCodes.UNKNOWN_PARTICIPANT,
+                    field: 'chargeRules',
+                    message: `${key} is not a participant in this split`
+                }]);
+            }
+            return { assignTo: index };
+        };
+
+        return {
+            tax: resolve(chargeRules.tax),
+            serviceCharge: resolve(chargeRules.serviceCharge),
+            discount: resolve(chargeRules.discount),
+            tip: resolve(chargeRules.tip)
+        };
+    }
+
+    // Weight tax by each item's GST rate when the receipt has per-item rates
+    getTaxWeights(subtotals, participantItems) {
+        const hasRates = participantItems.some(items => items.some(item => item.taxRate !== undefined));
+        if (!hasRates) return subtotals;
+
+        return participantItems.map(items => items.reduce(
+            (sum, item) => sum + splitMath.toMinorUnits(item.total) * (parseFloat(item.taxRate) || 0),
+            0
+        ));
+    }
+
+    // Gather every participant's claim on each receipt item.
+    // Claims come from participants' items_assigned (an item id, name or index,
+    // or { item, units, weight }) and from split_data.itemAssignments keyed by item.
+    collectItemClaims(items, participants, itemAssignments = {}) {
+        const claims = items.map(() => []);
+        const unknown = [];
+
+        const addClaim = (itemKey, participantIndex, claim = {}) => {
+            const itemIndex = this.findItemIndex(items, itemKey);
+            if (itemIndex === -1) {
+                unknown.push({ itemKey, participant: participants[participantIndex].name });
+                return;
+            }
+
+            // A participant claiming the same item twice keeps the latest claim
+            const itemClaims = claims[itemIndex].filter(existing => existing.participantIndex !== participantIndex);
+            itemClaims.push({
+                participantIndex,
+                ...(claim.units !== undefined && { units: parseFloat(claim.units) }),
+                ...(claim.weight !== undefined && { weight: parseFloat(claim.weight) })
+            });
+            claims[itemIndex] = itemClaims;
+        };
+
+        participants.forEach((participant, participantIndex) => {
+            (participant.items_assigned || []).forEach(entry => {
+                if (entry !== null && typeof entry === 'object') {
+                    addClaim(entry.item ?? entry.id ?? entry.index ?? entry.name, participantIndex, entry);
+                } else {
+                    addClaim(entry, participantIndex);
                 }
             });
+        });
 
-            // Apply tax and service charge proportionally
-            const finalAmount = participantTotal * taxRatio;
-            calculations[participant.id].amount = finalAmount;
-            calculations[participant.id].share = totalAmount > 0 ? (finalAmount / totalAmount * 100).toFixed(1) : 0;
+        Object.entries(itemAssignments || {}).forEach(([itemKey, assignees]) => {
+            (Array.isArray(assignees) ? assignees : [assignees]).forEach(assignee => {
+                const key = assignee !== null && typeof assignee === 'object' ? assignee.participant : assignee;
+                const participantIndex = participants.findIndex(p => p.id === key || p.name === key);
+                if (participantIndex !== -1) {
+                    addClaim(/^\d+$/.test(itemKey) ? parseInt(itemKey) : itemKey, participantIndex,
+                        typeof assignee === 'object' ? assignee : {});
+                }
+            });
         });
 
-        return calculations;
+        claims.unknown = unknown;
+        return claims;
+    }
+
+    // Find a receipt item by id, name or position
+    findItemIndex(items, key) {
+        if (typeof key === 'number') {
+            return items[key] ? key : -1;
+        }
+        return items.findIndex(item => (item.id !== undefined && item.id === key) || item.name === key);
+    }
+
+    // Rewrite a split's item references after the receipt's items were edited.
+    // mapping.indexes maps old positions to new ones and mapping.names maps old
+    // names to new ones; null means the item was removed. Returns split changes.
+    remapItemReferences(split, mapping) {
+        const remapKey = key => {
+            if (typeof key === 'number' || /^\d+$/.test(key)) {
+                const index = parseInt(key);
+                return index in mapping.indexes ? mapping.indexes[index] : index;
+            }
+            return key in mapping.names ? mapping.names[key] : key;
+        };
+
+        const remapEntry = entry => {
+            if (entry === null || typeof entry !== 'object') return remapKey(entry);
+
+            const field = ['item', 'id', 'index', 'name'].find(f => entry[f] !== undefined);
+            const key = remapKey(entry[field]);
+            return key === null ? null : { ...entry, [field]: key };
+        };
+
+        const participants = split.split_participants.map(participant => ({
+            id: participant.id,
+            items: (participant.items_assigned || []).map(remapEntry).filter(entry => entry !== null)
+        }));
+
+        const stored = split.split_data?.itemAssignments;
+        const itemAssignments = stored && Object.fromEntries(
+            Object.entries(stored)
+                .map(([itemKey, assignees]) => [remapKey(itemKey), assignees])
+                .filter(([itemKey]) => itemKey !== null)
+        );
+
+        return {
+            participants,
+            ...(itemAssignments && { itemAssignments })
+        };
+    }
+
+    // Relative weight of a claim within its item
+    getClaimWeight(claim, itemClaims) {
+        if (itemClaims.some(c => c.units !== undefined)) return claim.units || 0;
+        return claim.weight !== undefined ? claim.weight : 1;
+    }
+
+    // Check that every item is allocated exactly once
+    validateItemAssignments(items, claims) {
+        const errors = (claims.unknown || []).map(({ itemKey, participant }) => ({
+            code: 'UNKNOWN_ITEM',
+            item: itemKey,
+            message: `${participant} is assigned an item that is not on the receipt (${itemKey})`
+        }));
+
+        items.forEach((item, itemIndex) => {
+            const itemClaims = claims[itemIndex];
+            const quantity = item.quantity || 1;
+
+            if (itemClaims.length === 0) {
+                errors.push({ code: 'UNASSIGNED_ITEM', item: item.name, message: `${item.name} is not assigned to anyone` });
+                return;
+            }
+
+            const byUnits = itemClaims.some(claim => claim.units !== undefined);
+            if (byUnits && itemClaims.some(claim => claim.units === undefined)) {
+                errors.push({ code: 'MIXED_ITEM_SHARES', item: item.name, message: `${item.name} mixes unit and share assignments` });
+                return;
+            }
+
+            const values = itemClaims.map(claim => this.getClaimWeight(claim, itemClaims));
+            if (values.some(value => !Number.isFinite(value) || value < 0)) {
+                errors.push({ code: 'INVALID_ITEM_SHARE', item: item.name, message: `${item.name} has a negative or invalid share` });
+                return;
+            }
+
+            const total = values.reduce((sum, value) => sum + value, 0);
+            if (byUnits && Math.abs(total - quantity) > 1e-9) {
+                errors.push({
+                    code: total > quantity ? 'ITEM_OVER_ALLOCATED' : 'ITEM_UNDER_ALLOCATED',
+                    item: item.name,
+                    message: `${item.name} has ${total} of ${quantity} units assigned`
+                });
+            } else if (total <= 0) {
+                errors.push({ code: 'UNASSIGNED_ITEM', item: item.name, message: `${item.name} has no positive share assigned` });
+            }
+        });
+
+        return errors;
     }
 
     // Custom amount split calculation
     calculateCustomSplit(receipt, participants, splitData) {
         const customAmounts = splitData.customAmounts || {};
+        const totalInPaise = splitMath.toMinorUnits(receipt.total_amount);
         const calculations = {};
 
         participants.forEach(participant => {
-            const customAmount = customAmounts[participant.id] || 0;
-            calculations[participant.id] = {
-                name: participant.name,
-                amount: customAmount,
-                items: [],
-                share: receipt.total_amount > 0 ? (customAmount / receipt.total_amount * 100).toFixed(1) : 0
-            };
+            const customAmount = splitMath.toMinorUnits(this.getParticipantValue(customAmounts, participant) || 0);
+            calculations[participant.id] = this.buildCalculation(participant, customAmount, totalInPaise);
         });
 
         return calculations;
     }
 
     // Percentage-based split calculation
-    calculatePercentageSplit(receipt, participants, splitData) {
+    calculatePercentageSplit(receipt, participants, splitData, rounding = {}) {
         const percentages = splitData.percentages || {};
-        const totalAmount = parseFloat(receipt.total_amount);
+        const totalInPaise = splitMath.toMinorUnits(receipt.total_amount);
+        const weights = participants.map(participant => parseFloat(this.getParticipantValue(percentages, participant)) || 0);
+        const amounts = splitMath.allocateProportional(totalInPaise, weights, 100, rounding);
+
         const calculations = {};
+        participants.forEach((participant, index) => {
+            calculations[participant.id] = {
+                ...this.buildCalculation(participant, amounts[index], totalInPaise),
+                share: weights[index].toFixed(1)
+            };
+        });
 
-        participants.forEach(participant => {
-            const percentage = percentages[participant.id] || 0;
-            const amount = (totalAmount * percentage) / 100;
-            
+        return calculations;
+    }
+
+    // Shares/weights split calculation ("Ravi counts as 2", "kids count as 0.5")
+    calculateSharesSplit(receipt, participants, splitData, rounding = {}) {
+        const shares = splitData.shares || {};
+        const totalInPaise = splitMath.toMinorUnits(receipt.total_amount);
+
+        // Anyone without an explicit weight counts as one share
+        const weights = participants.map(participant => {
+            const value = this.getParticipantValue(shares, participant);
+            return value === undefined ? 1 : parseFloat(value);
+        });
+
+        const errors = [];
+        participants.forEach((participant, index) => {
+            if (!Number.isFinite(weights[index]) || weights[index] < 0) {
+                errors.push({
+                    code: 'INVALID_SHARE_WEIGHT',
+                    participant: participant.name,
+                    message: `${participant.name} has an invalid share weight`
+                });
+            }
+        });
+        if (errors.length === 0 && !weights.some(weight => weight > 0)) {
+            errors.push({ code: 'NO_SHARES', message: 'At least one participant needs a share greater than zero' });
+        }
+        if (errors.length > 0) {
+            throw new SplitValidationError(`Invalid shares: ${errors.map(e => e.message).join('; ')}`, errors);
+        }
+
+        const amounts = splitMath.allocate(totalInPaise, weights, rounding);
+
+        const calculations = {};
+        participants.forEach((participant, index) => {
             calculations[participant.id] = {
-                name: participant.name,
-                amount: amount,
-                items: [],
-                share: percentage.toFixed(1)
+                ...this.buildCalculation(participant, amounts[index], totalInPaise),
+                weight: weights[index]
             };
         });
 
         return calculations;
     }
 
+    // Look up a per-participant value keyed by participant ID or name
+    getParticipantValue(values, participant) {
+        return values[participant.id] ?? values[participant.name];
+    }
+
+    // Record contributions and net amounts on each calculation
+    applyContributions(participants, calculations) {
+        const hasPayers = participants.some(participant => parseFloat(participant.amount_contributed || 0) > 0);
+
+        participants.forEach(participant => {
+            const calc = calculations[participant.id];
+            if (!calc) return;
+
+            const paid = splitMath.toMinorUnits(participant.amount_contributed);
+            calc.paid = splitMath.fromMinorUnits(paid);
+            calc.net = splitMath.fromMinorUnits(splitMath.toMinorUnits(calc.amount) - paid);
+
+            // Without recorded payers the whole share is owed to the implicit bill payer
+            calc.owed = hasPayers ? Math.max(0, calc.net) : calc.amount;
+        });
+    }
+
+    // Work out who pays whom when one or more participants paid the bill
+    calculateSettlements(participants, calculations) {
+        if (!participants.some(participant => parseFloat(participant.amount_contributed || 0) > 0)) {
+            return [];
+        }
+
+        // Positive balance means the participant is owed money
+        const balances = {};
+        participants.forEach(participant => {
+            const calc = calculations[participant.id];
+            if (calc) {
+                balances[participant.id] = -splitMath.toMinorUnits(calc.net);
+            }
+        });
+
+        const participantById = Object.fromEntries(participants.map(participant => [participant.id, participant]));
+
+        return groupService.simplifyDebts(balances).map(transfer => ({
+            from: transfer.from,
+            fromName: participantById[transfer.from].name,
+            to: transfer.to,
+            toName: participantById[transfer.to].name,
+            toUPI: participantById[transfer.to].upi_id || null,
+            amount: transfer.amountInPaise / 100
+        }));
+    }
+
     // Update participant amounts in database
     async updateParticipantAmounts(participants, calculations) {
-        const updates = participants.map(participant => ({
-            id: participant.id,
-            amount_owed: calculations[participant.id]?.amount || 0
-        }));
+        const updates = participants.map(participant => {
+            const amountOwed = calculations[participant.id]?.owed ?? calculations[participant.id]?.amount ?? 0;
+            return {
+                id: participant.id,
+                share_amount: calculations[participant.id]?.amount || 0,
+                amount_owed: amountOwed,
+                // A new amount owed can turn a full payment into a partial one
+                payment_status: this.getPaymentStatus(
+                    splitMath.toMinorUnits(amountOwed),
+                    splitMath.toMinorUnits(participant.amount_paid),
+                    participant.payment_status
+                )
+            };
+        });
 
         for (const update of updates) {
             await supabaseService.supabase
                 .from('split_participants')
-                .update({ amount_owed: update.amount_owed })
+                .update({
+                    share_amount: update.share_amount,
+                    amount_owed: update.amount_owed,
+                    payment_status: update.payment_status
+                })
                 .eq('id', update.id);
         }
     }
 
     // Generate split summary
-    generateSplitSummary(receipt, calculations) {
-        const totalAmount = parseFloat(receipt.total_amount);
+    generateSplitSummary(receipt, calculations, splitData = {}) {
+        // Tips and discounts only apply to item splits, where they are allocated
+        const hasCharges = Object.values(calculations).some(calc => calc.breakdown);
+        const tip = hasCharges ? splitMath.toMinorUnits(splitData.tip) : 0;
+        const discount = hasCharges ? splitMath.toMinorUnits(splitData.discount) : 0;
+        const totalInPaise = splitMath.toMinorUnits(receipt.total_amount) + tip - discount;
         const participantCount = Object.keys(calculations).length;
-        const calculatedTotal = Object.values(calculations).reduce((sum, calc) => sum + calc.amount, 0);
+        const calculatedInPaise = Object.values(calculations)
+            .reduce((sum, calc) => sum + splitMath.toMinorUnits(calc.amount), 0);
 
         return {
-            totalAmount,
+            totalAmount: splitMath.fromMinorUnits(totalInPaise),
+            receiptTotal: parseFloat(receipt.total_amount),
             participantCount,
-            calculatedTotal,
-            difference: Math.abs(totalAmount - calculatedTotal),
-            averagePerPerson: totalAmount / participantCount,
+            calculatedTotal: splitMath.fromMinorUnits(calculatedInPaise),
+            difference: splitMath.fromMinorUnits(Math.abs(totalInPaise - calculatedInPaise)),
+            averagePerPerson: participantCount > 0 ? splitMath.fromMinorUnits(Math.round(totalInPaise / participantCount)) : 0,
+            tip: splitMath.fromMinorUnits(tip),
+            discount: splitMath.fromMinorUnits(discount),
             currency: receipt.currency || 'INR'
         };
     }
 
+    // Generate UPI payment links toward whoever actually paid the bill
+    async generateSplitPayments(splitId, payerUPI = null) {
+        try {
+            const { data: split, error } = await supabaseService.supabase
+                .from('bill_splits')
+                .select(`
+                    *,
+                    receipts(merchant_name),
+                    split_participants(*),
+                    split_payments(*)
+                `)
+                .eq('id', splitId)
+                .single();
+
+            if (error) throw error;
+
+            const merchantName = split.receipts?.merchant_name || 'Restaurant';
+            const balance = this.buildSplitBalance(splitId, split.split_participants, split.split_payments);
+            const paymentParticipants = this.limitTransfersToOutstanding(
+                this.buildPaymentTransfers(split.split_participants),
+                balance.participants
+            );
+
+            const missingUPI = paymentParticipants
+                .filter(participant => !participant.payeeUPI && !payerUPI)
+                .map(participant => participant.payeeName || 'Bill Payer');
+
+            if (missingUPI.length > 0) {
+                throw new Error(`No UPI ID recorded for: ${[...new Set(missingUPI)].join(', ')}`);
+            }
+
+            return await upiService.generateSplitPayments({
+                participants: paymentParticipants,
+                merchantName
+            }, payerUPI);
+
+        } catch (error) {
+            console.error('❌ Error generating split payments:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Who pays whom: settlements between participants when the bill's payers are
+    // recorded. Legacy splits have no recorded payer, so everyone pays a single
+    // payee (no payeeUPI) for the amount they owe.
+    buildPaymentTransfers(participants) {
+        const calculations = {};
+        participants.forEach(participant => {
+            const share = splitMath.toMinorUnits(participant.share_amount || participant.amount_owed);
+            const paid = splitMath.toMinorUnits(participant.amount_contributed);
+            calculations[participant.id] = {
+                amount: splitMath.fromMinorUnits(share),
+                paid: splitMath.fromMinorUnits(paid),
+                net: splitMath.fromMinorUnits(share - paid)
+            };
+        });
+
+        const settlements = this.calculateSettlements(participants, calculations);
+
+        return settlements.length > 0
+            ? settlements.map(settlement => ({
+                id: settlement.from,
+                name: settlement.fromName,
+                amount: settlement.amount,
+                payeeName: settlement.toName,
+                payeeUPI: settlement.toUPI
+            }))
+            : participants.map(participant => ({
+                id: participant.id,
+                name: participant.name,
+                amount: parseFloat(participant.amount_owed || 0)
+            }));
+    }
+
+    // Cap each participant's transfers at what they still owe, in transfer order.
+    // balances come from buildParticipantBalance; paid and waived participants get none.
+    limitTransfersToOutstanding(transfers, balances) {
+        const remaining = {};
+        balances.forEach(balance => {
+            const settled = [this.paymentStatuses.PAID, this.paymentStatuses.WAIVED].includes(balance.status);
+            remaining[balance.participantId] = settled ? 0 : splitMath.toMinorUnits(balance.outstanding);
+        });
+
+        return transfers.flatMap(transfer => {
+            const amount = Math.min(remaining[transfer.id] || 0, splitMath.toMinorUnits(transfer.amount));
+            if (amount <= 0) return [];
+
+            remaining[transfer.id] -= amount;
+            return [{ ...transfer, amount: splitMath.fromMinorUnits(amount) }];
+        });
+    }
+
     // Get split details
     async getSplit(splitId) {
         try {
@@ -274,7 +1025,8 @@ class BillSplitService {
                 .select(`
                     *,
                     receipts(*),
-                    split_participants(*)
+                    split_participants(*),
+                    split_payments(*)
                 `)
                 .eq('id', splitId)
                 .single();
@@ -283,7 +1035,10 @@ class BillSplitService {
 
             return {
                 success: true,
-                data
+                data: {
+                    ...data,
+                    balance: this.buildSplitBalance(splitId, data.split_participants, data.split_payments)
+                }
             };
 
         } catch (error) {
@@ -295,41 +1050,74 @@ class BillSplitService {
         }
     }
 
-    // Update payment status
+    // Mark a participant paid, unpaid or waived.
+    // 'paid' records a payment for whatever they still owe, 'unpaid' (or 'pending')
+    // voids their payments, and 'waived' forgives the rest of their share.
     async updatePaymentStatus(participantId, status, paymentMethod = null) {
         try {
-            const updateData = {
-                payment_status: status,
-                payment_method: paymentMethod
-            };
+            const target = status === 'unpaid' ? this.paymentStatuses.PENDING : status;
+            const allowed = [this.paymentStatuses.PAID, this.paymentStatuses.PENDING, this.paymentStatuses.WAIVED];
+            if (!allowed.includes(target)) {
+                throw new Error(`Unknown payment status: ${status}. Use paid, unpaid or waived`);
+            }
 
-            if (status === 'paid') {
-                updateData.payment_date = new Date().toISOString();
-                
-                // Get participant amount and update amount_paid
-                const { data: participant } = await supabaseService.supabase
-                    .from('split_participants')
-                    .select('amount_owed')
-                    .eq('id', participantId)
-                    .single();
+            const participant = await this.getParticipant(participantId);
+
+            if (target === this.paymentStatuses.PAID) {
+                // A waiver reports nothing outstanding; paying clears it, so work from the payments alone
+                const balance = this.buildParticipantBalance(
+                    { ...participant, payment_status: null },
+                    await this.getPayments(participantId)
+                );
 
-                if (participant) {
-                    updateData.amount_paid = participant.amount_owed;
+                if (balance.outstanding > 0) {
+                    const result = await this.recordPayment(participantId, {
+                        amount: balance.outstanding,
+                        method: paymentMethod || 'upi'
+                    });
+                    if (!result.success) throw new Error(result.error);
                 }
             }
 
+            if (target === this.paymentStatuses.PENDING) {
+                const { error: voidError } = await supabaseService.supabase
+                    .from('split_payments')
+                    .update({
+                        voided_at: new Date().toISOString(),
+                        void_reason: 'Marked unpaid'
+                    })
+                    .eq('participant_id', participantId)
+                    .is('voided_at', null);
+
+                if (voidError) throw voidError;
+            }
+
+            // Derive the status from the payments, ignoring any earlier waiver
+            const balance = this.buildParticipantBalance(
+                { ...participant, payment_status: null },
+                await this.getPayments(participantId)
+            );
+
             const { data, error } = await supabaseService.supabase
                 .from('split_participants')
-                .update(updateData)
+                .update({
+                    payment_status: target === this.paymentStatuses.WAIVED ? target : balance.status
+                })
                 .eq('id', participantId)
                 .select()
                 .single();
 
             if (error) throw error;
 
+            const splitStatus = await this.refreshSplitStatus(participant.split_id);
+
+            console.log(`✅ ${participant.name} marked ${data.payment_status}`);
             return {
                 success: true,
-                data
+                data: {
+                    ...data,
+                    splitStatus
+                }
             };
 
         } catch (error) {
@@ -341,24 +1129,323 @@ class BillSplitService {
         }
     }
 
-    // Get user's splits
-    async getUserSplits(userIdentifier) {
+    // Flip a split to 'settled' once every participant has paid or been waived,
+    // and back to 'active' if that stops being true
+    async refreshSplitStatus(splitId) {
+        const { data: participants, error } = await supabaseService.supabase
+            .from('split_participants')
+            .select('payment_status')
+            .eq('split_id', splitId);
+
+        if (error) throw error;
+
+        const settledStatuses = [this.paymentStatuses.PAID, this.paymentStatuses.WAIVED];
+        const status = participants.length > 0 && participants.every(p => settledStatuses.includes(p.payment_status))
+            ? this.splitStatuses.SETTLED
+            : this.splitStatuses.ACTIVE;
+
+        const { error: updateError } = await supabaseService.supabase
+            .from('bill_splits')
+            .update({ status })
+            .eq('id', splitId)
+            .in('status', Object.values(this.splitStatuses));
+
+        if (updateError) throw updateError;
+        return status;
+    }
+
+    // Record a full or partial payment from a participant
+    async recordPayment(participantId, paymentData = {}) {
         try {
-            const { data, error } = await supabaseService.supabase
+            const amount = parseFloat(paymentData.amount);
+            if (!Number.isFinite(amount) || splitMath.toMinorUnits(amount) <= 0) {
+                throw new Error('Payment amount must be greater than zero');
+            }
+
+            const participant = await this.getParticipant(participantId);
+
+            const { data: payment, error } = await supabaseService.supabase
+                .from('split_payments')
+                .insert({
+                    split_id: participant.split_id,
+                    participant_id: participantId,
+                    amount: splitMath.fromMinorUnits(splitMath.toMinorUnits(amount)),
+                    method: paymentData.method || 'upi',
+                    reference: paymentData.reference || null,
+                    note: paymentData.note || null,
+                    paid_at: paymentData.paidAt || new Date().toISOString()
+                })
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            const balance = await this.getParticipantBalance(participantId);
+            const splitStatus = await this.refreshSplitStatus(participant.split_id);
+
+            console.log(`✅ Payment of ₹${payment.amount} recorded for ${participant.name}`);
+            return {
+                success: true,
+                data: {
+                    payment,
+                    balance,
+                    splitStatus
+                }
+            };
+
+        } catch (error) {
+            console.error('❌ Error recording payment:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Void a payment that was recorded by mistake. The row is kept for the history.
+    async voidPayment(paymentId, reason = null) {
+        try {
+            const { data: existing, error: fetchError } = await supabaseService.supabase
+                .from('split_payments')
+                .select('*')
+                .eq('id', paymentId)
+                .single();
+
+            if (fetchError) throw fetchError;
+
+            if (existing.voided_at) {
+                throw new Error('Payment has already been voided');
+            }
+
+            const { data: payment, error } = await supabaseService.supabase
+                .from('split_payments')
+                .update({
+                    voided_at: new Date().toISOString(),
+                    void_reason: reason
+                })
+                .eq('id', paymentId)
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            const balance = await this.getParticipantBalance(payment.participant_id);
+            const splitStatus = await this.refreshSplitStatus(payment.split_id);
+
+            console.log('✅ Payment voided:', paymentId);
+            return {
+                success: true,
+                data: {
+                    payment,
+                    balance,
+                    splitStatus
+                }
+            };
+
+        } catch (error) {
+            console.error('❌ Error voiding payment:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Get a participant's payments, newest first, including voided ones
+    async getPaymentHistory(participantId) {
+        try {
+            const { data: payments, error } = await supabaseService.supabase
+                .from('split_payments')
+                .select('*')
+                .eq('participant_id', participantId)
+                .order('paid_at', { ascending: false });
+
+            if (error) throw error;
+
+            const participant = await this.getParticipant(participantId);
+
+            return {
+                success: true,
+                data: {
+                    balance: this.buildParticipantBalance(participant, payments),
+                    payments
+                }
+            };
+
+        } catch (error) {
+            console.error('❌ Error getting payment history:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Get what each participant of a split has paid and still owes
+    async getSplitBalance(splitId) {
+        try {
+            const { data: participants, error } = await supabaseService.supabase
+                .from('split_participants')
+                .select('*')
+                .eq('split_id', splitId);
+
+            if (error) throw error;
+
+            const { data: payments, error: paymentsError } = await supabaseService.supabase
+                .from('split_payments')
+                .select('*')
+                .eq('split_id', splitId);
+
+            if (paymentsError) throw paymentsError;
+
+            return {
+                success: true,
+                data: this.buildSplitBalance(splitId, participants, payments)
+            };
+
+        } catch (error) {
+            console.error('❌ Error getting split balance:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    async getParticipant(participantId) {
+        const { data, error } = await supabaseService.supabase
+            .from('split_participants')
+            .select('*')
+            .eq('id', participantId)
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    async getPayments(participantId) {
+        const { data, error } = await supabaseService.supabase
+            .from('split_payments')
+            .select('*')
+            .eq('participant_id', participantId);
+
+        if (error) throw error;
+        return data;
+    }
+
+    async getParticipantBalance(participantId) {
+        const participant = await this.getParticipant(participantId);
+        return this.buildParticipantBalance(participant, await this.getPayments(participantId));
+    }
+
+    // Work out a participant's balance from their non-voided payments
+    buildParticipantBalance(participant, payments = []) {
+        const owed = splitMath.toMinorUnits(participant.amount_owed);
+        const paid = payments
+            .filter(payment => payment.participant_id === participant.id && !payment.voided_at)
+            .reduce((sum, payment) => sum + splitMath.toMinorUnits(payment.amount), 0);
+
+        const status = this.getPaymentStatus(owed, paid, participant.payment_status);
+
+        return {
+            participantId: participant.id,
+            name: participant.name,
+            amountOwed: splitMath.fromMinorUnits(owed),
+            amountPaid: splitMath.fromMinorUnits(paid),
+            // Nothing is outstanding once the rest of a share is waived
+            outstanding: status === this.paymentStatuses.WAIVED ? 0 : splitMath.fromMinorUnits(Math.max(owed - paid, 0)),
+            overpaid: splitMath.fromMinorUnits(Math.max(paid - owed, 0)),
+            status
+        };
+    }
+
+    buildSplitBalance(splitId, participants = [], payments = []) {
+        const balances = participants.map(participant => this.buildParticipantBalance(participant, payments || []));
+        const total = field => splitMath.fromMinorUnits(
+            balances.reduce((sum, balance) => sum + splitMath.toMinorUnits(balance[field]), 0));
+
+        return {
+            splitId,
+            totalOwed: total('amountOwed'),
+            totalPaid: total('amountPaid'),
+            outstanding: total('outstanding'),
+            participants: balances
+        };
+    }
+
+    // Derive a payment status from amounts in paise. A waiver sticks until the
+    // participant is explicitly marked paid or unpaid.
+    getPaymentStatus(owedInPaise, paidInPaise, currentStatus = null) {
+        if (currentStatus === this.paymentStatuses.WAIVED) return this.paymentStatuses.WAIVED;
+        if (owedInPaise <= 0) return this.paymentStatuses.PAID;
+        if (paidInPaise <= 0) return this.paymentStatuses.PENDING;
+        return paidInPaise >= owedInPaise ? this.paymentStatuses.PAID : this.paymentStatuses.PARTIALLY_PAID;
+    }
+
+    // List the splits a user created or takes part in, newest first.
+    // options: role ('creator', 'participant' or 'all'), status, startDate, endDate,
+    // outstandingOnly, page and limit.
+    async getUserSplits(userIdentifier, options = {}) {
+        try {
+            const page = Math.max(parseInt(options.page) || 1, 1);
+            const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), 100);
+
+            let splitIds = await this.findUserSplitIds(userIdentifier, options.role || 'all');
+
+            if (options.outstandingOnly && splitIds.length > 0) {
+                const { data: unpaid, error } = await supabaseService.supabase
+                    .from('split_participants')
+                    .select('split_id')
+                    .in('split_id', splitIds)
+                    .in('payment_status', [this.paymentStatuses.PENDING, this.paymentStatuses.PARTIALLY_PAID]);
+
+                if (error) throw error;
+
+                const outstandingIds = new Set(unpaid.map(participant => participant.split_id));
+                splitIds = splitIds.filter(id => outstandingIds.has(id));
+            }
+
+            if (splitIds.length === 0) {
+                return {
+                    success: true,
+                    data: [],
+                    pagination: this.buildPagination(page, limit, 0)
+                };
+            }
+
+            let query = supabaseService.supabase
                 .from('bill_splits')
                 .select(`
                     *,
                     receipts(merchant_name, total_amount, created_at),
-                    split_participants(name, amount_owed, payment_status)
-                `)
-                .or(`created_by.eq.${userIdentifier},split_participants.name.eq.${userIdentifier}`)
-                .order('created_at', { ascending: false });
+                    split_participants(id, name, email, amount_owed, amount_paid, payment_status)
+                `, { count: 'exact' })
+                .in('id', splitIds);
+
+            if (options.status) {
+                query = query.eq('status', options.status);
+            }
+            if (options.startDate) {
+                query = query.gte('created_at', options.startDate);
+            }
+            if (options.endDate) {
+                query = query.lte('created_at', options.endDate);
+            }
+
+            const from = (page - 1) * limit;
+            const { data, error, count } = await query
+                .order('created_at', { ascending: false })
+                .range(from, from + limit - 1);
 
             if (error) throw error;
 
             return {
                 success: true,
-                data
+                data: data.map(split => ({
+                    ...split,
+                    outstanding: this.getOutstandingAmount(split.split_participants)
+                })),
+                pagination: this.buildPagination(page, limit, count || 0)
             };
 
         } catch (error) {
@@ -369,6 +1456,56 @@ class BillSplitService {
             };
         }
     }
+
+    // Collect the IDs of splits created by the user (user ID or creator name)
+    // and of splits where they are a participant (name or email)
+    async findUserSplitIds(userIdentifier, role) {
+        const ids = new Set();
+        const isUserId = /^[0-9a-f-]{36}$/i.test(userIdentifier);
+
+        if (role === 'creator' || role === 'all') {
+            const { data, error } = await supabaseService.supabase
+                .from('bill_splits')
+                .select('id')
+                .eq(isUserId ? 'created_by' : 'split_data->>createdByName', userIdentifier);
+
+            if (error) throw error;
+            data.forEach(split => ids.add(split.id));
+        }
+
+        if (role === 'participant' || role === 'all') {
+            for (const column of ['name', 'email']) {
+                const { data, error } = await supabaseService.supabase
+                    .from('split_participants')
+                    .select('split_id')
+                    .eq(column, userIdentifier);
+
+                if (error) throw error;
+                data.forEach(participant => ids.add(participant.split_id));
+            }
+        }
+
+        return [...ids];
+    }
+
+    // Sum what participants still owe, leaving out waived shares
+    getOutstandingAmount(participants = []) {
+        const outstanding = participants
+            .filter(participant => participant.payment_status !== this.paymentStatuses.WAIVED)
+            .reduce((sum, participant) => sum + Math.max(
+                splitMath.toMinorUnits(participant.amount_owed) - splitMath.toMinorUnits(participant.amount_paid), 0), 0);
+
+        return splitMath.fromMinorUnits(outstanding);
+    }
+
+    buildPagination(page, limit, total) {
+        return {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        };
+    }
 }
 
 module.exports = new BillSplitService();
\ No newline at end of file
@@ -1,6 +1,7 @@
 // Category Service - Auto-categorization and expense management
 
 const supabaseService = require('./supabaseService');
+const receiptDateService = require('./receiptDateService');
 
 class CategoryService {
     constructor() {
@@ -166,6 +167,17 @@ class CategoryService {
         }
     }
 
+    // Find a category by ID or name (case-insensitive)
+    async findCategory(idOrName) {
+        if (!this.categories || this.categories.length === 0) {
+            await this.loadCategories();
+        }
+
+        const name = String(idOrName).toLowerCase();
+        return this.categories.find(category =>
+            category.id === idOrName || category.name.toLowerCase() === name) || null;
+    }
+
     // Create new category
     async createCategory(categoryData) {
         try {
@@ -235,20 +247,14 @@ class CategoryService {
             let query = supabaseService.supabase
                 .from('receipts')
                 .select(`
-                    category,
                     total_amount,
-                    created_at,
+                    spent_at,
                     expense_categories(name, color, icon)
                 `);
 
-            if (startDate) {
-                query = query.gte('created_at', startDate);
-            }
-            if (endDate) {
-                query = query.lte('created_at', endDate);
-            }
+            query = receiptDateService.applyDateRange(query, 'spent_at', startDate, endDate);
 
-            const { data, error } = await query.order('created_at', { ascending: false });
+            const { data, error } = await query.order('spent_at', { ascending: false });
 
             if (error) throw error;
 
@@ -257,7 +263,7 @@ class CategoryService {
             let totalSpending = 0;
 
             data.forEach(receipt => {
-                const category = receipt.category || 'Other';
+                const category = receipt.expense_categories?.name || 'Other';
                 const amount = parseFloat(receipt.total_amount) || 0;
 
                 if (!categorySpending[category]) {
@@ -308,19 +314,18 @@ class CategoryService {
 
             const { data, error } = await supabaseService.supabase
                 .from('receipts')
-                .select('total_amount, created_at')
-                .eq('category', category)
-                .gte('created_at', startDate.toISOString())
-                .lte('created_at', endDate.toISOString())
-                .order('created_at');
+                .select('total_amount, spent_at, expense_categories!inner(name)')
+                .eq('expense_categories.name', category)
+                .gte('spent_at', startDate.toISOString())
+                .lte('spent_at', endDate.toISOString())
+                .order('spent_at');
 
             if (error) throw error;
 
             // Group by month
             const monthlyData = {};
             data.forEach(receipt => {
-                const date = new Date(receipt.created_at);
-                const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+                const monthKey = receiptDateService.toIndianMonth(receipt.spent_at);
                 
                 if (!monthlyData[monthKey]) {
                     monthlyData[monthKey] = { total: 0, count: 0 };
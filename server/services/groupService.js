@@ -0,0 +1,499 @@
+// Group Service - Shared expense groups with a cross-receipt ledger
+
+const supabaseService = require('./supabaseService');
+const upiService = require('./upiService');
+const splitMath = require('../../client/split-math');
+
+class GroupService {
+    constructor() {
+        // Exact settle-up search is exponential, fall back to greedy above this size
+        this.maxExactSettlementSize = 12;
+    }
+
+    // Create a new group with its initial members
+    async createGroup(groupData) {
+        try {
+            console.log('👥 Creating group:', groupData.name);
+
+            const { data: group, error } = await supabaseService.supabase
+                .from('expense_groups')
+                .insert([{
+                    name: groupData.name || 'New Group',
+                    description: groupData.description || null,
+                    currency: groupData.currency || 'INR'
+                }])
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            if (groupData.members && groupData.members.length > 0) {
+                try {
+                    await this.insertMembers(group.id, groupData.members);
+                } catch (memberError) {
+                    // Don't leave a group without the members it was created with
+                    const { error: deleteError } = await supabaseService.supabase
+                        .from('expense_groups')
+                        .delete()
+                        .eq('id', group.id);
+
+                    if (deleteError) console.warn('Failed to remove incomplete group:', deleteError.message);
+                    throw memberError;
+                }
+            }
+
+            return await this.getGroup(group.id);
+
+        } catch (error) {
+            console.error('❌ Error creating group:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Get group with members and splits
+    async getGroup(groupId) {
+        try {
+            const { data, error } = await supabaseService.supabase
+                .from('expense_groups')
+                .select(`
+                    *,
+                    group_members(*),
+                    bill_splits(*, receipts(id, merchant_name, total_amount, created_at))
+                `)
+                .eq('id', groupId)
+                .single();
+
+            if (error) throw error;
+
+            return {
+                success: true,
+                data
+            };
+
+        } catch (error) {
+            console.error('❌ Error getting group:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Add members to an existing group
+    async addMembers(groupId, members) {
+        try {
+            const data = await this.insertMembers(groupId, members);
+
+            return {
+                success: true,
+                data
+            };
+
+        } catch (error) {
+            console.error('❌ Error adding group members:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Insert member records for a group
+    async insertMembers(groupId, members) {
+        const memberRecords = members.map(member => ({
+            group_id: groupId,
+            name: member.name,
+            email: member.email || null,
+            phone: member.phone || null,
+            upi_id: member.upiId || null
+        }));
+
+        const { data, error } = await supabaseService.supabase
+            .from('group_members')
+            .insert(memberRecords)
+            .select();
+
+        if (error) throw error;
+
+        return data;
+    }
+
+    // Attach an existing split (and its receipt) to a group
+    async addSplitToGroup(groupId, splitId, paidByMemberId) {
+        try {
+            const { data: members, error: membersError } = await supabaseService.supabase
+                .from('group_members')
+                .select('*')
+                .eq('group_id', groupId);
+
+            if (membersError) throw membersError;
+
+            const { data: split, error: splitError } = await supabaseService.supabase
+                .from('bill_splits')
+                .select('*, split_participants(*)')
+                .eq('id', splitId)
+                .single();
+
+            if (splitError) throw splitError;
+
+            // Splits that recorded who paid at the table don't need a single group payer
+            const hasContributions = this.hasContributions(split);
+            if (!hasContributions && !members.some(member => member.id === paidByMemberId)) {
+                throw new Error('Payer must be a member of the group');
+            }
+
+            const { data, error } = await supabaseService.supabase
+                .from('bill_splits')
+                .update({
+                    group_id: groupId,
+                    split_data: {
+                        ...split.split_data,
+                        groupPayerId: paidByMemberId || null
+                    }
+                })
+                .eq('id', splitId)
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            if (split.receipt_id) {
+                await supabaseService.supabase
+                    .from('receipts')
+                    .update({ group_id: groupId })
+                    .eq('id', split.receipt_id);
+            }
+
+            // Link participants to members by name so the ledger can net them
+            for (const participant of split.split_participants) {
+                const member = this.findMemberForParticipant(members, participant);
+                if (member) {
+                    await supabaseService.supabase
+                        .from('split_participants')
+                        .update({ group_member_id: member.id })
+                        .eq('id', participant.id);
+                }
+            }
+
+            return {
+                success: true,
+                data
+            };
+
+        } catch (error) {
+            console.error('❌ Error adding split to group:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Match a split participant to a group member
+    findMemberForParticipant(members, participant) {
+        if (participant.group_member_id) {
+            return members.find(member => member.id === participant.group_member_id) || null;
+        }
+
+        const name = (participant.name || '').trim().toLowerCase();
+        return members.find(member =>
+            (member.name || '').trim().toLowerCase() === name ||
+            (participant.phone && member.phone === participant.phone) ||
+            (participant.email && member.email === participant.email)
+        ) || null;
+    }
+
+    // Calculate net balances for every member across all group splits
+    async calculateBalances(groupId) {
+        try {
+            const { data: group, error } = await supabaseService.supabase
+                .from('expense_groups')
+                .select(`
+                    *,
+                    group_members(*),
+                    bill_splits(*, split_participants(*))
+                `)
+                .eq('id', groupId)
+                .single();
+
+            if (error) throw error;
+
+            const members = group.group_members;
+            const ledger = this.buildLedger(members, group.bill_splits);
+
+            return {
+                success: true,
+                data: {
+                    group: {
+                        id: group.id,
+                        name: group.name,
+                        currency: group.currency
+                    },
+                    members,
+                    ...ledger
+                }
+            };
+
+        } catch (error) {
+            console.error('❌ Error calculating group balances:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Build per-member net balances in paise from a group's splits
+    buildLedger(members, splits) {
+        const balances = {};
+        const unmatched = [];
+
+        members.forEach(member => {
+            balances[member.id] = 0;
+        });
+
+        (splits || []).forEach(split => {
+            if (this.hasContributions(split)) {
+                this.applyContributionSplit(members, split, balances, unmatched);
+                return;
+            }
+
+            const payerId = split.split_data?.groupPayerId;
+            if (!payerId || balances[payerId] === undefined) {
+                unmatched.push({ splitId: split.id, reason: 'No group payer recorded' });
+                return;
+            }
+
+            (split.split_participants || []).forEach(participant => {
+                const member = this.findMemberForParticipant(members, participant);
+                if (!member) {
+                    unmatched.push({ splitId: split.id, participant: participant.name, reason: 'Participant is not a group member' });
+                    return;
+                }
+
+                // Only what is still outstanding moves through the ledger
+                const outstanding = this.toPaise(participant.amount_owed) - this.toPaise(participant.amount_paid);
+                if (member.id === payerId || outstanding <= 0) return;
+
+                balances[member.id] -= outstanding;
+                balances[payerId] += outstanding;
+            });
+        });
+
+        return {
+            balances: members.map(member => ({
+                memberId: member.id,
+                name: member.name,
+                balance: balances[member.id] / 100
+            })),
+            balancesInPaise: balances,
+            unmatched
+        };
+    }
+
+    // Check whether a split recorded what each participant paid at the table
+    hasContributions(split) {
+        return (split.split_participants || []).some(participant => parseFloat(participant.amount_contributed || 0) > 0);
+    }
+
+    // Apply a split paid by one or more participants to the member balances
+    applyContributionSplit(members, split, balances, unmatched) {
+        const entries = [];
+
+        for (const participant of split.split_participants) {
+            const member = this.findMemberForParticipant(members, participant);
+            if (!member) {
+                unmatched.push({ splitId: split.id, participant: participant.name, reason: 'Participant is not a group member' });
+                return;
+            }
+
+            const share = this.toPaise(participant.share_amount ?? participant.amount_owed);
+            const net = this.toPaise(participant.amount_contributed) - share;
+            entries.push({ memberId: member.id, net, repaid: net < 0 ? this.toPaise(participant.amount_paid) : 0 });
+        }
+
+        // Repayments already made reduce what creditors are still owed, pro rata
+        const creditors = entries.filter(entry => entry.net > 0);
+        const totalRepaid = entries.reduce((sum, entry) => sum + entry.repaid, 0);
+        const portions = splitMath.allocate(totalRepaid, creditors.map(entry => entry.net));
+
+        entries.forEach(entry => {
+            balances[entry.memberId] += entry.net + entry.repaid;
+        });
+
+        creditors.forEach((entry, index) => {
+            balances[entry.memberId] -= portions[index];
+        });
+    }
+
+    // Compute the minimal set of transfers that settles every balance
+    simplifyDebts(balancesInPaise) {
+        const entries = Object.entries(balancesInPaise)
+            .filter(([, amount]) => amount !== 0)
+            .map(([memberId, amount]) => ({ memberId, amount }));
+
+        if (entries.length === 0) return [];
+
+        if (entries.length > this.maxExactSettlementSize) {
+            return this.settleGreedy(entries);
+        }
+
+        // Every zero-sum subgroup saves one transfer, so partition into as many as possible
+        const groups = this.partitionIntoZeroSumGroups(entries);
+        return groups.flatMap(group => this.settleGreedy(group));
+    }
+
+    // Split balances into the largest number of disjoint zero-sum subsets
+    partitionIntoZeroSumGroups(entries) {
+        const n = entries.length;
+        const fullMask = (1 << n) - 1;
+        const sums = new Array(1 << n).fill(0);
+
+        for (let mask = 1; mask <= fullMask; mask++) {
+            const lowBit = mask & -mask;
+            const index = 31 - Math.clz32(lowBit);
+            sums[mask] = sums[mask ^ lowBit] + entries[index].amount;
+        }
+
+        // best[mask] = max number of zero-sum groups the members in mask can form
+        const best = new Array(1 << n).fill(0);
+        const choice = new Array(1 << n).fill(0);
+
+        for (let mask = 1; mask <= fullMask; mask++) {
+            if (sums[mask] !== 0) continue;
+
+            // Anchor on the lowest member so each partition is enumerated once
+            const lowBit = mask & -mask;
+            const rest = mask ^ lowBit;
+            best[mask] = 1;
+            choice[mask] = mask;
+
+            for (let sub = rest; sub > 0; sub = (sub - 1) & rest) {
+                const part = sub | lowBit;
+                const remainder = mask ^ part;
+                if (sums[part] === 0 && remainder !== 0 && best[remainder] + 1 > best[mask]) {
+                    best[mask] = best[remainder] + 1;
+                    choice[mask] = part;
+                }
+            }
+        }
+
+        const groups = [];
+        let mask = fullMask;
+        while (mask) {
+            const part = choice[mask] || mask;
+            groups.push(entries.filter((_, index) => part & (1 << index)));
+            mask ^= part;
+        }
+
+        return groups;
+    }
+
+    // Settle a zero-sum set of balances by matching largest debtor with largest creditor
+    settleGreedy(entries) {
+        const creditors = entries.filter(entry => entry.amount > 0).map(entry => ({ ...entry }));
+        const debtors = entries.filter(entry => entry.amount < 0).map(entry => ({ ...entry, amount: -entry.amount }));
+        const transfers = [];
+
+        creditors.sort((a, b) => b.amount - a.amount);
+        debtors.sort((a, b) => b.amount - a.amount);
+
+        let c = 0;
+        let d = 0;
+        while (c < creditors.length && d < debtors.length) {
+            const amount = Math.min(creditors[c].amount, debtors[d].amount);
+            transfers.push({
+                from: debtors[d].memberId,
+                to: creditors[c].memberId,
+                amountInPaise: amount
+            });
+
+            creditors[c].amount -= amount;
+            debtors[d].amount -= amount;
+            if (creditors[c].amount === 0) c++;
+            if (debtors[d].amount === 0) d++;
+        }
+
+        return transfers;
+    }
+
+    // Get settle-up plan with one UPI payment per debtor and creditor
+    async getSettlementPlan(groupId) {
+        try {
+            const balanceResult = await this.calculateBalances(groupId);
+            if (!balanceResult.success) return balanceResult;
+
+            const { group, members, balances, balancesInPaise, unmatched } = balanceResult.data;
+            const memberById = Object.fromEntries(members.map(member => [member.id, member]));
+
+            const transfers = this.simplifyDebts(balancesInPaise).map(transfer => ({
+                from: transfer.from,
+                fromName: memberById[transfer.from].name,
+                to: transfer.to,
+                toName: memberById[transfer.to].name,
+                amount: transfer.amountInPaise / 100
+            }));
+
+            // Group transfers by creditor so each gets one payment batch
+            const payments = [];
+            const missingUPI = [];
+            const byCreditor = {};
+            transfers.forEach(transfer => {
+                (byCreditor[transfer.to] = byCreditor[transfer.to] || []).push(transfer);
+            });
+
+            for (const [creditorId, creditorTransfers] of Object.entries(byCreditor)) {
+                const creditor = memberById[creditorId];
+                if (!creditor.upi_id) {
+                    missingUPI.push({ memberId: creditorId, name: creditor.name });
+                    continue;
+                }
+
+                const paymentResult = await upiService.generateSplitPayments({
+                    participants: creditorTransfers.map(transfer => ({
+                        id: transfer.from,
+                        name: transfer.fromName,
+                        amount: transfer.amount,
+                        payeeName: creditor.name
+                    })),
+                    merchantName: group.name
+                }, creditor.upi_id);
+
+                if (paymentResult.success) {
+                    paymentResult.data.payments.forEach(payment => {
+                        payments.push({ ...payment, payeeId: creditorId });
+                    });
+                }
+            }
+
+            return {
+                success: true,
+                data: {
+                    group,
+                    balances,
+                    transfers,
+                    payments,
+                    missingUPI,
+                    unmatched
+                }
+            };
+
+        } catch (error) {
+            console.error('❌ Error generating settlement plan:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Convert a rupee amount to integer paise
+    toPaise(amount) {
+        return splitMath.toMinorUnits(amount);
+    }
+}
+
+module.exports = new GroupService();
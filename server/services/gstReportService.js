@@ -0,0 +1,198 @@
+// GST Report Service - Input tax credit reports for reconciling with GSTR-2B
+
+const supabaseService = require('./supabaseService');
+const splitMath = require('../../client/split-math');
+const receiptDateService = require('./receiptDateService');
+
+class GSTReportService {
+    constructor() {
+        this.taxTypes = ['IGST', 'CGST', 'SGST', 'CESS'];
+
+        // Invoice-level columns, in the order GSTR-2B lists B2B invoices
+        this.csvColumns = [
+            { header: 'Supplier GSTIN', value: row => row.gstin },
+            { header: 'Supplier Name', value: row => row.supplierName },
+            { header: 'Invoice Number', value: row => row.invoiceNumber },
+            { header: 'Invoice Date', value: row => row.invoiceDate },
+            { header: 'Place of Supply', value: row => row.placeOfSupply },
+            { header: 'Supply Type', value: row => row.supplyType },
+            { header: 'Taxable Value', value: row => row.taxableValue.toFixed(2) },
+            { header: 'IGST', value: row => row.igst.toFixed(2) },
+            { header: 'CGST', value: row => row.cgst.toFixed(2) },
+            { header: 'SGST', value: row => row.sgst.toFixed(2) },
+            { header: 'Cess', value: row => row.cess.toFixed(2) },
+            { header: 'Invoice Value', value: row => row.invoiceValue.toFixed(2) },
+            { header: 'ITC Eligible', value: row => row.eligible ? 'Y' : 'N' },
+            { header: 'Issues', value: row => row.issues.join('; ') },
+            { header: 'Receipt ID', value: row => row.receiptId }
+        ];
+    }
+
+    // Aggregate GST paid over a date range by supplier GSTIN, tax type and month.
+    // Receipts without a valid GSTIN are listed but excluded from the claimable totals.
+    async generateInputCreditReport(startDate, endDate, options = {}) {
+        try {
+            console.log('🧾 Generating GST input credit report for period:', startDate, 'to', endDate);
+
+            let query = supabaseService.supabase
+                .from('receipts')
+                .select('id, merchant_name, merchant_gstin, invoice_number, subtotal, tax_amount, total_amount, spent_at, gst_details')
+                .order('spent_at');
+
+            // Whole IST days at both ends, the same calendar invoice dates are reported in
+            query = receiptDateService.applyDateRange(query, 'spent_at', startDate, endDate);
+            if (options.gstin) query = query.eq('merchant_gstin', options.gstin.toUpperCase());
+
+            const { data, error } = await query;
+            if (error) throw error;
+
+            // Only receipts that carry GST count towards the report
+            const invoices = data
+                .map(receipt => this.buildInvoiceRow(receipt))
+                .filter(row => row.totalTax > 0);
+
+            const eligible = invoices.filter(row => row.eligible);
+            const totals = this.sumTaxes(eligible);
+
+            return {
+                success: true,
+                data: {
+                    period: { startDate, endDate },
+                    totals,
+                    bySupplier: this.groupBy(eligible, row => row.gstin, row => ({
+                        gstin: row.gstin,
+                        supplierName: row.supplierName,
+                        placeOfSupply: row.placeOfSupply
+                    })),
+                    byMonth: this.groupBy(eligible, row => row.month, row => ({ month: row.month })),
+                    byTaxType: this.taxTypes.map(type => ({
+                        type,
+                        amount: totals[type.toLowerCase()]
+                    })),
+                    flagged: invoices
+                        .filter(row => !row.eligible)
+                        .map(row => ({
+                            receiptId: row.receiptId,
+                            supplierName: row.supplierName,
+                            invoiceDate: row.invoiceDate,
+                            gstin: row.gstin,
+                            totalTax: row.totalTax,
+                            issues: row.issues
+                        })),
+                    invoices
+                }
+            };
+
+        } catch (error) {
+            console.error('❌ Error generating GST report:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // One GSTR-2B style row per receipt
+    buildInvoiceRow(receipt) {
+        const gst = receipt.gst_details || {};
+        const gstin = receipt.merchant_gstin || gst.gstin || null;
+        const invoiceDate = receipt.spent_at ? this.toIndianDate(receipt.spent_at) : null;
+        const issues = [];
+
+        // Older receipts only have the lumped tax amount
+        const components = {
+            igst: splitMath.toMinorUnits(gst.igst || 0),
+            cgst: splitMath.toMinorUnits(gst.cgst || 0),
+            sgst: splitMath.toMinorUnits(gst.sgst || 0),
+            cess: splitMath.toMinorUnits(gst.cess || 0)
+        };
+        const componentTotal = components.igst + components.cgst + components.sgst + components.cess;
+        const totalTax = componentTotal || splitMath.toMinorUnits(receipt.tax_amount || 0);
+
+        if (!gstin) {
+            issues.push('MISSING_GSTIN');
+        } else if (!gst.gstinValid) {
+            issues.push('INVALID_GSTIN');
+        }
+        if (componentTotal === 0 && totalTax > 0) issues.push('NO_TAX_BREAKDOWN');
+        if (!receipt.invoice_number) issues.push('MISSING_INVOICE_NUMBER');
+        (gst.warnings || [])
+            .filter(warning => warning.code !== 'INVALID_GSTIN')
+            .forEach(warning => issues.push(warning.code));
+
+        return {
+            receiptId: receipt.id,
+            gstin,
+            supplierName: receipt.merchant_name,
+            invoiceNumber: receipt.invoice_number || null,
+            invoiceDate,
+            month: invoiceDate ? invoiceDate.slice(0, 7) : null,
+            placeOfSupply: gstin ? gstin.slice(0, 2) : null,
+            supplyType: gst.supplyType || null,
+            taxableValue: parseFloat(receipt.subtotal || 0),
+            igst: splitMath.fromMinorUnits(components.igst),
+            cgst: splitMath.fromMinorUnits(components.cgst),
+            sgst: splitMath.fromMinorUnits(components.sgst),
+            cess: splitMath.fromMinorUnits(components.cess),
+            totalTax: splitMath.fromMinorUnits(totalTax),
+            invoiceValue: parseFloat(receipt.total_amount || 0),
+            // Credit can be claimed on a valid supplier GSTIN with a CGST/SGST/IGST split
+            eligible: Boolean(gstin && gst.gstinValid && componentTotal > 0),
+            issues
+        };
+    }
+
+    // Invoice dates are Indian calendar dates, not UTC ones
+    toIndianDate(timestamp) {
+        return receiptDateService.toIndianDate(timestamp);
+    }
+
+    groupBy(rows, keyOf, describe) {
+        const groups = {};
+
+        rows.forEach(row => {
+            const key = keyOf(row);
+            if (!groups[key]) {
+                groups[key] = { ...describe(row), invoices: 0, rows: [] };
+            }
+            groups[key].invoices += 1;
+            groups[key].rows.push(row);
+        });
+
+        return Object.values(groups).map(({ rows: groupRows, ...group }) => ({
+            ...group,
+            ...this.sumTaxes(groupRows)
+        }));
+    }
+
+    // Sum in paise so totals match the per-invoice figures exactly
+    sumTaxes(rows) {
+        const sum = field => splitMath.fromMinorUnits(
+            rows.reduce((total, row) => total + splitMath.toMinorUnits(row[field]), 0)
+        );
+
+        return {
+            taxableValue: sum('taxableValue'),
+            igst: sum('igst'),
+            cgst: sum('cgst'),
+            sgst: sum('sgst'),
+            cess: sum('cess'),
+            totalTax: sum('totalTax')
+        };
+    }
+
+    // Invoice rows as CSV, flagged receipts included with ITC Eligible = N
+    toCSV(report) {
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [
+            this.csvColumns.map(column => escape(column.header)).join(','),
+            ...report.invoices.map(row => this.csvColumns.map(column => escape(column.value(row))).join(','))
+        ].join('\n') + '\n';
+    }
+}
+
+module.exports = new GSTReportService();
@@ -0,0 +1,213 @@
+// Image Hash Service - Exact and perceptual image hashes for OCR caching and duplicate uploads
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const supabaseService = require('./supabaseService');
+const analyticsService = require('./analyticsService');
+
+class ImageHashService {
+    constructor() {
+        // Perceptual hashes (64 bits) this close are treated as the same photo:
+        // a re-save, resize or recompression of it rather than a new picture
+        this.maxPerceptualDistance = 6;
+        this.recentReceiptLimit = 500;
+        // Receipts photographed on white paper can look alike at 9x8, so a
+        // perceptual match is only flagged when the extracted contents agree too
+        this.minContentSimilarity = 0.8;
+
+        this.cacheTTL = 24 * 60 * 60 * 1000;
+        this.maxCacheEntries = 200;
+        this.resultCache = new Map();
+    }
+
+    // SHA-256 of the uploaded bytes plus a 64-bit difference hash (dHash) of the picture
+    async computeHashes(imageBuffer) {
+        const sha256 = crypto.createHash('sha256').update(imageBuffer).digest('hex');
+
+        let perceptual = null;
+        try {
+            perceptual = await this.differenceHash(imageBuffer);
+        } catch (error) {
+            console.warn('Perceptual hash failed:', error.message);
+        }
+
+        return { sha256, perceptual };
+    }
+
+    // Shrink to 9x8 greyscale and record whether each pixel is brighter than its
+    // right-hand neighbour. Survives resizing, recompression and small exposure changes.
+    async differenceHash(imageBuffer) {
+        const pixels = await sharp(imageBuffer)
+            .rotate() // Respect EXIF orientation so a re-export of the same photo matches
+            .greyscale()
+            .resize(9, 8, { fit: 'fill' })
+            .raw()
+            .toBuffer();
+
+        let hash = 0n;
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const left = pixels[row * 9 + col];
+                const right = pixels[row * 9 + col + 1];
+                hash = (hash << 1n) | (left > right ? 1n : 0n);
+            }
+        }
+
+        return hash.toString(16).padStart(16, '0');
+    }
+
+    hammingDistance(hashA, hashB) {
+        let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+        let distance = 0;
+
+        while (diff > 0n) {
+            distance += Number(diff & 1n);
+            diff >>= 1n;
+        }
+
+        return distance;
+    }
+
+    // OCR result for an identical image: in-memory first, then a saved receipt with the same hash
+    async getCachedResult(sha256) {
+        const cached = this.resultCache.get(sha256);
+        if (cached && Date.now() - cached.cachedAt < this.cacheTTL) {
+            return { ...cached.data, receiptId: cached.receiptId };
+        }
+        this.resultCache.delete(sha256);
+
+        if (!supabaseService.supabase) return null;
+
+        try {
+            const { data, error } = await supabaseService.supabase
+                .from('receipts')
+                .select('*')
+                .eq('image_sha256', sha256)
+                .order('created_at', { ascending: true })
+                .limit(1);
+
+            if (error) throw error;
+            if (!data || data.length === 0) return null;
+
+            const result = this.receiptToResult(data[0]);
+            this.cacheResult(sha256, result);
+            return result;
+
+        } catch (error) {
+            console.warn('Failed to look up image hash:', error.message);
+            return null;
+        }
+    }
+
+    cacheResult(sha256, data) {
+        // Re-inserting keeps the Map in least-recently-cached order
+        this.resultCache.delete(sha256);
+        this.resultCache.set(sha256, { data, receiptId: data.receiptId, cachedAt: Date.now() });
+
+        while (this.resultCache.size > this.maxCacheEntries) {
+            this.resultCache.delete(this.resultCache.keys().next().value);
+        }
+    }
+
+    // Drop cached results for a receipt that was edited or deleted, so a
+    // re-upload reads the stored receipt again (or saves a new one)
+    forgetReceipt(receiptId) {
+        for (const [sha256, entry] of this.resultCache) {
+            if (entry.receiptId === receiptId) this.resultCache.delete(sha256);
+        }
+    }
+
+    // Recent receipts whose photo is perceptually the same as this one, closest first
+    async findSimilarReceipts(perceptual) {
+        if (!perceptual || !supabaseService.supabase) return [];
+
+        try {
+            const { data, error } = await supabaseService.supabase
+                .from('receipts')
+                .select('id, merchant_name, total_amount, invoice_number, transaction_at, created_at, items, image_phash')
+                .not('image_phash', 'is', null)
+                .order('created_at', { ascending: false })
+                .limit(this.recentReceiptLimit);
+
+            if (error) throw error;
+
+            return data
+                .map(receipt => ({ receipt, distance: this.hammingDistance(perceptual, receipt.image_phash) }))
+                .filter(match => match.distance <= this.maxPerceptualDistance)
+                .sort((a, b) => a.distance - b.distance);
+
+        } catch (error) {
+            console.warn('Failed to search for similar images:', error.message);
+            return [];
+        }
+    }
+
+    // Look for an earlier upload of the same receipt before saving a new one.
+    // Returns the closest receipt whose photo and contents both match, or null.
+    async findProbableDuplicate(hashes, ocrData) {
+        const matches = await this.findSimilarReceipts(hashes.perceptual);
+        if (matches.length === 0) return null;
+
+        const candidate = {
+            merchant_name: ocrData.merchantInfo?.name,
+            total_amount: ocrData.total,
+            invoice_number: ocrData.invoiceNumber,
+            transaction_at: ocrData.transactionDate,
+            created_at: new Date().toISOString(),
+            items: ocrData.items || []
+        };
+
+        for (const match of matches) {
+            const similarity = analyticsService.calculateReceiptSimilarity(candidate, match.receipt);
+            if (similarity >= this.minContentSimilarity) {
+                return {
+                    type: 'probable',
+                    receiptId: match.receipt.id,
+                    merchantName: match.receipt.merchant_name,
+                    totalAmount: parseFloat(match.receipt.total_amount || 0),
+                    distance: match.distance,
+                    similarity: Math.round(similarity * 100) / 100
+                };
+            }
+        }
+
+        return null;
+    }
+
+    // Rebuild the /api/ocr/process response shape from a stored receipt
+    receiptToResult(receipt) {
+        const metadata = receipt.metadata || {};
+
+        return {
+            receiptId: receipt.id,
+            merchantInfo: {
+                name: receipt.merchant_name,
+                address: receipt.merchant_address,
+                phone: receipt.merchant_phone,
+                gstNumber: receipt.merchant_gstin
+            },
+            items: receipt.items || [],
+            subtotal: parseFloat(receipt.subtotal || 0),
+            tax: parseFloat(receipt.tax_amount || 0),
+            serviceCharge: parseFloat(receipt.service_charge || 0),
+            total: parseFloat(receipt.total_amount || 0),
+            gst: receipt.gst_details,
+            receiptDate: metadata.receiptDate || null,
+            receiptTime: metadata.receiptTime || null,
+            transactionDate: receipt.transaction_at,
+            invoiceNumber: receipt.invoice_number,
+            kotNumber: receipt.kot_number,
+            tableNumber: receipt.table_number,
+            receiptType: metadata.receiptType,
+            currency: metadata.currency || 'INR',
+            rawText: receipt.raw_ocr_text,
+            confidence: parseFloat(receipt.confidence_score || 0),
+            categoryId: receipt.category_id,
+            categoryName: metadata.categoryName,
+            category: receipt.category_id ? { id: receipt.category_id, name: metadata.categoryName } : null,
+            categoryConfidence: metadata.categoryConfidence
+        };
+    }
+}
+
+module.exports = new ImageHashService();
@@ -0,0 +1,425 @@
+// Item Claim Service - Let people on an editable share link claim the items they had
+
+const supabaseService = require('./supabaseService');
+const sharingService = require('./sharingService');
+const billSplitService = require('./billSplitService');
+
+class ItemClaimError extends Error {
+    constructor(message, code, details = []) {
+        super(message);
+        this.name = 'ItemClaimError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+class ItemClaimService {
+    constructor() {
+        this.itemStatuses = {
+            UNCLAIMED: 'unclaimed',
+            PARTIAL: 'partial',
+            CLAIMED: 'claimed',
+            CONFLICT: 'conflict'
+        };
+
+        this.maxNameLength = 100;
+    }
+
+    // Claims on a link so far, as a recipient sees them (no phone numbers)
+    async getClaimsForToken(shareToken, access = {}) {
+        try {
+            const { share } = await sharingService.authorizeShare(shareToken, access);
+            this.assertEditable(share);
+
+            const claims = await this.listClaims(share.id);
+
+            return {
+                success: true,
+                data: this.buildClaimSummary(share, share.receipts, claims, { includeContacts: false })
+            };
+
+        } catch (error) {
+            console.error('❌ Error getting item claims:', error.message);
+            return this.formatError(error);
+        }
+    }
+
+    // Replace a recipient's claims on a link. claimant: { name, phone };
+    // items: [{ index, units?, shared? }] where shared means the item was shared
+    // with others at the table. An empty list withdraws all of their claims.
+    async submitClaims(shareToken, access = {}, claimant = {}, items = []) {
+        try {
+            const { share } = await sharingService.authorizeShare(shareToken, access);
+            this.assertEditable(share);
+            if (share.claims_locked_at) {
+                throw new ItemClaimError('The owner has locked this split; claims can no longer change', 'CLAIMS_LOCKED');
+            }
+
+            const receiptItems = share.receipts.items || [];
+            const identity = this.normalizeClaimant(claimant);
+            const rows = this.normalizeClaimItems(items, receiptItems).map(item => ({
+                share_id: share.id,
+                receipt_id: share.receipt_id,
+                item_index: item.index,
+                item_name: receiptItems[item.index].name,
+                claimant_key: identity.key,
+                claimant_name: identity.name,
+                claimant_phone: identity.phone,
+                units: item.units,
+                shared: item.shared
+            }));
+
+            const { error } = await supabaseService.supabase
+                .rpc('replace_item_claims', {
+                    p_share_id: share.id,
+                    p_claimant_key: identity.key,
+                    p_claims: rows
+                });
+
+            if (error) throw error;
+
+            console.log(`🙋 ${identity.name} claimed ${rows.length} item(s) on share ${share.id}`);
+
+            const claims = await this.listClaims(share.id);
+            return {
+                success: true,
+                data: this.buildClaimSummary(share, share.receipts, claims, { includeContacts: false })
+            };
+
+        } catch (error) {
+            console.error('❌ Error submitting item claims:', error.message);
+            return this.formatError(error);
+        }
+    }
+
+    // Claims on a link for its owner, with contact details
+    async getClaimsForShare(shareId) {
+        try {
+            const share = await this.getShareWithReceipt(shareId);
+            const claims = await this.listClaims(share.id);
+
+            return {
+                success: true,
+                data: this.buildClaimSummary(share, share.receipts, claims, { includeContacts: true })
+            };
+
+        } catch (error) {
+            console.error('❌ Error getting item claims:', error.message);
+            return this.formatError(error);
+        }
+    }
+
+    // Stop further claims and split the bill by item from the claims.
+    // options: name, paidBy, rounding, chargeRules, tip, discount (as for a split),
+    // and overrides { [itemIndex]: [participant names] } to settle conflicts and
+    // unclaimed items. Fails with CLAIMS_INCOMPLETE while any item is unresolved.
+    async lockClaims(shareId, options = {}) {
+        try {
+            const share = await this.getShareWithReceipt(shareId);
+            this.assertEditable(share);
+            if (share.claims_locked_at) {
+                throw new ItemClaimError('Claims on this link are already locked', 'CLAIMS_LOCKED');
+            }
+
+            // Take the lock first so concurrent requests can't both create a split
+            const { data: locked, error: lockError } = await supabaseService.supabase
+                .from('receipt_shares')
+                .update({ claims_locked_at: new Date().toISOString() })
+                .eq('id', share.id)
+                .is('claims_locked_at', null)
+                .select('id');
+
+            if (lockError) throw lockError;
+            if (!locked || locked.length === 0) {
+                throw new ItemClaimError('Claims on this link are already locked', 'CLAIMS_LOCKED');
+            }
+
+            let result;
+            try {
+                const claims = await this.listClaims(share.id);
+                const summary = this.buildClaimSummary(share, share.receipts, claims, { includeContacts: true });
+                const splitData = this.buildSplitRequest(share.receipts, summary, options);
+
+                result = await billSplitService.createSplit(share.receipt_id, splitData);
+            } catch (error) {
+                await this.releaseLock(share.id);
+                throw error;
+            }
+
+            if (!result.success) {
+                await this.releaseLock(share.id);
+                return result;
+            }
+
+            const splitId = result.data.split.id;
+            const { error } = await supabaseService.supabase
+                .from('receipt_shares')
+                .update({ split_id: splitId })
+                .eq('id', share.id);
+
+            if (error) throw error;
+
+            console.log('🔒 Item claims locked for share', share.id, '-> split', splitId);
+            return {
+                success: true,
+                data: result.data
+            };
+
+        } catch (error) {
+            console.error('❌ Error locking item claims:', error.message);
+            return this.formatError(error);
+        }
+    }
+
+    // Reopen claims after a lock whose split could not be created
+    async releaseLock(shareId) {
+        const { error } = await supabaseService.supabase
+            .from('receipt_shares')
+            .update({ claims_locked_at: null })
+            .eq('id', shareId);
+
+        if (error) console.warn('Failed to release claims lock:', error.message);
+    }
+
+    // Turn claims (and owner overrides) into a by_items split request
+    buildSplitRequest(receipt, summary, options = {}) {
+        const overrides = options.overrides || {};
+        const unresolved = summary.items.filter(item =>
+            item.status !== this.itemStatuses.CLAIMED && !(String(item.index) in overrides));
+
+        if (unresolved.length > 0) {
+            throw new ItemClaimError('Some items are unclaimed or claimed by too many people', 'CLAIMS_INCOMPLETE',
+                unresolved.map(item => ({
+                    code: item.status.toUpperCase(),
+                    item: item.index,
+                    message: item.status === this.itemStatuses.CONFLICT
+                        ? `${item.name} is claimed by ${item.claims.map(claim => claim.name).join(', ')}, more than its quantity covers`
+                        : `${item.name} is not fully claimed`
+                })));
+        }
+
+        const participants = summary.claimants.map(claimant => ({
+            name: claimant.name,
+            phone: claimant.phone || null
+        }));
+        const addParticipant = name => {
+            if (!participants.some(participant => participant.name === name)) {
+                participants.push({ name, phone: null });
+            }
+        };
+
+        const itemAssignments = {};
+        summary.items.forEach(item => {
+            const override = overrides[item.index] ?? overrides[String(item.index)];
+            if (override !== undefined) {
+                const names = (Array.isArray(override) ? override : [override]).map(name => String(name).trim()).filter(Boolean);
+                names.forEach(addParticipant);
+                itemAssignments[item.index] = names;
+                return;
+            }
+
+            const byUnits = item.claims.some(claim => claim.units !== null);
+            itemAssignments[item.index] = item.claims.map(claim =>
+                byUnits ? { participant: claim.name, units: claim.units } : claim.name);
+        });
+
+        return {
+            name: options.name || `${receipt.merchant_name || 'Bill'} split`,
+            method: billSplitService.splitMethods.BY_ITEMS,
+            participants,
+            itemAssignments,
+            paidBy: options.paidBy,
+            rounding: options.rounding,
+            chargeRules: options.chargeRules,
+            tip: options.tip,
+            discount: options.discount
+        };
+    }
+
+    // Per-item view of the claims. An item is in conflict when more people claim
+    // it than its quantity covers and someone didn't mark it shared, or when unit
+    // claims add up to more than the quantity.
+    buildClaimSummary(share, receipt, claims, options = {}) {
+        const items = (receipt.items || []).map((item, index) => ({
+            index,
+            name: item.name,
+            price: parseFloat(item.price || 0),
+            quantity: item.quantity || 1,
+            claims: []
+        }));
+
+        const claimants = {};
+        const claimsByKey = {};
+        claims.forEach(claim => {
+            const item = items[claim.item_index];
+            // Claims on items the receipt no longer has at that position are stale
+            if (!item || item.name !== claim.item_name) return;
+
+            const itemClaim = {
+                name: claim.claimant_name,
+                ...(options.includeContacts && { phone: claim.claimant_phone }),
+                units: claim.units !== null && claim.units !== undefined ? parseFloat(claim.units) : null,
+                shared: Boolean(claim.shared)
+            };
+            item.claims.push(itemClaim);
+
+            const claimant = claimants[claim.claimant_key] = claimants[claim.claimant_key] || {
+                name: claim.claimant_name,
+                ...(options.includeContacts && { phone: claim.claimant_phone }),
+                items: 0
+            };
+            claimant.items += 1;
+            (claimsByKey[claim.claimant_key] = claimsByKey[claim.claimant_key] || []).push(itemClaim);
+        });
+
+        // Split participants are keyed by name, so two different people called
+        // Ravi become "Ravi" and "Ravi 2"
+        const taken = new Set();
+        Object.entries(claimants).forEach(([key, claimant]) => {
+            let name = claimant.name;
+            for (let suffix = 2; taken.has(name.toLowerCase()); suffix++) {
+                name = `${claimant.name} ${suffix}`;
+            }
+            taken.add(name.toLowerCase());
+
+            claimant.name = name;
+            claimsByKey[key].forEach(itemClaim => { itemClaim.name = name; });
+        });
+
+        items.forEach(item => {
+            item.status = this.getItemStatus(item);
+        });
+
+        return {
+            shareId: share.id,
+            locked: Boolean(share.claims_locked_at),
+            lockedAt: share.claims_locked_at || null,
+            splitId: share.claims_locked_at ? share.split_id : null,
+            items,
+            claimants: Object.values(claimants),
+            conflicts: items.filter(item => item.status === this.itemStatuses.CONFLICT).map(item => item.index),
+            unclaimed: items
+                .filter(item => [this.itemStatuses.UNCLAIMED, this.itemStatuses.PARTIAL].includes(item.status))
+                .map(item => item.index)
+        };
+    }
+
+    getItemStatus(item) {
+        const claims = item.claims;
+        if (claims.length === 0) return this.itemStatuses.UNCLAIMED;
+
+        const unitClaims = claims.filter(claim => claim.units !== null);
+        if (unitClaims.length > 0) {
+            // Mixing "I had 2" with "I had some" can't be split fairly without the owner
+            if (unitClaims.length !== claims.length) return this.itemStatuses.CONFLICT;
+
+            const units = unitClaims.reduce((sum, claim) => sum + claim.units, 0);
+            if (units > item.quantity + 1e-9) return this.itemStatuses.CONFLICT;
+            return units < item.quantity - 1e-9 ? this.itemStatuses.PARTIAL : this.itemStatuses.CLAIMED;
+        }
+
+        if (claims.length > item.quantity && claims.some(claim => !claim.shared)) {
+            return this.itemStatuses.CONFLICT;
+        }
+        return this.itemStatuses.CLAIMED;
+    }
+
+    normalizeClaimant(claimant) {
+        const name = String(claimant.name || '').trim().replace(/\s+/g, ' ');
+        const phone = String(claimant.phone || '').replace(/[^\d+]/g, '');
+
+        if (!name || name.length > this.maxNameLength) {
+            throw new ItemClaimError('Enter your name (up to 100 characters) to claim items', 'INVALID_CLAIMANT');
+        }
+        if (phone && !/^\+?\d{10,15}$/.test(phone)) {
+            throw new ItemClaimError('Phone number must have 10 to 15 digits', 'INVALID_CLAIMANT');
+        }
+
+        // The last 10 digits identify an Indian mobile number with or without +91
+        return {
+            name,
+            phone: phone || null,
+            key: phone ? `phone:${phone.replace(/\D/g, '').slice(-10)}` : `name:${name.toLowerCase()}`
+        };
+    }
+
+    normalizeClaimItems(items, receiptItems) {
+        if (!Array.isArray(items)) {
+            throw new ItemClaimError('items must be a list of claimed items', 'INVALID_CLAIM');
+        }
+
+        const errors = [];
+        const claimed = new Map();
+
+        items.forEach((entry, position) => {
+            const claim = entry !== null && typeof entry === 'object' ? entry : { index: entry };
+            const index = Number(claim.index);
+
+            if (!Number.isInteger(index) || !receiptItems[index]) {
+                errors.push({ code: 'UNKNOWN_ITEM', field: `items[${position}]`, message: `Item ${claim.index} is not on the receipt` });
+                return;
+            }
+
+            let units = null;
+            if (claim.units !== undefined && claim.units !== null && claim.units !== '') {
+                units = Number(claim.units);
+                const quantity = receiptItems[index].quantity || 1;
+                if (!Number.isFinite(units) || units <= 0 || units > quantity) {
+                    errors.push({ code: 'INVALID_UNITS', field: `items[${position}].units`, message: `Units for ${receiptItems[index].name} must be between 0 and ${quantity}` });
+                    return;
+                }
+            }
+
+            claimed.set(index, { index, units, shared: Boolean(claim.shared) });
+        });
+
+        if (errors.length > 0) {
+            throw new ItemClaimError('Some claims are invalid', 'INVALID_CLAIM', errors);
+        }
+
+        return [...claimed.values()];
+    }
+
+    assertEditable(share) {
+        if (!share.recipient_info?.allowEdit) {
+            throw new ItemClaimError('This share link does not allow claiming items', 'EDIT_NOT_ALLOWED');
+        }
+    }
+
+    async listClaims(shareId) {
+        const { data, error } = await supabaseService.supabase
+            .from('item_claims')
+            .select('*')
+            .eq('share_id', shareId)
+            .order('created_at');
+
+        if (error) throw error;
+        return data;
+    }
+
+    async getShareWithReceipt(shareId) {
+        const { data, error } = await supabaseService.supabase
+            .from('receipt_shares')
+            .select('*, receipts(*)')
+            .eq('id', shareId)
+            .eq('share_method', sharingService.shareTypes.LINK)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) throw new ItemClaimError('Share link not found', 'SHARE_NOT_FOUND');
+
+        return data;
+    }
+
+    formatError(error) {
+        return {
+            success: false,
+            error: error.message,
+            ...(error.code && { code: error.code }),
+            ...(error.details && { details: error.details })
+        };
+    }
+}
+
+module.exports = new ItemClaimService();
+module.exports.ItemClaimError = ItemClaimError;
@@ -0,0 +1,183 @@
+// Mail Service - Outgoing email over SMTP, or to files/the console during development
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+class MailService {
+    constructor() {
+        this.transports = {
+            SMTP: 'smtp',
+            FILE: 'file',
+            CONSOLE: 'console'
+        };
+
+        this.from = process.env.MAIL_FROM || 'SplitSnap <no-reply@splitsnap.local>';
+        this.outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../mail-outbox');
+
+        // Created on first send so a missing SMTP server doesn't break startup
+        this.transport = null;
+        this.transportName = null;
+    }
+
+    // MAIL_TRANSPORT picks the transport; without it SMTP is used when a host is
+    // configured and messages are printed to the console otherwise
+    resolveTransportName() {
+        const configured = (process.env.MAIL_TRANSPORT || '').toLowerCase();
+        if (Object.values(this.transports).includes(configured)) return configured;
+
+        if (configured) {
+            console.warn(`⚠️  Unknown MAIL_TRANSPORT "${configured}", falling back to console`);
+            return this.transports.CONSOLE;
+        }
+
+        return process.env.SMTP_HOST ? this.transports.SMTP : this.transports.CONSOLE;
+    }
+
+    getTransport() {
+        if (this.transport) return this.transport;
+
+        this.transportName = this.resolveTransportName();
+
+        switch (this.transportName) {
+            case this.transports.SMTP:
+                this.transport = nodemailer.createTransport({
+                    host: process.env.SMTP_HOST,
+                    port: parseInt(process.env.SMTP_PORT) || 587,
+                    secure: process.env.SMTP_SECURE === 'true',
+                    auth: process.env.SMTP_USER
+                        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                        : undefined
+                });
+                break;
+
+            case this.transports.FILE:
+                this.transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+                break;
+
+            default:
+                this.transport = nodemailer.createTransport({ jsonTransport: true });
+        }
+
+        console.log(`📮 Mail transport: ${this.transportName}`);
+        return this.transport;
+    }
+
+    // Send one message. message: to, subject, text, html and optionally replyTo.
+    // Resolves to { success, data: { messageId, transport, accepted, rejected, file } }
+    // or { success: false, error, code } - delivery failures are returned, not thrown.
+    async sendMail(message) {
+        try {
+            if (!message.to) throw new Error('Recipient email address is required');
+
+            const transport = this.getTransport();
+            const info = await transport.sendMail({
+                from: this.from,
+                to: message.to,
+                replyTo: message.replyTo,
+                subject: message.subject,
+                text: message.text,
+                html: message.html
+            });
+
+            const data = {
+                messageId: info.messageId,
+                transport: this.transportName,
+                accepted: info.accepted || [message.to],
+                rejected: info.rejected || [],
+                file: null
+            };
+
+            if (this.transportName === this.transports.FILE) {
+                data.file = await this.writeToOutbox(info);
+                console.log(`📨 Email to ${message.to} written to ${data.file}`);
+            } else if (this.transportName === this.transports.CONSOLE) {
+                console.log(`📨 Email to ${message.to}: ${message.subject}\n${message.text}`);
+            } else {
+                console.log(`📨 Email sent to ${message.to} (${info.messageId})`);
+            }
+
+            if (data.rejected.length > 0 && data.accepted.length === 0) {
+                return {
+                    success: false,
+                    error: `Recipient rejected: ${data.rejected.join(', ')}`,
+                    code: 'MAIL_REJECTED'
+                };
+            }
+
+            return {
+                success: true,
+                data
+            };
+
+        } catch (error) {
+            console.error('❌ Error sending email:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                code: 'MAIL_SEND_FAILED'
+            };
+        }
+    }
+
+    async writeToOutbox(info) {
+        await fs.mkdir(this.outboxDir, { recursive: true });
+
+        const id = (info.messageId || crypto.randomUUID()).replace(/[^a-zA-Z0-9.-]/g, '');
+        const file = path.join(this.outboxDir, `${Date.now()}-${id}.eml`);
+        await fs.writeFile(file, info.message);
+        return file;
+    }
+
+    // Check the SMTP connection and credentials; other transports are always ready
+    async verify() {
+        try {
+            const transport = this.getTransport();
+            if (this.transportName === this.transports.SMTP) {
+                await transport.verify();
+            }
+
+            return {
+                success: true,
+                data: { transport: this.transportName }
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Wrap an HTML fragment in a minimal email layout. Mail clients ignore
+    // <style> blocks unevenly, so styling stays inline.
+    renderLayout(title, bodyHtml) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${this.escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:24px;background:#f4f5f7;font-family:-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;color:#1f2933;">
+<div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+${bodyHtml}
+<p style="margin-top:32px;font-size:12px;color:#7b8794;">Shared via SplitSnap</p>
+</div>
+</body>
+</html>`;
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+module.exports = new MailService();
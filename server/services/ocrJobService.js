@@ -0,0 +1,320 @@
+// OCR Job Service - Background OCR processing with progress, retries and cancellation
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const ocrService = require('./ocrService');
+const categoryService = require('./categoryService');
+const supabaseService = require('./supabaseService');
+const imageHashService = require('./imageHashService');
+
+class OCRJobService extends EventEmitter {
+    constructor() {
+        super();
+        this.setMaxListeners(0);
+
+        this.statuses = {
+            QUEUED: 'queued',
+            PROCESSING: 'processing',
+            RETRYING: 'retrying',
+            COMPLETED: 'completed',
+            FAILED: 'failed',
+            CANCELLED: 'cancelled'
+        };
+
+        // Share of overall progress at the start of each stage
+        this.stageProgress = {
+            queued: 0,
+            preprocessing: 0.02,
+            ocr_space: 0.1,
+            tesseract: 0.1,
+            extracting: 0.85,
+            categorizing: 0.9,
+            saving: 0.95,
+            completed: 1
+        };
+
+        this.concurrency = parseInt(process.env.OCR_JOB_CONCURRENCY) || 1;
+        this.maxAttempts = parseInt(process.env.OCR_JOB_MAX_ATTEMPTS) || 3;
+        this.retryDelayMs = 2000;
+        this.jobTTL = 60 * 60 * 1000;
+
+        this.jobs = new Map();
+        this.queue = [];
+        this.active = 0;
+    }
+
+    // Queue an uploaded image and return the job straight away
+    createJob(file, source, options = {}) {
+        const job = {
+            id: crypto.randomUUID(),
+            status: this.statuses.QUEUED,
+            stage: 'queued',
+            variant: null,
+            progress: 0,
+            attempts: 0,
+            maxAttempts: this.maxAttempts,
+            error: null,
+            result: null,
+            filename: file.originalname,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            file,
+            source,
+            force: Boolean(options.force),
+            controller: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.queue.push(job.id);
+        console.log('📥 OCR job queued:', job.id);
+
+        this.emitUpdate(job);
+        this.drain();
+
+        return this.toPublicJob(job);
+    }
+
+    getJob(jobId) {
+        const job = this.jobs.get(jobId);
+        return job ? this.toPublicJob(job) : null;
+    }
+
+    // Cancel a queued or running job. A running OCR request is aborted and the
+    // job stops before its next preprocessing variant.
+    cancelJob(jobId) {
+        const job = this.jobs.get(jobId);
+
+        if (!job) {
+            return { success: false, error: 'OCR job not found', notFound: true };
+        }
+        if (this.isFinished(job)) {
+            return { success: false, error: `OCR job is already ${job.status}` };
+        }
+
+        this.queue = this.queue.filter(id => id !== jobId);
+        if (job.controller) job.controller.abort();
+        if (job.retryTimer) clearTimeout(job.retryTimer);
+
+        this.finish(job, this.statuses.CANCELLED, { error: 'Cancelled by user' });
+        console.log('🛑 OCR job cancelled:', jobId);
+
+        return { success: true, data: this.toPublicJob(job) };
+    }
+
+    drain() {
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const job = this.jobs.get(this.queue.shift());
+            if (job && job.status !== this.statuses.CANCELLED) {
+                this.active++;
+                this.runJob(job).finally(() => {
+                    this.active--;
+                    this.drain();
+                });
+            }
+        }
+    }
+
+    async runJob(job) {
+        job.attempts++;
+        job.status = this.statuses.PROCESSING;
+        job.startedAt = job.startedAt || new Date().toISOString();
+        job.controller = new AbortController();
+        job.error = null;
+        job.progress = 0;
+        this.emitUpdate(job);
+
+        let result;
+        try {
+            result = await this.processReceiptUpload(job.file, job.source, {
+                force: job.force,
+                signal: job.controller.signal,
+                onProgress: update => this.updateProgress(job, update)
+            });
+        } catch (error) {
+            result = { success: false, error: error.message || 'OCR processing failed' };
+        }
+
+        // Cancelled while running: cancelJob has already finished the job
+        if (job.status === this.statuses.CANCELLED) return;
+
+        if (result.success) {
+            this.finish(job, this.statuses.COMPLETED, { result: result.data });
+            console.log('✅ OCR job completed:', job.id);
+            return;
+        }
+
+        if (job.attempts < job.maxAttempts) {
+            job.status = this.statuses.RETRYING;
+            job.error = result.error;
+            this.emitUpdate(job);
+            console.warn(`🔁 OCR job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying:`, result.error);
+
+            job.retryTimer = setTimeout(() => {
+                job.retryTimer = null;
+                if (job.status !== this.statuses.RETRYING) return;
+                this.queue.push(job.id);
+                this.drain();
+            }, this.retryDelayMs * job.attempts);
+            return;
+        }
+
+        this.finish(job, this.statuses.FAILED, { error: result.error });
+        console.error('❌ OCR job failed:', job.id, result.error);
+    }
+
+    // OCR an uploaded image, categorize it and save the receipt. Used by both
+    // the background jobs and the synchronous /api/ocr/process endpoint.
+    // An image that was uploaded before returns its earlier result without a new
+    // receipt; options.force re-runs OCR anyway.
+    async processReceiptUpload(file, source, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+
+        const hashes = await imageHashService.computeHashes(file.buffer);
+
+        if (!options.force) {
+            const cached = await imageHashService.getCachedResult(hashes.sha256);
+            if (cached) {
+                console.log('♻️ Identical image already processed, returning cached result:', cached.receiptId || hashes.sha256);
+                return {
+                    success: true,
+                    data: {
+                        ...cached,
+                        cached: true,
+                        duplicate: cached.receiptId ? { type: 'exact', receiptId: cached.receiptId } : null
+                    }
+                };
+            }
+        }
+
+        const ocrResult = await ocrService.processImage(file.buffer, {
+            filename: file.originalname,
+            mimetype: file.mimetype,
+            source
+        }, options);
+
+        if (!ocrResult.success) {
+            return {
+                success: false,
+                error: ocrResult.error || 'OCR processing failed',
+                cancelled: ocrResult.cancelled
+            };
+        }
+
+        // Auto-categorize the receipt
+        onProgress({ stage: 'categorizing', progress: 0 });
+        const categoryResult = await categoryService.categorizeReceipt(ocrResult.data);
+        ocrResult.data.categoryId = categoryResult.category.id;
+        ocrResult.data.categoryName = categoryResult.category.name;
+        ocrResult.data.categoryConfidence = categoryResult.confidence;
+
+        // Flag a re-taken or re-encoded photo of a receipt that is already saved
+        const duplicate = await imageHashService.findProbableDuplicate(hashes, ocrResult.data);
+        if (duplicate) {
+            console.warn(`⚠️ Probable duplicate of receipt ${duplicate.receiptId} (image distance ${duplicate.distance}, similarity ${duplicate.similarity})`);
+        }
+
+        // Save to Supabase with enhanced data
+        onProgress({ stage: 'saving', progress: 0 });
+        try {
+            const savedReceipt = await supabaseService.saveReceiptData({
+                ocrData: ocrResult.data,
+                imageHashes: hashes,
+                duplicateOf: duplicate ? duplicate.receiptId : null,
+                metadata: {
+                    source,
+                    filename: file.originalname,
+                    fileSize: file.size,
+                    processedAt: new Date().toISOString(),
+                    ...(duplicate && { duplicateCheck: duplicate })
+                }
+            });
+            if (savedReceipt) ocrResult.data.receiptId = savedReceipt.id;
+        } catch (dbError) {
+            console.warn('Failed to save to database:', dbError.message);
+            // Continue without failing the request
+        }
+
+        const data = {
+            ...ocrResult.data,
+            category: categoryResult.category,
+            categoryConfidence: categoryResult.confidence
+        };
+        // Only a saved receipt can stand in for a re-upload; otherwise the next upload must save it
+        if (data.receiptId) {
+            imageHashService.cacheResult(hashes.sha256, data);
+        }
+
+        return {
+            success: true,
+            data: {
+                ...data,
+                cached: false,
+                duplicate
+            }
+        };
+    }
+
+    // Map a stage-relative update onto the job's overall progress
+    updateProgress(job, update) {
+        if (this.isFinished(job)) return;
+
+        const start = this.stageProgress[update.stage] || 0;
+        const stages = Object.values(this.stageProgress).filter(value => value > start);
+        const end = stages.length > 0 ? Math.min(...stages) : 1;
+
+        job.stage = update.stage;
+        job.variant = update.variant || null;
+        job.progress = Math.max(job.progress, Math.round((start + (end - start) * (update.progress || 0)) * 100) / 100);
+        this.emitUpdate(job);
+    }
+
+    finish(job, status, fields = {}) {
+        job.status = status;
+        job.stage = status === this.statuses.COMPLETED ? 'completed' : job.stage;
+        job.progress = status === this.statuses.COMPLETED ? 1 : job.progress;
+        job.error = fields.error || null;
+        job.result = fields.result || null;
+        job.finishedAt = new Date().toISOString();
+        job.controller = null;
+
+        // The image is no longer needed once the job is done
+        job.file = null;
+
+        this.emitUpdate(job);
+        this.scheduleCleanup(job);
+    }
+
+    scheduleCleanup(job) {
+        setTimeout(() => this.jobs.delete(job.id), this.jobTTL).unref();
+    }
+
+    isFinished(job) {
+        return [this.statuses.COMPLETED, this.statuses.FAILED, this.statuses.CANCELLED].includes(job.status);
+    }
+
+    emitUpdate(job) {
+        this.emit('update', this.toPublicJob(job));
+    }
+
+    toPublicJob(job) {
+        return {
+            id: job.id,
+            status: job.status,
+            stage: job.stage,
+            variant: job.variant,
+            progress: job.progress,
+            attempts: job.attempts,
+            maxAttempts: job.maxAttempts,
+            filename: job.filename,
+            error: job.error,
+            result: job.result,
+            finished: this.isFinished(job),
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt
+        };
+    }
+}
+
+module.exports = new OCRJobService();
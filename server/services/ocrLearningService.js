@@ -0,0 +1,378 @@
+// OCR Learning Service - Turn user corrections into per-merchant parsing hints
+
+const supabaseService = require('./supabaseService');
+
+class OCRLearningService {
+    constructor() {
+        this.fields = {
+            MERCHANT_NAME: 'merchant_name',
+            ITEM_NAME: 'item_name',
+            ITEM_PRICE: 'item_price'
+        };
+
+        // A confusion seen this often across all merchants is applied everywhere;
+        // a merchant's own corrections apply to its receipts after a single sighting
+        this.minGlobalConfusionCount = 2;
+        this.minItemSimilarity = 0.8;
+        // The merchant's name is looked for in the first few lines of a receipt
+        this.headerLines = 6;
+        this.cacheTTL = 5 * 60 * 1000;
+
+        this.hintsCache = null;
+        this.hintsCachedAt = 0;
+    }
+
+    // Store the differences between a receipt as OCR read it and as the user corrected it.
+    // mapping.indexes maps old item positions to new ones (null when removed).
+    async recordCorrections(before, after, mapping = { indexes: {} }) {
+        try {
+            if (!before.raw_ocr_text) return [];
+
+            const merchantName = after.merchant_name;
+            const corrections = [];
+
+            if (before.merchant_name && before.merchant_name !== after.merchant_name) {
+                corrections.push({
+                    field: this.fields.MERCHANT_NAME,
+                    ocr_value: before.merchant_name,
+                    corrected_value: after.merchant_name
+                });
+            }
+
+            (before.items || []).forEach((oldItem, index) => {
+                const newIndex = index in mapping.indexes ? mapping.indexes[index] : index;
+                const newItem = newIndex === null ? null : (after.items || [])[newIndex];
+                if (!newItem) return;
+
+                if (oldItem.name !== newItem.name) {
+                    corrections.push({
+                        field: this.fields.ITEM_NAME,
+                        item_name: newItem.name,
+                        item_price: newItem.price,
+                        ocr_value: oldItem.name,
+                        corrected_value: newItem.name
+                    });
+                }
+                if (parseFloat(oldItem.price) !== parseFloat(newItem.price)) {
+                    corrections.push({
+                        field: this.fields.ITEM_PRICE,
+                        item_name: newItem.name,
+                        item_price: newItem.price,
+                        ocr_value: String(oldItem.price),
+                        corrected_value: String(newItem.price)
+                    });
+                }
+            });
+
+            if (corrections.length === 0) return [];
+
+            const { data, error } = await supabaseService.supabase
+                .from('ocr_corrections')
+                .insert(corrections.map(correction => ({
+                    receipt_id: after.id,
+                    merchant_name: merchantName,
+                    merchant_key: this.normalize(merchantName),
+                    ...correction
+                })))
+                .select();
+
+            if (error) throw error;
+
+            this.hintsCache = null;
+            console.log(`🧠 Learned ${data.length} OCR correction(s) for ${merchantName}`);
+            return data;
+
+        } catch (error) {
+            console.error('❌ Error recording OCR corrections:', error);
+            return [];
+        }
+    }
+
+    // Get the hints for the merchant this OCR text belongs to, plus global confusions.
+    // A merchant is recognised by a header line that reads as its name or a learned alias.
+    async getHintsForText(text) {
+        try {
+            const hints = await this.loadHints();
+            const header = String(text || '').split('\n')
+                .map(line => line.trim())
+                .filter(line => line.length > 0)
+                .slice(0, this.headerLines);
+
+            const merchant = Object.values(hints.merchants).find(candidate =>
+                header.some(line => this.matchesName(line, [candidate.name, ...candidate.aliases])));
+
+            return {
+                merchant: merchant ? merchant.name : null,
+                aliases: merchant ? merchant.aliases : [],
+                menu: merchant ? merchant.menu : [],
+                itemAliases: merchant ? merchant.itemAliases : {},
+                confusions: this.mergeConfusions(hints.globalConfusions, merchant ? merchant.confusions : {})
+            };
+
+        } catch (error) {
+            console.error('❌ Error loading OCR hints:', error);
+            return this.getEmptyHints();
+        }
+    }
+
+    // Summary of what has been learned, per merchant
+    async getHintsSummary() {
+        try {
+            const hints = await this.loadHints();
+
+            return {
+                success: true,
+                data: {
+                    merchants: Object.values(hints.merchants).map(merchant => ({
+                        name: merchant.name,
+                        aliases: merchant.aliases,
+                        menu: merchant.menu,
+                        confusions: merchant.confusions
+                    })),
+                    globalConfusions: hints.globalConfusions
+                }
+            };
+
+        } catch (error) {
+            console.error('❌ Error getting OCR hints:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    async loadHints() {
+        if (this.hintsCache && Date.now() - this.hintsCachedAt < this.cacheTTL) {
+            return this.hintsCache;
+        }
+
+        const { data, error } = await supabaseService.supabase
+            .from('ocr_corrections')
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(5000);
+
+        if (error) throw error;
+
+        this.hintsCache = this.buildHints(data);
+        this.hintsCachedAt = Date.now();
+        return this.hintsCache;
+    }
+
+    // Build per-merchant aliases, menus and character confusions from stored corrections (newest first)
+    buildHints(corrections) {
+        const merchants = {};
+        const globalCounts = {};
+
+        corrections.forEach(correction => {
+            const key = correction.merchant_key || this.normalize(correction.merchant_name);
+            if (!key) return;
+
+            const merchant = merchants[key] = merchants[key] || {
+                name: correction.merchant_name,
+                aliases: [],
+                menu: [],
+                itemAliases: {},
+                confusions: {}
+            };
+
+            if (correction.field === this.fields.MERCHANT_NAME && !merchant.aliases.includes(correction.ocr_value)) {
+                merchant.aliases.push(correction.ocr_value);
+            }
+
+            const ocrItemKey = this.normalize(correction.ocr_value);
+            if (correction.field === this.fields.ITEM_NAME && !(ocrItemKey in merchant.itemAliases)) {
+                merchant.itemAliases[ocrItemKey] = correction.corrected_value;
+            }
+
+            // Newest correction wins for aliases and an item's known price
+            if (correction.item_name && !merchant.menu.some(item => item.name === correction.item_name)) {
+                merchant.menu.push({
+                    name: correction.item_name,
+                    price: correction.item_price !== null && correction.item_price !== undefined
+                        ? parseFloat(correction.item_price)
+                        : null
+                });
+            }
+
+            this.learnConfusions(correction.ocr_value, correction.corrected_value, correction.field).forEach(([from, to]) => {
+                this.countConfusion(merchant.confusions, from, to);
+                this.countConfusion(globalCounts, from, to);
+            });
+        });
+
+        const globalConfusions = {};
+        Object.entries(globalCounts).forEach(([from, targets]) => {
+            Object.entries(targets).forEach(([to, count]) => {
+                if (count >= this.minGlobalConfusionCount) {
+                    this.countConfusion(globalConfusions, from, to, count);
+                }
+            });
+        });
+
+        return { merchants, globalConfusions };
+    }
+
+    // Character substitutions between an OCR value and its correction. Only
+    // same-length values with a couple of differences are used, and only
+    // letter <-> digit swaps (S/5, O/0, B/8, l/1) count as confusions, plus
+    // digit <-> digit swaps (3/8) in corrected prices. applyConfusions never
+    // rewrites one digit as another; those pairs only guide applyMenuHints.
+    // Case differences are ignored and letters are stored upper case.
+    learnConfusions(ocrValue, correctedValue, field = null) {
+        if (!ocrValue || !correctedValue || ocrValue.length !== correctedValue.length) return [];
+
+        const pairs = [];
+        for (let i = 0; i < ocrValue.length; i++) {
+            if (ocrValue[i].toUpperCase() !== correctedValue[i].toUpperCase()) {
+                pairs.push([ocrValue[i].toUpperCase(), correctedValue[i].toUpperCase()]);
+            }
+        }
+
+        if (pairs.length === 0 || pairs.length > 2) return [];
+        const digitSwap = ([from, to]) => field === this.fields.ITEM_PRICE && /\d/.test(from) && /\d/.test(to);
+        return pairs.filter(pair => digitSwap(pair) ||
+            (/\d/.test(pair[0]) !== /\d/.test(pair[1]) && /[a-z\d]/i.test(pair[0] + pair[1])));
+    }
+
+    countConfusion(confusions, from, to, count = 1) {
+        confusions[from] = confusions[from] || {};
+        confusions[from][to] = (confusions[from][to] || 0) + count;
+    }
+
+    mergeConfusions(...sources) {
+        const merged = {};
+        sources.forEach(source => Object.entries(source).forEach(([from, targets]) =>
+            Object.entries(targets).forEach(([to, count]) => this.countConfusion(merged, from, to, count))));
+        return merged;
+    }
+
+    // Fix confused characters token by token: letters inside numbers become
+    // digits ("32O.00" -> "320.00") and digits inside words become letters ("C0FFEE" -> "COFFEE")
+    applyConfusions(text, confusions = {}) {
+        const best = {};
+        Object.entries(confusions).forEach(([from, targets]) => {
+            const [to] = Object.entries(targets).sort((a, b) => b[1] - a[1])[0];
+            best[from] = to;
+        });
+
+        if (Object.keys(best).length === 0) return text;
+
+        return text.replace(/[^\s]+/g, token => {
+            const digits = (token.match(/\d/g) || []).length;
+            const letters = (token.match(/[a-z]/gi) || []).length;
+            const numeric = digits > 0 && digits >= letters;
+
+            const lowerCase = token === token.toLowerCase();
+
+            return token.split('').map(char => {
+                const to = best[char.toUpperCase()];
+                if (to === undefined) return char;
+                if (numeric && /[a-z]/i.test(char) && /\d/.test(to)) return to;
+                if (!numeric && letters > 1 && /\d/.test(char) && /[a-z]/i.test(to)) {
+                    return lowerCase ? to.toLowerCase() : to;
+                }
+                return char;
+            }).join('');
+        });
+    }
+
+    // Snap extracted items to the merchant's known menu: OCR names the user
+    // corrected before are renamed, near matches take the menu name, and a price
+    // that didn't parse or looks misread takes the known price
+    applyMenuHints(items, hints) {
+        if (!hints || (hints.menu.length === 0 && Object.keys(hints.itemAliases).length === 0)) return items;
+
+        return items.map(item => {
+            const alias = hints.itemAliases[this.normalize(item.name)];
+            const name = alias || item.name;
+
+            let match = hints.menu.find(menuItem => menuItem.name === name);
+            if (!match) {
+                const scored = hints.menu
+                    .map(menuItem => ({ menuItem, score: this.similarity(this.normalize(name), this.normalize(menuItem.name)) }))
+                    .sort((a, b) => b.score - a.score)[0];
+                if (scored && scored.score >= this.minItemSimilarity) match = scored.menuItem;
+            }
+
+            if (!match) return { ...item, name };
+
+            const unparsed = !Number.isFinite(parseFloat(item.price));
+            const price = match.price !== null && (unparsed || this.isConfusedPrice(item.price, match.price, hints.confusions))
+                ? match.price
+                : item.price;
+
+            return { ...item, name: match.name, price };
+        });
+    }
+
+    // True when a price looks like a misread of the known one: same number of
+    // digits with a single digit wrong, and OCR is known to read that digit for
+    // the known one (320 for 820 after a 3/8 correction). Anything else, such as
+    // a real price rise from 250 to 280, is kept as extracted.
+    isConfusedPrice(extracted, known, confusions = {}) {
+        const a = Number(extracted).toFixed(2);
+        const b = Number(known).toFixed(2);
+        if (a.length !== b.length) return false;
+
+        const differences = [];
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) differences.push([a[i], b[i]]);
+        }
+
+        if (differences.length !== 1) return false;
+        const [from, to] = differences[0];
+        return Boolean(confusions[from] && confusions[from][to]);
+    }
+
+    // True when value reads as one of names: the same once normalised, or a near match
+    matchesName(value, names = []) {
+        const key = this.normalize(value);
+        if (!key) return false;
+
+        return names.some(name => {
+            const candidate = this.normalize(name);
+            return candidate && (candidate === key || this.similarity(candidate, key) >= this.minItemSimilarity);
+        });
+    }
+
+    // Normalised Levenshtein similarity between 0 and 1
+    similarity(a, b) {
+        if (!a || !b) return 0;
+        if (a === b) return 1;
+
+        const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = previous[0];
+            previous[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const above = previous[j];
+                previous[j] = Math.min(
+                    previous[j] + 1,
+                    previous[j - 1] + 1,
+                    diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                diagonal = above;
+            }
+        }
+
+        return 1 - previous[b.length] / Math.max(a.length, b.length);
+    }
+
+    normalize(value) {
+        return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    getEmptyHints() {
+        return {
+            merchant: null,
+            aliases: [],
+            menu: [],
+            itemAliases: {},
+            confusions: {}
+        };
+    }
+}
+
+module.exports = new OCRLearningService();
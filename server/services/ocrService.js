@@ -2,22 +2,35 @@
 // Deep research implementation with multiple OCR engines and smart parsing
 
 const axios = require('axios');
-const Tesseract = require('tesseract.js');
 const sharp = require('sharp');
 const FormData = require('form-data');
+const ocrLearningService = require('./ocrLearningService');
+const receiptDateService = require('./receiptDateService');
+const tesseractPoolService = require('./tesseractPoolService');
 
 class AdvancedOCRService {
     constructor() {
         this.ocrSpaceApiKey = process.env.OCR_SPACE_API_KEY;
         this.ocrSpaceUrl = 'https://api.ocr.space/parse/image';
 
+        // Stop trying further variants once one reads this well
+        this.earlyExitConfidence = parseFloat(process.env.OCR_EARLY_EXIT_CONFIDENCE) || 0.85;
+
+        // Preprocessing variants to run (comma-separated); unset runs all of them
+        this.enabledVariants = process.env.OCR_VARIANTS
+            ? process.env.OCR_VARIANTS.split(',').map(name => name.trim()).filter(Boolean)
+            : null;
+
+        // Per engine/variant timings and wins since startup, to spot variants worth pruning
+        this.variantMetrics = {};
+
         // Indian receipt patterns and keywords
         this.indianPatterns = {
             currency: /₹|rs\.?|inr|rupees?/gi,
-            gst: /gst|vat|tax|cgst|sgst|igst/gi,
-            serviceCharge: /service\s*charge|s\.?c\.?|tip/gi,
-            total: /total|grand\s*total|net\s*total|amount\s*payable|final\s*amount|fare|price/gi,
-            subtotal: /sub\s*total|subtotal|net\s*amount|basic\s*amount|base\s*fare/gi,
+            gst: /gst|vat|tax|cgst|sgst|igst/i,
+            serviceCharge: /service\s*charge|s\.?c\.?|tip/i,
+            total: /total|grand\s*total|net\s*total|amount\s*payable|final\s*amount|fare|price/i,
+            subtotal: /sub\s*total|subtotal|net\s*amount|basic\s*amount|base\s*fare/i,
             phone: /(\+91[\s-]?)?[6-9]\d{9}|\d{2,4}[-\s]?\d{6,8}/g,
             email: /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g,
             indianCities: /delhi|mumbai|bangalore|chennai|hyderabad|pune|kolkata|ahmedabad|jaipur|lucknow|kanpur|nagpur|indore|thane|bhopal|visakhapatnam|pimpri|patna|vadodara|ghaziabad|ludhiana|agra|nashik|faridabad|meerut|rajkot|kalyan|vasai|varanasi|srinagar|aurangabad|dhanbad|amritsar|navi\s*mumbai|allahabad|ranchi|howrah|coimbatore|jabalpur|gwalior|vijayawada|jodhpur|madurai|raipur|kota|guwahati|chandigarh|solapur|hubli|tiruchirappalli|bareilly|mysore|tiruppur|gurgaon|aligarh|jalandhar|bhubaneswar|salem|warangal|guntur|bhiwandi|saharanpur|gorakhpur|bikaner|amravati|noida|jamshedpur|bhilai|cuttack|firozabad|kochi|nellore|bhavnagar|dehradun|durgapur|asansol|rourkela|nanded|kolhapur|ajmer|akola|gulbarga|jamnagar|ujjain|loni|siliguri|jhansi|ulhasnagar|jammu|sangli|mangalore|erode|belgaum|ambattur|tirunelveli|malegaon|gaya|jalgaon|udaipur|maheshtala|karjan|koda|maka/gi,
@@ -33,6 +46,25 @@ class AdvancedOCRService {
             seatNumber: /seat\s*no|seat\s*number|berth\s*no/gi
         };
 
+        // Bill header patterns: date, time and reference numbers
+        this.receiptDetailPatterns = {
+            numericDate: /\b(\d{4})[\/.-](\d{1,2})[\/.-](\d{1,2})\b|\b(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{4}|\d{2})\b/,
+            monthNameDate: /\b(\d{1,2})[\s\/.-]*(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*[\s\/.,-]*(\d{4}|\d{2})\b/i,
+            time: /\b([01]?\d|2[0-3])[:.]([0-5]\d)(?:[:.]([0-5]\d))?\s*(am|pm)?\b/i,
+            invoiceNumber: /\b(?:bill|invoice|inv|receipt|order)\s*(?:no\.?|number|num\.?|#|:)\s*[:.#-]?\s*([A-Z0-9][A-Z0-9\/-]*)/i,
+            kotNumber: /\bkot\s*(?:no\.?|number|#)?\s*[:.#-]?\s*([A-Z0-9][A-Z0-9\/-]*)/i,
+            tableNumber: /\b(?:table|tbl)\s*(?:no\.?|number|#)?\s*[:.#-]?\s*([A-Z]?\d{1,4}[A-Z]?)\b/i
+        };
+
+        // GST invoice patterns: tax components with their rates and HSN/SAC codes
+        this.gstPatterns = {
+            component: /\b(cgst|sgst|utgst|igst|cess)\b/i,
+            rate: /(\d{1,2}(?:\.\d{1,2})?)\s*%/,
+            hsnCode: /\b(?:hsn|sac)(?:\s*\/\s*sac)?(?:\s*code)?\s*[:.#-]?\s*(\d{4,8})\b/i,
+            bareHsnCode: /(?<![\d.,])(\d{6}|\d{8})(?![\d.,])/
+        };
+        this.gstinCharset = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
         // Common Indian food items and restaurant terms
         this.indianFoodTerms = [
             'biryani', 'curry', 'dal', 'rice', 'roti', 'naan', 'chapati', 'dosa', 'idli', 'sambar',
@@ -43,7 +75,15 @@ class AdvancedOCRService {
         ];
     }
 
-    async processImage(imageBuffer, metadata = {}) {
+    // options.onProgress receives { stage, variant, progress } updates (progress is 0-1
+    // within the stage); options.signal is an AbortSignal checked between OCR attempts.
+    async processImage(imageBuffer, metadata = {}, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+        const signal = options.signal;
+        const checkCancelled = () => {
+            if (signal && signal.aborted) throw new Error('OCR processing cancelled');
+        };
+
         try {
             console.log('🔍 Starting Advanced OCR processing...', {
                 size: imageBuffer.length,
@@ -51,56 +91,72 @@ class AdvancedOCRService {
             });
 
             // Multi-stage image preprocessing
+            onProgress({ stage: 'preprocessing', progress: 0 });
             const processedImages = await this.advancedPreprocessing(imageBuffer);
+            const variants = Object.entries(processedImages);
+            checkCancelled();
 
             let bestResult = null;
             let bestConfidence = 0;
+            let bestEngine = null;
             let ocrMethod = 'none';
 
-            // Try OCR.space API with multiple configurations
+            // Try OCR.space API with multiple configurations, one at a time (the API is rate limited)
             if (this.ocrSpaceApiKey && this.ocrSpaceApiKey !== 'your_ocr_space_api_key_here') {
-                for (const [configName, imageBuffer] of Object.entries(processedImages)) {
+                for (const [index, [configName, imageBuffer]] of variants.entries()) {
+                    checkCancelled();
+                    onProgress({ stage: 'ocr_space', variant: configName, progress: index / variants.length });
+
+                    const startedAt = Date.now();
                     try {
                         console.log(`🌐 Attempting OCR.space API with ${configName}...`);
-                        const result = await this.processWithOCRSpace(imageBuffer, configName);
+                        const result = await this.processWithOCRSpace(imageBuffer, configName, signal);
+                        this.recordVariantMetric('ocr_space', configName, { ms: Date.now() - startedAt, confidence: result.confidence });
 
                         if (result.confidence > bestConfidence) {
-                            bestResult = result;
+                            bestResult = { ...result, variant: configName };
                             bestConfidence = result.confidence;
+                            bestEngine = 'ocr_space';
                             ocrMethod = `OCR.space API (${configName})`;
                         }
                     } catch (error) {
+                        this.recordVariantMetric('ocr_space', configName, { ms: Date.now() - startedAt, failed: true });
                         console.warn(`OCR.space ${configName} failed:`, error.message);
                     }
+
+                    if (bestConfidence >= this.earlyExitConfidence) break;
                 }
             }
 
-            // Fallback to Tesseract.js with multiple configurations
+            // Fallback to Tesseract.js, recognizing all variants in parallel on the worker pool
             if (!bestResult || bestConfidence < 0.7) {
-                for (const [configName, imageBuffer] of Object.entries(processedImages)) {
-                    try {
-                        console.log(`🔧 Attempting Tesseract.js with ${configName}...`);
-                        const result = await this.processWithTesseract(imageBuffer, configName);
-
-                        if (result.confidence > bestConfidence) {
-                            bestResult = result;
-                            bestConfidence = result.confidence;
-                            ocrMethod = `Tesseract.js (${configName})`;
-                        }
-                    } catch (error) {
-                        console.warn(`Tesseract ${configName} failed:`, error.message);
-                    }
+                checkCancelled();
+                const result = await this.recognizeVariantsWithTesseract(variants, onProgress, signal);
+
+                if (result && result.confidence > bestConfidence) {
+                    bestResult = result;
+                    bestConfidence = result.confidence;
+                    bestEngine = 'tesseract';
+                    ocrMethod = `Tesseract.js (${result.variant})`;
                 }
             }
 
+            checkCancelled();
             if (!bestResult) {
                 throw new Error('All OCR methods failed');
             }
 
+            this.recordVariantMetric(bestEngine, bestResult.variant, { won: true });
+
             console.log(`✅ Best OCR result: ${ocrMethod} (confidence: ${bestConfidence})`);
 
+            onProgress({ stage: 'extracting', progress: 0 });
+
+            // Parsing hints learned from corrections to earlier receipts from this merchant
+            const hints = await ocrLearningService.getHintsForText(bestResult.text);
+
             // Advanced receipt data extraction
-            const extractedData = await this.advancedReceiptExtraction(bestResult.text);
+            const extractedData = await this.advancedReceiptExtraction(bestResult.text, hints);
             extractedData.ocrMethod = ocrMethod;
             extractedData.rawText = bestResult.text;
             extractedData.confidence = bestConfidence;
@@ -114,7 +170,8 @@ class AdvancedOCRService {
             console.error('❌ OCR processing failed:', error);
             return {
                 success: false,
-                error: error.message || 'OCR processing failed'
+                error: error.message || 'OCR processing failed',
+                cancelled: Boolean(signal && signal.aborted)
             };
         }
     }
@@ -128,66 +185,80 @@ class AdvancedOCRService {
             console.log('📊 Image metadata:', { width: metadata.width, height: metadata.height, format: metadata.format });
 
             // Configuration 1: High contrast for clear text (fixed gamma issue)
-            results.highContrast = await sharp(imageBuffer)
-                .resize(2000, null, {
-                    fit: 'inside',
-                    withoutEnlargement: false,
-                    kernel: sharp.kernel.lanczos3
-                })
-                .grayscale()
-                .normalize()
-                .linear(1.5, -(128 * 1.5) + 128) // Increase contrast
-                .sharpen({ sigma: 1, flat: 1, jagged: 2 })
-                .threshold(128) // Binary threshold
-                .jpeg({ quality: 95 })
-                .toBuffer();
+            if (this.isVariantEnabled('highContrast')) {
+                results.highContrast = await sharp(imageBuffer)
+                    .resize(2000, null, {
+                        fit: 'inside',
+                        withoutEnlargement: false,
+                        kernel: sharp.kernel.lanczos3
+                    })
+                    .grayscale()
+                    .normalize()
+                    .linear(1.5, -(128 * 1.5) + 128) // Increase contrast
+                    .sharpen({ sigma: 1, flat: 1, jagged: 2 })
+                    .threshold(128) // Binary threshold
+                    .jpeg({ quality: 95 })
+                    .toBuffer();
+            }
 
             // Configuration 2: Enhanced for receipts (fixed gamma)
-            results.receiptOptimized = await sharp(imageBuffer)
-                .resize(1800, null, {
-                    fit: 'inside',
-                    withoutEnlargement: false
-                })
-                .grayscale()
-                .gamma(1.2) // Fixed gamma value (must be > 1.0)
-                .normalize()
-                .sharpen({ sigma: 1.5 })
-                .modulate({ brightness: 1.1, saturation: 0 })
-                .jpeg({ quality: 90 })
-                .toBuffer();
+            if (this.isVariantEnabled('receiptOptimized')) {
+                results.receiptOptimized = await sharp(imageBuffer)
+                    .resize(1800, null, {
+                        fit: 'inside',
+                        withoutEnlargement: false
+                    })
+                    .grayscale()
+                    .gamma(1.2) // Fixed gamma value (must be > 1.0)
+                    .normalize()
+                    .sharpen({ sigma: 1.5 })
+                    .modulate({ brightness: 1.1, saturation: 0 })
+                    .jpeg({ quality: 90 })
+                    .toBuffer();
+            }
 
             // Configuration 3: Noise reduction
-            results.denoised = await sharp(imageBuffer)
-                .resize(1600, null, { fit: 'inside' })
-                .grayscale()
-                .blur(0.3) // Slight blur to reduce noise
-                .normalize()
-                .linear(1.2, -20) // Adjust brightness and contrast
-                .sharpen({ sigma: 0.5, flat: 1, jagged: 1 })
-                .jpeg({ quality: 85 })
-                .toBuffer();
+            if (this.isVariantEnabled('denoised')) {
+                results.denoised = await sharp(imageBuffer)
+                    .resize(1600, null, { fit: 'inside' })
+                    .grayscale()
+                    .blur(0.3) // Slight blur to reduce noise
+                    .normalize()
+                    .linear(1.2, -20) // Adjust brightness and contrast
+                    .sharpen({ sigma: 0.5, flat: 1, jagged: 1 })
+                    .jpeg({ quality: 85 })
+                    .toBuffer();
+            }
 
             // Configuration 4: Transportation optimized (new)
-            results.transportOptimized = await sharp(imageBuffer)
-                .resize(2200, null, {
-                    fit: 'inside',
-                    withoutEnlargement: false
-                })
-                .grayscale()
-                .normalize()
-                .sharpen({ sigma: 2, flat: 1, jagged: 3 }) // Aggressive sharpening for small text
-                .linear(1.8, -50) // High contrast for thermal prints
-                .jpeg({ quality: 98 })
-                .toBuffer();
+            if (this.isVariantEnabled('transportOptimized')) {
+                results.transportOptimized = await sharp(imageBuffer)
+                    .resize(2200, null, {
+                        fit: 'inside',
+                        withoutEnlargement: false
+                    })
+                    .grayscale()
+                    .normalize()
+                    .sharpen({ sigma: 2, flat: 1, jagged: 3 }) // Aggressive sharpening for small text
+                    .linear(1.8, -50) // High contrast for thermal prints
+                    .jpeg({ quality: 98 })
+                    .toBuffer();
+            }
 
             // Configuration 5: Original with minimal processing
-            results.minimal = await sharp(imageBuffer)
-                .resize(1920, 1080, {
-                    fit: 'inside',
-                    withoutEnlargement: true
-                })
-                .jpeg({ quality: 92 })
-                .toBuffer();
+            if (this.isVariantEnabled('minimal')) {
+                results.minimal = await sharp(imageBuffer)
+                    .resize(1920, 1080, {
+                        fit: 'inside',
+                        withoutEnlargement: true
+                    })
+                    .jpeg({ quality: 92 })
+                    .toBuffer();
+            }
+
+            if (Object.keys(results).length === 0) {
+                throw new Error(`No enabled preprocessing variants (OCR_VARIANTS=${process.env.OCR_VARIANTS})`);
+            }
 
             console.log('🖼️ Generated', Object.keys(results).length, 'preprocessed versions');
             return results;
@@ -205,7 +276,7 @@ class AdvancedOCRService {
         }
     }
 
-    async processWithOCRSpace(imageBuffer, configName = 'default') {
+    async processWithOCRSpace(imageBuffer, configName = 'default', signal = undefined) {
         try {
             const formData = new FormData();
             formData.append('file', imageBuffer, { filename: 'receipt.jpg' });
@@ -224,7 +295,8 @@ class AdvancedOCRService {
                 },
                 timeout: 45000, // 45 second timeout
                 maxContentLength: Infinity,
-                maxBodyLength: Infinity
+                maxBodyLength: Infinity,
+                signal
             });
 
             if (response.data.IsErroredOnProcessing) {
@@ -252,28 +324,83 @@ class AdvancedOCRService {
         }
     }
 
-    async processWithTesseract(imageBuffer, configName = 'default') {
+    // Run every variant through the Tesseract pool at once and return the best read.
+    // Returns as soon as one variant reaches earlyExitConfidence; variants still
+    // waiting for a worker are skipped.
+    async recognizeVariantsWithTesseract(variants, onProgress = () => {}, signal = undefined) {
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', abort, { once: true });
+
+        const progress = {};
+        const reportProgress = (configName, value) => {
+            progress[configName] = value;
+            const total = Object.values(progress).reduce((sum, p) => sum + p, 0);
+            onProgress({ stage: 'tesseract', variant: configName, progress: total / variants.length });
+        };
+
+        let best = null;
+
         try {
-            // Advanced Tesseract configuration for receipts
-            const tesseractConfig = {
-                logger: m => {
-                    if (m.status === 'recognizing text') {
-                        console.log(`📝 Tesseract ${configName}: ${Math.round(m.progress * 100)}%`);
-                    }
-                },
-                tessedit_pageseg_mode: Tesseract.PSM.SINGLE_BLOCK,
-                tessedit_ocr_engine_mode: Tesseract.OEM.LSTM_ONLY,
-                preserve_interword_spaces: '1',
-                tessedit_char_whitelist: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz₹.,()-+/:@# ',
-            };
+            await new Promise(resolve => {
+                let pending = variants.length;
+                const settle = () => {
+                    pending--;
+                    if (pending === 0) resolve();
+                };
+
+                variants.forEach(([configName, imageBuffer]) => {
+                    const startedAt = Date.now();
+                    console.log(`🔧 Attempting Tesseract.js with ${configName}...`);
+
+                    this.processWithTesseract(imageBuffer, configName, value => reportProgress(configName, value), controller.signal)
+                        .then(result => {
+                            this.recordVariantMetric('tesseract', configName, { ms: Date.now() - startedAt, confidence: result.confidence });
+
+                            if (controller.signal.aborted) return;
+                            if (!best || result.confidence > best.confidence) {
+                                best = { ...result, variant: configName };
+                            }
+                            if (result.confidence >= this.earlyExitConfidence) {
+                                console.log(`⚡ Tesseract ${configName} reached ${result.confidence.toFixed(2)}, skipping remaining variants`);
+                                controller.abort();
+                                resolve();
+                            }
+                        })
+                        .catch(error => {
+                            if (controller.signal.aborted) {
+                                this.recordVariantMetric('tesseract', configName, { skipped: true });
+                            } else {
+                                this.recordVariantMetric('tesseract', configName, { ms: Date.now() - startedAt, failed: true });
+                                console.warn(`Tesseract ${configName} failed:`, error.message);
+                            }
+                        })
+                        .finally(settle);
+                });
+            });
+        } finally {
+            if (signal) signal.removeEventListener('abort', abort);
+        }
+
+        return best;
+    }
 
-            const { data } = await Tesseract.recognize(imageBuffer, 'eng', tesseractConfig);
+    async processWithTesseract(imageBuffer, configName = 'default', onProgress = () => {}, signal = undefined) {
+        try {
+            const data = await tesseractPoolService.recognize(imageBuffer, {
+                signal,
+                onProgress: progress => {
+                    console.log(`📝 Tesseract ${configName}: ${Math.round(progress * 100)}%`);
+                    onProgress(progress);
+                }
+            });
 
-            const confidence = this.calculateConfidence(data.text, 'tesseract', data.confidence);
+            // Tesseract reports 0-100; calculateConfidence works on 0-1
+            const confidence = this.calculateConfidence(data.text, 'tesseract', (data.confidence || 0) / 100);
 
             return {
                 text: data.text || '',
-                confidence: confidence / 100
+                confidence
             };
 
         } catch (error) {
@@ -281,6 +408,60 @@ class AdvancedOCRService {
         }
     }
 
+    recordVariantMetric(engine, variant, result) {
+        const key = `${engine}:${variant}`;
+        const metric = this.variantMetrics[key] = this.variantMetrics[key] || {
+            engine,
+            variant,
+            runs: 0,
+            failures: 0,
+            skipped: 0,
+            wins: 0,
+            totalMs: 0,
+            totalConfidence: 0
+        };
+
+        if (result.won) {
+            metric.wins++;
+        } else if (result.skipped) {
+            metric.skipped++;
+        } else if (result.failed) {
+            metric.failures++;
+            metric.totalMs += result.ms;
+        } else {
+            metric.runs++;
+            metric.totalMs += result.ms;
+            metric.totalConfidence += result.confidence;
+        }
+    }
+
+    // Timings, average confidence and win rate per engine and preprocessing variant
+    getVariantMetrics() {
+        return {
+            earlyExitConfidence: this.earlyExitConfidence,
+            enabledVariants: this.enabledVariants,
+            pool: tesseractPoolService.getStatus(),
+            variants: Object.values(this.variantMetrics).map(metric => {
+                const attempts = metric.runs + metric.failures;
+                return {
+                    engine: metric.engine,
+                    variant: metric.variant,
+                    runs: metric.runs,
+                    failures: metric.failures,
+                    skipped: metric.skipped,
+                    wins: metric.wins,
+                    winRate: metric.runs > 0 ? Math.round((metric.wins / metric.runs) * 100) / 100 : 0,
+                    averageMs: attempts > 0 ? Math.round(metric.totalMs / attempts) : 0,
+                    averageConfidence: metric.runs > 0 ? Math.round((metric.totalConfidence / metric.runs) * 100) / 100 : 0
+                };
+            }).sort((a, b) => a.engine.localeCompare(b.engine) || b.wins - a.wins)
+        };
+    }
+
+    isVariantEnabled(name) {
+        return !this.enabledVariants || this.enabledVariants.includes(name);
+    }
+
     calculateConfidence(text, method, baseConfidence = 0.7) {
         if (!text || text.trim().length === 0) return 0;
 
@@ -318,7 +499,7 @@ class AdvancedOCRService {
         return Math.min(Math.max(confidence, 0), 1);
     }
 
-    async advancedReceiptExtraction(text) {
+    async advancedReceiptExtraction(text, hints = ocrLearningService.getEmptyHints()) {
         if (!text || text.trim().length === 0) {
             return this.getEmptyReceiptData();
         }
@@ -326,7 +507,7 @@ class AdvancedOCRService {
         console.log('🔍 Starting advanced receipt extraction...');
 
         // Clean and normalize text
-        const cleanedText = this.cleanText(text);
+        const cleanedText = this.cleanText(text, hints);
         const lines = cleanedText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
 
         // Detect receipt type
@@ -353,11 +534,14 @@ class AdvancedOCRService {
             await this.extractTransportationData(lines, extractedData);
         } else {
             // Default restaurant/retail extraction
-            await this.extractMerchantInfo(lines, extractedData);
-            await this.extractItemsAndPrices(lines, extractedData);
+            await this.extractMerchantInfo(lines, extractedData, hints);
+            await this.extractItemsAndPrices(lines, extractedData, hints);
             await this.extractTotalsAndCharges(lines, extractedData);
         }
 
+        // Date, time and bill reference numbers are read for every receipt type
+        this.extractReceiptDetails(lines, extractedData);
+
         // Validate and fix data
         this.validateAndFixData(extractedData);
 
@@ -744,15 +928,15 @@ class AdvancedOCRService {
         return route;
     }
 
-    cleanText(text) {
-        return text
-            .replace(/[^\w\s₹.,()-+/:@#]/g, ' ') // Remove special characters except useful ones
-            .replace(/\s+/g, ' ') // Normalize whitespace
+    cleanText(text, hints = {}) {
+        return ocrLearningService.applyConfusions(text, hints.confusions) // Fix characters OCR is known to confuse
+            .replace(/[^\w\s₹.,()+/:@#%-]/g, ' ') // Remove special characters except useful ones
+            .replace(/[^\S\n]+/g, ' ') // Normalize whitespace within lines, keeping line breaks
             .replace(/₹\s+/g, '₹') // Fix currency spacing
             .trim();
     }
 
-    async extractMerchantInfo(lines, extractedData) {
+    async extractMerchantInfo(lines, extractedData, hints = {}) {
         const merchantCandidates = [];
 
         for (let i = 0; i < Math.min(10, lines.length); i++) {
@@ -794,10 +978,11 @@ class AdvancedOCRService {
                 extractedData.merchantInfo.website = urlMatch[0];
             }
 
-            // GST number extraction
-            const gstMatch = line.match(/\b\d{2}[A-Z]{5}\d{4}[A-Z]{1}[A-Z\d]{1}[Z]{1}[A-Z\d]{1}\b/);
-            if (gstMatch && !extractedData.merchantInfo.gstNumber) {
-                extractedData.merchantInfo.gstNumber = gstMatch[0];
+            // GST number extraction (a checksum-valid GSTIN replaces an invalid one)
+            const gstin = this.extractGSTIN(line);
+            if (gstin && (!extractedData.merchantInfo.gstNumber || (gstin.valid && !extractedData.merchantInfo.gstNumberValid))) {
+                extractedData.merchantInfo.gstNumber = gstin.gstin;
+                extractedData.merchantInfo.gstNumberValid = gstin.valid;
             }
         }
 
@@ -806,6 +991,12 @@ class AdvancedOCRService {
             const bestCandidate = merchantCandidates.sort((a, b) => b.score - a.score)[0];
             extractedData.merchantInfo.name = bestCandidate.name;
         }
+
+        // A merchant the user has corrected before keeps the name they gave it,
+        // when OCR read one of the names it was corrected from
+        if (hints.merchant && ocrLearningService.matchesName(extractedData.merchantInfo.name, hints.aliases)) {
+            extractedData.merchantInfo.name = hints.merchant;
+        }
     }
 
     scoreMerchantName(line, lineIndex) {
@@ -860,33 +1051,47 @@ class AdvancedOCRService {
         );
     }
 
-    async extractItemsAndPrices(lines, extractedData) {
+    async extractItemsAndPrices(lines, extractedData, hints = null) {
         const potentialItems = [];
 
         for (let i = 0; i < lines.length; i++) {
             const line = lines[i];
             const lowerLine = line.toLowerCase();
 
+            // HSN/SAC codes are taken off the line so they are not read as prices
+            const hsnCode = this.extractHsnCode(line);
+            const itemLine = hsnCode ? line.replace(hsnCode.match, ' ').replace(/\s+/g, ' ').trim() : line;
+
+            // A labelled code on a line of its own belongs to the item above it
+            if (hsnCode && hsnCode.labelled && this.extractPricesFromLine(itemLine).length === 0) {
+                const previousItem = potentialItems[potentialItems.length - 1];
+                if (previousItem && previousItem.lineIndex === i - 1 && !previousItem.hsnCode) {
+                    previousItem.hsnCode = hsnCode.code;
+                }
+                continue;
+            }
+
             // Skip obvious non-item lines with enhanced detection
-            if (this.shouldSkipLine(line, i, lines)) {
+            if (this.shouldSkipLine(itemLine, i, lines)) {
                 continue;
             }
 
             // Look for lines with prices
-            const priceMatches = this.extractPricesFromLine(line);
+            const priceMatches = this.extractPricesFromLine(itemLine);
             if (priceMatches.length > 0) {
-                const itemScore = this.scoreItemLine(line, i, lines);
+                const itemScore = this.scoreItemLine(itemLine, i, lines);
 
                 if (itemScore > 0) {
-                    const itemName = this.extractItemName(line, priceMatches);
-                    const price = this.selectBestPrice(priceMatches, line);
-                    const quantity = this.extractQuantity(line);
+                    const itemName = this.extractItemName(itemLine, priceMatches);
+                    const price = this.selectBestPrice(priceMatches, itemLine);
+                    const quantity = this.extractQuantity(itemLine);
 
                     if (itemName && itemName.length > 1 && price > 0) {
                         potentialItems.push({
                             name: itemName,
                             price: price,
                             quantity: quantity || 1,
+                            hsnCode: hsnCode ? hsnCode.code : null,
                             score: itemScore,
                             lineIndex: i
                         });
@@ -905,10 +1110,14 @@ class AdvancedOCRService {
             extractedData.items.push({
                 name: item.name,
                 price: item.price,
-                quantity: item.quantity
+                quantity: item.quantity,
+                ...(item.hsnCode && { hsnCode: item.hsnCode })
             });
         });
 
+        // Snap items to the merchant's known menu before de-duplicating
+        extractedData.items = ocrLearningService.applyMenuHints(extractedData.items, hints);
+
         // Remove duplicate items with enhanced logic
         extractedData.items = this.removeDuplicateItems(extractedData.items);
     }
@@ -934,15 +1143,15 @@ class AdvancedOCRService {
 
         // Skip lines with common non-item patterns
         const skipPatterns = [
-            /^(date|time|bill|receipt|invoice|order|table|server|cashier)/i,
+            /^(date|time|bill|receipt|invoice|inv|order|table|tbl|kot|server|cashier)/i,
             /^(thank you|thanks|visit again|welcome)/i,
-            /^(gst|vat|tax|service charge|tip)/i,
+            /^(gst|vat|tax|cgst|sgst|utgst|igst|cess|service charge|tip)/i,
             /^(subtotal|total|amount|balance|change)/i,
             /^\d+\/\d+\/\d+/, // Date patterns
             /^\d{2}:\d{2}/, // Time patterns
         ];
 
-        return skipPatterns.some(pattern => pattern.test(line));
+        return skipPatterns.some(pattern => pattern.test(line)) || this.parseReceiptDate(line) !== null;
     }
 
     scoreItemLine(line, lineIndex, allLines) {
@@ -1006,8 +1215,22 @@ class AdvancedOCRService {
     }
 
     async extractTotalsAndCharges(lines, extractedData) {
+        const taxComponents = [];
+
         for (const line of lines) {
             const lowerLine = line.toLowerCase();
+
+            // CGST/SGST/IGST/cess lines are kept separately and summed below
+            const taxComponent = !/total/i.test(line) && this.parseTaxComponent(line);
+            if (taxComponent) {
+                const seen = taxComponents.some(component =>
+                    component.type === taxComponent.type &&
+                    component.rate === taxComponent.rate &&
+                    component.amount === taxComponent.amount);
+                if (!seen) taxComponents.push(taxComponent);
+                continue;
+            }
+
             const prices = this.extractPricesFromLine(line);
 
             if (prices.length === 0) continue;
@@ -1031,6 +1254,236 @@ class AdvancedOCRService {
                 extractedData.serviceCharge = Math.max(extractedData.serviceCharge, price);
             }
         }
+
+        extractedData.gst = this.buildGSTDetails(extractedData, taxComponents);
+        if (taxComponents.length > 0) {
+            extractedData.tax = extractedData.gst.totalTax;
+        }
+    }
+
+    // "CGST @ 2.5% 12.50" -> { type: 'CGST', rate: 2.5, amount: 12.5 }. The amount is the
+    // last number on the line once the rate is removed (earlier numbers may be the taxable value).
+    parseTaxComponent(line) {
+        const typeMatch = line.match(this.gstPatterns.component);
+        if (!typeMatch) return null;
+
+        const rateMatch = line.match(this.gstPatterns.rate);
+        const amountText = (rateMatch ? line.replace(rateMatch[0], ' ') : line)
+            .slice(typeMatch.index + typeMatch[0].length);
+        const amounts = amountText.match(/\d+(?:,\d{3})*(?:\.\d{1,2})?/g);
+        if (!amounts) return null;
+
+        const amount = parseFloat(amounts[amounts.length - 1].replace(/,/g, ''));
+        if (!(amount > 0)) return null;
+
+        return {
+            type: typeMatch[1].toUpperCase(),
+            rate: rateMatch ? parseFloat(rateMatch[1]) : null,
+            amount
+        };
+    }
+
+    // Structured GST data for reimbursement: GSTIN, supply type and the tax split
+    buildGSTDetails(extractedData, components) {
+        const gstin = extractedData.merchantInfo.gstNumber || null;
+        const totalTax = Math.round(components.reduce((sum, component) => sum + component.amount, 0) * 100) / 100;
+        const sumOf = (...types) => components
+            .filter(component => types.includes(component.type))
+            .reduce((sum, component) => sum + component.amount, 0);
+
+        const warnings = [];
+        if (gstin && !extractedData.merchantInfo.gstNumberValid) {
+            warnings.push({ code: 'INVALID_GSTIN', message: `GSTIN ${gstin} fails checksum validation` });
+        }
+        if (sumOf('IGST') > 0 && sumOf('CGST', 'SGST', 'UTGST') > 0) {
+            warnings.push({ code: 'MIXED_GST_TYPES', message: 'Receipt shows both IGST and CGST/SGST' });
+        }
+        if (Math.abs(sumOf('CGST') - sumOf('SGST', 'UTGST')) > 0.01) {
+            warnings.push({ code: 'CGST_SGST_MISMATCH', message: 'CGST and SGST amounts differ' });
+        }
+
+        return {
+            gstin,
+            gstinValid: gstin ? Boolean(extractedData.merchantInfo.gstNumberValid) : false,
+            stateCode: gstin ? gstin.slice(0, 2) : null,
+            supplyType: sumOf('IGST') > 0 ? 'inter_state' : (sumOf('CGST', 'SGST', 'UTGST') > 0 ? 'intra_state' : null),
+            components,
+            cgst: sumOf('CGST'),
+            sgst: sumOf('SGST', 'UTGST'),
+            igst: sumOf('IGST'),
+            cess: sumOf('CESS'),
+            totalTax,
+            warnings
+        };
+    }
+
+    // Find a GSTIN on the line. OCR digit/letter mix-ups are repaired using the
+    // fixed GSTIN layout (2 digits, 5 letters, 4 digits, letter, entity code, Z, check).
+    extractGSTIN(line) {
+        const candidates = line.toUpperCase().match(/\b[0-9A-Z]{15}\b/g) || [];
+        const toDigit = { O: '0', D: '0', I: '1', L: '1', Z: '2', S: '5', B: '8', G: '6' };
+        const toLetter = { 0: 'O', 1: 'I', 2: 'Z', 5: 'S', 8: 'B', 6: 'G' };
+        const digitPositions = [0, 1, 7, 8, 9, 10];
+        const letterPositions = [2, 3, 4, 5, 6, 11, 13];
+
+        let invalid = null;
+        for (const candidate of candidates) {
+            const repaired = candidate.split('').map((char, index) => {
+                if (digitPositions.includes(index)) return toDigit[char] || char;
+                if (letterPositions.includes(index)) return toLetter[char] || char;
+                return char;
+            }).join('');
+
+            if (!/^\d{2}[A-Z]{5}\d{4}[A-Z][0-9A-Z]Z[0-9A-Z]$/.test(repaired)) continue;
+            if (this.isValidGSTIN(repaired)) return { gstin: repaired, valid: true };
+            invalid = invalid || { gstin: repaired, valid: false };
+        }
+
+        return invalid;
+    }
+
+    // GSTIN check digit: base-36 weighted sum of the first 14 characters
+    isValidGSTIN(gstin) {
+        if (!/^\d{2}[A-Z]{5}\d{4}[A-Z][0-9A-Z]Z[0-9A-Z]$/.test(gstin)) return false;
+
+        const stateCode = parseInt(gstin.slice(0, 2));
+        if (stateCode < 1 || (stateCode > 38 && stateCode !== 97 && stateCode !== 99)) return false;
+
+        const base = this.gstinCharset.length;
+        let sum = 0;
+        for (let i = 0; i < 14; i++) {
+            const product = this.gstinCharset.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+            sum += Math.floor(product / base) + (product % base);
+        }
+
+        return this.gstinCharset[(base - (sum % base)) % base] === gstin[14];
+    }
+
+    // Labelled HSN/SAC codes ("HSN: 2106", "SAC 996331") or bare 6/8-digit codes
+    extractHsnCode(line) {
+        const labelled = line.match(this.gstPatterns.hsnCode);
+        if (labelled) return { code: labelled[1], match: labelled[0], labelled: true };
+
+        const bare = line.match(this.gstPatterns.bareHsnCode);
+        if (bare && !this.extractGSTIN(line)) return { code: bare[1], match: bare[1], labelled: false };
+
+        return null;
+    }
+
+    extractReceiptDetails(lines, extractedData) {
+        const details = {
+            date: null,
+            time: null,
+            invoiceNumber: null,
+            kotNumber: null,
+            tableNumber: null
+        };
+
+        // Lines labelled as the date win over dates found elsewhere (e.g. a printed expiry)
+        const dateLines = [
+            ...lines.filter(line => /\b(date|dt|dated)\b/i.test(line)),
+            ...lines
+        ];
+
+        for (const line of dateLines) {
+            if (!details.date) details.date = this.parseReceiptDate(line);
+            if (details.date) {
+                details.time = this.parseReceiptTime(line);
+                break;
+            }
+        }
+
+        lines.forEach(line => {
+            if (!details.time) details.time = this.parseReceiptTime(line);
+
+            const kotMatch = line.match(this.receiptDetailPatterns.kotNumber);
+            if (kotMatch && /\d/.test(kotMatch[1]) && !details.kotNumber) {
+                details.kotNumber = kotMatch[1].toUpperCase();
+            }
+
+            const invoiceMatch = line.match(this.receiptDetailPatterns.invoiceNumber);
+            if (invoiceMatch && /\d/.test(invoiceMatch[1]) && !details.invoiceNumber) {
+                details.invoiceNumber = invoiceMatch[1].toUpperCase();
+            }
+
+            const tableMatch = line.match(this.receiptDetailPatterns.tableNumber);
+            if (tableMatch && !details.tableNumber) {
+                details.tableNumber = tableMatch[1].toUpperCase();
+            }
+        });
+
+        extractedData.receiptDate = details.date;
+        extractedData.receiptTime = details.date ? details.time : null;
+        extractedData.transactionDate = details.date
+            ? receiptDateService.toTimestamp(details.date, details.time)
+            : null;
+        extractedData.invoiceNumber = details.invoiceNumber;
+        extractedData.kotNumber = details.kotNumber;
+        extractedData.tableNumber = details.tableNumber;
+    }
+
+    // Parse DD/MM/YYYY, DD-MM-YY, DD.MM.YYYY, YYYY-MM-DD and DD-Mon-YY / DD Mon YYYY into YYYY-MM-DD.
+    // Numeric dates are read day first unless that is impossible (e.g. 12/25/2024).
+    parseReceiptDate(line) {
+        const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+        let year, month, day;
+
+        const monthNameMatch = line.match(this.receiptDetailPatterns.monthNameDate);
+        const numericMatch = line.match(this.receiptDetailPatterns.numericDate);
+
+        if (monthNameMatch) {
+            day = parseInt(monthNameMatch[1]);
+            month = months.indexOf(monthNameMatch[2].toLowerCase()) + 1;
+            year = parseInt(monthNameMatch[3]);
+        } else if (numericMatch && numericMatch[1]) {
+            year = parseInt(numericMatch[1]);
+            month = parseInt(numericMatch[2]);
+            day = parseInt(numericMatch[3]);
+        } else if (numericMatch) {
+            day = parseInt(numericMatch[4]);
+            month = parseInt(numericMatch[5]);
+            year = parseInt(numericMatch[6]);
+            if (month > 12 && day <= 12) [day, month] = [month, day];
+        } else {
+            return null;
+        }
+
+        if (year < 100) year += 2000;
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        const valid = date.getUTCFullYear() === year &&
+            date.getUTCMonth() === month - 1 &&
+            date.getUTCDate() === day &&
+            year >= 2000 &&
+            year <= new Date().getFullYear() + 1;
+
+        return valid ? date.toISOString().split('T')[0] : null;
+    }
+
+    // Parse 24h (18:45) or 12h (6:45 PM) times into HH:MM
+    parseReceiptTime(line) {
+        const label = line.match(/\b(?:time|tm)\b/i);
+        const pattern = new RegExp(this.receiptDetailPatterns.time.source, 'gi');
+
+        for (const match of line.matchAll(pattern)) {
+            let hours = parseInt(match[1]);
+            const minutes = match[2];
+            const meridiem = match[4] ? match[4].toLowerCase() : null;
+            const separator = match[0].charAt(match[1].length);
+
+            // "12.50" is more likely a price unless it follows a Time label
+            if (separator !== ':' && !meridiem && !(label && match.index > label.index)) continue;
+
+            if (meridiem) {
+                if (hours < 1 || hours > 12) continue;
+                if (meridiem === 'pm' && hours !== 12) hours += 12;
+                if (meridiem === 'am' && hours === 12) hours = 0;
+            }
+
+            return `${String(hours).padStart(2, '0')}:${minutes}`;
+        }
+
+        return null;
     }
 
     validateAndFixData(extractedData) {
@@ -1260,7 +1713,14 @@ class AdvancedOCRService {
                 email: null,
                 website: null,
                 gstNumber: null
-            }
+            },
+            gst: null,
+            receiptDate: null,
+            receiptTime: null,
+            transactionDate: null,
+            invoiceNumber: null,
+            kotNumber: null,
+            tableNumber: null
         };
     }
 }
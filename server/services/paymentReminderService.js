@@ -0,0 +1,546 @@
+// Payment Reminder Service - Chase unpaid split participants on an escalating schedule
+
+const supabaseService = require('./supabaseService');
+const billSplitService = require('./billSplitService');
+const sharingService = require('./sharingService');
+
+class PaymentReminderError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'PaymentReminderError';
+        this.code = code;
+    }
+}
+
+class PaymentReminderService {
+    constructor() {
+        this.channels = {
+            EMAIL: 'email',
+            WHATSAPP: 'whatsapp',
+            SMS: 'sms'
+        };
+
+        // Days after the split before the first reminder, then the gaps between
+        // later ones. The last gap repeats until maxReminders is reached.
+        this.firstReminderDays = parseFloat(process.env.REMINDER_FIRST_AFTER_DAYS) || 3;
+        this.followUpDays = this.parseDayList(process.env.REMINDER_FOLLOW_UP_DAYS, [4, 7]);
+        this.maxReminders = parseInt(process.env.REMINDER_MAX_COUNT) || 3;
+
+        // No reminders go out between these hours (local time), e.g. 21-9
+        this.quietHours = this.parseQuietHours(process.env.REMINDER_QUIET_HOURS ?? '21-9');
+        this.timeZone = process.env.REMINDER_TIMEZONE || 'Asia/Kolkata';
+
+        this.maxSnoozeDays = 30;
+        this.batchSize = 200;
+        this.schedulerTimer = null;
+    }
+
+    // Send every reminder that is due. options: dryRun (only report what would be
+    // sent), ignoreQuietHours, and payeeUPI/payeeName for splits without a recorded payer.
+    async processDueReminders(asOf = new Date(), options = {}) {
+        try {
+            if (!options.ignoreQuietHours && this.isQuietHours(asOf)) {
+                return {
+                    success: true,
+                    data: { asOf: asOf.toISOString(), quietHours: true, reminded: [], failed: [], skipped: {} }
+                };
+            }
+
+            const participants = await this.findUnpaidParticipants(asOf);
+            const reminded = [];
+            const failed = [];
+            const skipped = {};
+
+            for (const participant of participants) {
+                const plan = this.planReminder(participant, asOf);
+
+                if (!plan.due) {
+                    skipped[plan.reason] = (skipped[plan.reason] || 0) + 1;
+                    continue;
+                }
+
+                if (options.dryRun) {
+                    reminded.push(this.summarize(participant, plan));
+                    continue;
+                }
+
+                try {
+                    const result = await this.sendReminder(participant, plan, asOf, options);
+                    if (result) reminded.push(result);
+                } catch (error) {
+                    console.error(`❌ Failed to remind ${participant.name}:`, error.message);
+                    failed.push({ ...this.summarize(participant, plan), error: error.message });
+                }
+            }
+
+            if (reminded.length > 0 && !options.dryRun) {
+                console.log(`🔔 Sent ${reminded.length} payment reminder(s)`);
+            }
+
+            return {
+                success: true,
+                data: {
+                    asOf: asOf.toISOString(),
+                    quietHours: false,
+                    dryRun: Boolean(options.dryRun),
+                    reminded,
+                    failed,
+                    skipped
+                }
+            };
+
+        } catch (error) {
+            console.error('❌ Error processing payment reminders:', error);
+            return this.formatError(error);
+        }
+    }
+
+    // Participants who still owe on active splits old enough for a first reminder.
+    // Snoozed and unreachable participants are left out here rather than skipped
+    // later: they are never reminded, so they would fill every batch.
+    async findUnpaidParticipants(asOf) {
+        const cutoff = new Date(asOf.getTime() - this.firstReminderDays * 24 * 60 * 60 * 1000);
+
+        const { data, error } = await supabaseService.supabase
+            .from('split_participants')
+            .select(`
+                *,
+                split_payments(participant_id, amount, voided_at),
+                bill_splits!inner(
+                    id, split_name, status, created_at, receipt_id,
+                    receipts(id, merchant_name, total_amount, items, created_at),
+                    split_participants(*)
+                )
+            `)
+            .in('payment_status', [billSplitService.paymentStatuses.PENDING, billSplitService.paymentStatuses.PARTIALLY_PAID])
+            .is('reminders_opted_out_at', null)
+            .or(`reminders_snoozed_until.is.null,reminders_snoozed_until.lte."${asOf.toISOString()}"`)
+            .or('email.not.is.null,phone.not.is.null')
+            .lt('reminder_count', this.maxReminders)
+            .eq('bill_splits.status', billSplitService.splitStatuses.ACTIVE)
+            .lte('bill_splits.created_at', cutoff.toISOString())
+            .order('last_reminded_at', { ascending: true, nullsFirst: true })
+            .limit(this.batchSize);
+
+        if (error) throw error;
+        return data;
+    }
+
+    // Decide whether a participant gets a reminder now: { due, reason, channel, balance, nextReminderAt }
+    planReminder(participant, asOf) {
+        const balance = billSplitService.buildParticipantBalance(participant, participant.split_payments || []);
+        const channel = this.resolveChannel(participant);
+        const nextReminderAt = this.getNextReminderAt(participant);
+        const plan = { due: false, reason: null, channel, balance, nextReminderAt };
+
+        if (balance.outstanding <= 0) return { ...plan, reason: 'settled' };
+        if (participant.reminders_opted_out_at) return { ...plan, reason: 'opted_out' };
+        if ((participant.reminder_count || 0) >= this.maxReminders) return { ...plan, reason: 'max_reached' };
+        if (participant.reminders_snoozed_until && new Date(participant.reminders_snoozed_until) > asOf) {
+            return { ...plan, reason: 'snoozed' };
+        }
+        if (!channel) return { ...plan, reason: 'no_contact' };
+        if (nextReminderAt > asOf) return { ...plan, reason: 'not_due' };
+
+        return { ...plan, due: true };
+    }
+
+    // The first reminder is counted from the split, later ones from the previous
+    // reminder, so a snooze or a late run never sends several back to back
+    getNextReminderAt(participant) {
+        const count = participant.reminder_count || 0;
+        const dayMs = 24 * 60 * 60 * 1000;
+
+        if (count === 0 || !participant.last_reminded_at) {
+            return new Date(new Date(participant.bill_splits.created_at).getTime() + this.firstReminderDays * dayMs);
+        }
+
+        const gap = this.followUpDays[Math.min(count - 1, this.followUpDays.length - 1)];
+        return new Date(new Date(participant.last_reminded_at).getTime() + gap * dayMs);
+    }
+
+    // The participant's chosen channel when we have the contact for it; otherwise
+    // email, then a WhatsApp link for the owner to send
+    resolveChannel(participant) {
+        const available = {
+            [this.channels.EMAIL]: Boolean(participant.email),
+            [this.channels.WHATSAPP]: Boolean(participant.phone),
+            [this.channels.SMS]: Boolean(participant.phone)
+        };
+
+        if (participant.reminder_channel && available[participant.reminder_channel]) {
+            return participant.reminder_channel;
+        }
+        if (available[this.channels.EMAIL]) return this.channels.EMAIL;
+        if (available[this.channels.WHATSAPP]) return this.channels.WHATSAPP;
+        return null;
+    }
+
+    async sendReminder(participant, plan, asOf, options = {}) {
+        const count = participant.reminder_count || 0;
+
+        // Claim the reminder first so overlapping runs can't both send it. A failed
+        // delivery still uses up the slot; the next one follows the normal cadence.
+        const { data: claimed, error: claimError } = await supabaseService.supabase
+            .from('split_participants')
+            .update({ reminder_count: count + 1, last_reminded_at: asOf.toISOString() })
+            .eq('id', participant.id)
+            .eq('reminder_count', count)
+            .select('id');
+
+        if (claimError) throw claimError;
+        if (claimed.length === 0) return null;
+
+        const split = participant.bill_splits;
+        const receipt = split.receipts || {};
+        const reminderNumber = count + 1;
+        const message = this.formatReminderMessage(participant, split, receipt, plan.balance, reminderNumber);
+        // Personalized messages show what is still owed rather than the original share
+        const recipient = { ...participant, amount_owed: plan.balance.outstanding };
+
+        const shareRecord = {
+            receipt_id: split.receipt_id,
+            split_id: split.id,
+            participant_id: participant.id,
+            share_method: plan.channel,
+            recipient_info: {
+                kind: 'payment_reminder',
+                participantName: participant.name,
+                reminderNumber,
+                amount: plan.balance.outstanding
+            },
+            status: 'pending'
+        };
+
+        let delivery;
+
+        if (plan.channel === this.channels.EMAIL) {
+            // Pay links ask for what is left, as the message says
+            const transfers = billSplitService.limitTransfersToOutstanding(
+                billSplitService.buildPaymentTransfers(split.split_participants || [participant]),
+                [plan.balance]
+            );
+            const payments = sharingService.buildEmailPayments(participant, transfers, options, receipt);
+            const text = [
+                sharingService.personalizeMessage(message, recipient, { plainText: true }),
+                ...payments.map(payment => `Pay ₹${payment.amount.toFixed(2)} to ${payment.payeeName} via UPI: ${payment.upiLink}`)
+            ].join('\n');
+
+            shareRecord.recipient_info.email = participant.email;
+            shareRecord.message = text;
+            const share = await this.recordReminder(shareRecord);
+
+            delivery = await sharingService.deliverEmail(share, {
+                to: participant.email,
+                subject: this.formatReminderSubject(split, reminderNumber),
+                text,
+                html: sharingService.formatEmailHtml(receipt, null, { customMessage: message, participant: recipient, payments })
+            });
+            delivery.shareId = share.id;
+
+        } else if (plan.channel === this.channels.WHATSAPP) {
+            // WhatsApp can't be sent from the server; the owner sends it from the queue
+            const text = sharingService.personalizeMessage(message, recipient);
+            shareRecord.recipient_info.phoneNumber = participant.phone;
+            shareRecord.recipient_info.whatsappUrl = sharingService.createWhatsAppUrl(participant.phone, text);
+            shareRecord.message = text;
+            shareRecord.status = 'queued';
+
+            const share = await this.recordReminder(shareRecord);
+            delivery = { success: true, status: 'queued', shareId: share.id, whatsappUrl: shareRecord.recipient_info.whatsappUrl };
+
+        } else {
+            const text = sharingService.personalizeMessage(message, recipient, { plainText: true });
+            const smsResult = this.sendSms(participant.phone, text);
+            shareRecord.recipient_info.phoneNumber = participant.phone;
+            shareRecord.recipient_info.delivery = { provider: smsResult.provider };
+            shareRecord.message = text;
+            shareRecord.status = smsResult.status;
+
+            const share = await this.recordReminder(shareRecord);
+            delivery = { success: true, status: smsResult.status, shareId: share.id };
+        }
+
+        return {
+            ...this.summarize(participant, plan),
+            reminderNumber,
+            shareId: delivery.shareId,
+            status: delivery.status,
+            ...(delivery.whatsappUrl && { whatsappUrl: delivery.whatsappUrl }),
+            ...(delivery.error && { error: delivery.error })
+        };
+    }
+
+    async recordReminder(shareRecord) {
+        const { data, error } = await supabaseService.supabase
+            .from('receipt_shares')
+            .insert([shareRecord])
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    // No SMS provider is wired in yet: the message is logged and left queued
+    sendSms(phoneNumber, message) {
+        console.log(`💬 SMS reminder to ${phoneNumber} (not sent, no provider configured):\n${message}`);
+        return { status: 'queued', provider: 'stub' };
+    }
+
+    // Tone escalates from a friendly nudge to a final reminder
+    formatReminderMessage(participant, split, receipt, balance, reminderNumber) {
+        const bill = `${split.split_name}${receipt.merchant_name ? ` at ${receipt.merchant_name}` : ''}`;
+
+        let opening;
+        if (reminderNumber >= this.maxReminders) {
+            opening = `This is the last reminder about ${bill}. Please settle up when you can.`;
+        } else if (reminderNumber === 1) {
+            opening = `Just a friendly reminder about ${bill}.`;
+        } else {
+            opening = `Following up on ${bill} - your payment is still pending.`;
+        }
+
+        const progress = balance.amountPaid > 0
+            ? `\n\nYou've paid ₹${balance.amountPaid.toFixed(2)} of ₹${balance.amountOwed.toFixed(2)} so far, thanks! The amount below is what's left.`
+            : '';
+
+        return `${opening}${progress}`;
+    }
+
+    formatReminderSubject(split, reminderNumber) {
+        return reminderNumber >= this.maxReminders
+            ? `Final reminder: ${split.split_name}`
+            : `Reminder: ${split.split_name}`;
+    }
+
+    // WhatsApp reminders waiting for the owner to send them
+    async getReminderQueue(limit = 50) {
+        try {
+            const { data, error } = await supabaseService.supabase
+                .from('receipt_shares')
+                .select('id, receipt_id, split_id, participant_id, recipient_info, message, created_at')
+                .eq('share_method', this.channels.WHATSAPP)
+                .eq('status', 'queued')
+                .not('participant_id', 'is', null)
+                .order('created_at', { ascending: true })
+                .limit(limit);
+
+            if (error) throw error;
+
+            return {
+                success: true,
+                data
+            };
+
+        } catch (error) {
+            console.error('❌ Error getting reminder queue:', error);
+            return this.formatError(error);
+        }
+    }
+
+    // The owner sent (or dropped) a queued WhatsApp reminder
+    async completeQueuedReminder(shareId, sent = true) {
+        return sharingService.updateShareStatus(shareId, sent ? 'sent' : 'cancelled');
+    }
+
+    // Reminder settings and history for one participant
+    async getParticipantReminders(participantId) {
+        try {
+            const participant = await this.getParticipant(participantId);
+
+            const { data: history, error } = await supabaseService.supabase
+                .from('receipt_shares')
+                .select('id, share_method, status, recipient_info, message, sent_at, created_at')
+                .eq('participant_id', participantId)
+                .order('created_at', { ascending: false });
+
+            if (error) throw error;
+
+            return {
+                success: true,
+                data: {
+                    ...this.toSettings(participant),
+                    history
+                }
+            };
+
+        } catch (error) {
+            console.error('❌ Error getting participant reminders:', error);
+            return this.formatError(error);
+        }
+    }
+
+    // Change how a participant is reminded. settings: optOut (true stops reminders,
+    // false resumes them), snoozeDays or snoozeUntil (null clears a snooze) and channel.
+    async updateReminderSettings(participantId, settings = {}) {
+        try {
+            const updates = {};
+
+            if (settings.optOut !== undefined) {
+                updates.reminders_opted_out_at = settings.optOut ? new Date().toISOString() : null;
+            }
+
+            if (settings.snoozeDays !== undefined || settings.snoozeUntil !== undefined) {
+                updates.reminders_snoozed_until = this.resolveSnooze(settings);
+            }
+
+            if (settings.channel !== undefined) {
+                if (settings.channel !== null && !Object.values(this.channels).includes(settings.channel)) {
+                    throw new PaymentReminderError(
+                        `Channel must be one of: ${Object.values(this.channels).join(', ')}`, 'INVALID_CHANNEL');
+                }
+                updates.reminder_channel = settings.channel;
+            }
+
+            if (Object.keys(updates).length === 0) {
+                throw new PaymentReminderError('No reminder settings to update', 'NO_CHANGES');
+            }
+
+            const { data, error } = await supabaseService.supabase
+                .from('split_participants')
+                .update(updates)
+                .eq('id', participantId)
+                .select('*, bill_splits(created_at)')
+                .maybeSingle();
+
+            if (error) throw error;
+            if (!data) throw new PaymentReminderError('Participant not found', 'PARTICIPANT_NOT_FOUND');
+
+            console.log(`🔔 Updated reminder settings for ${data.name}`);
+
+            return {
+                success: true,
+                data: this.toSettings(data)
+            };
+
+        } catch (error) {
+            console.error('❌ Error updating reminder settings:', error);
+            return this.formatError(error);
+        }
+    }
+
+    resolveSnooze(settings) {
+        if (settings.snoozeUntil === null || settings.snoozeDays === null) return null;
+
+        const until = settings.snoozeUntil !== undefined
+            ? new Date(settings.snoozeUntil)
+            : new Date(Date.now() + parseFloat(settings.snoozeDays) * 24 * 60 * 60 * 1000);
+
+        if (Number.isNaN(until.getTime()) || until <= new Date()) {
+            throw new PaymentReminderError('Snooze must end in the future', 'INVALID_SNOOZE');
+        }
+        if (until - Date.now() > this.maxSnoozeDays * 24 * 60 * 60 * 1000) {
+            throw new PaymentReminderError(`Reminders can be snoozed for at most ${this.maxSnoozeDays} days`, 'INVALID_SNOOZE');
+        }
+
+        return until.toISOString();
+    }
+
+    async getParticipant(participantId) {
+        const { data, error } = await supabaseService.supabase
+            .from('split_participants')
+            .select('*, bill_splits(created_at)')
+            .eq('id', participantId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) throw new PaymentReminderError('Participant not found', 'PARTICIPANT_NOT_FOUND');
+        return data;
+    }
+
+    toSettings(participant) {
+        const count = participant.reminder_count || 0;
+        const active = !participant.reminders_opted_out_at && count < this.maxReminders;
+
+        return {
+            participantId: participant.id,
+            name: participant.name,
+            channel: this.resolveChannel(participant),
+            preferredChannel: participant.reminder_channel,
+            reminderCount: count,
+            maxReminders: this.maxReminders,
+            lastRemindedAt: participant.last_reminded_at,
+            snoozedUntil: participant.reminders_snoozed_until,
+            optedOutAt: participant.reminders_opted_out_at,
+            nextReminderAt: active && participant.bill_splits ? this.getNextReminderAt(participant).toISOString() : null
+        };
+    }
+
+    summarize(participant, plan) {
+        return {
+            participantId: participant.id,
+            name: participant.name,
+            splitId: participant.bill_splits.id,
+            splitName: participant.bill_splits.split_name,
+            channel: plan.channel,
+            outstanding: plan.balance.outstanding
+        };
+    }
+
+    isQuietHours(date) {
+        if (!this.quietHours) return false;
+
+        const hour = parseInt(new Intl.DateTimeFormat('en-GB', {
+            hour: 'numeric',
+            hourCycle: 'h23',
+            timeZone: this.timeZone
+        }).format(date));
+
+        const { start, end } = this.quietHours;
+        return start > end
+            ? hour >= start || hour < end
+            : hour >= start && hour < end;
+    }
+
+    // "21-9" -> { start: 21, end: 9 }; empty or "off" disables quiet hours
+    parseQuietHours(value) {
+        const match = /^\s*(\d{1,2})\s*-\s*(\d{1,2})\s*$/.exec(value || '');
+        if (!match) return null;
+
+        const start = parseInt(match[1]);
+        const end = parseInt(match[2]);
+        if (start > 23 || end > 23 || start === end) return null;
+
+        return { start, end };
+    }
+
+    parseDayList(value, fallback) {
+        const days = (value || '')
+            .split(',')
+            .map(day => parseFloat(day))
+            .filter(day => Number.isFinite(day) && day > 0);
+
+        return days.length > 0 ? days : fallback;
+    }
+
+    // Send due reminders periodically
+    startScheduler(intervalMs = 60 * 60 * 1000) {
+        if (this.schedulerTimer) return;
+
+        const run = () => this.processDueReminders()
+            .catch(error => console.error('❌ Payment reminder run failed:', error));
+
+        this.schedulerTimer = setInterval(run, intervalMs);
+        this.schedulerTimer.unref();
+        run();
+
+        console.log(`🔔 Payment reminder scheduler running every ${Math.round(intervalMs / 60000)} min`);
+    }
+
+    stopScheduler() {
+        clearInterval(this.schedulerTimer);
+        this.schedulerTimer = null;
+    }
+
+    formatError(error) {
+        return {
+            success: false,
+            error: error.message,
+            ...(error.code && { code: error.code })
+        };
+    }
+}
+
+module.exports = new PaymentReminderService();
+module.exports.PaymentReminderError = PaymentReminderError;
@@ -0,0 +1,60 @@
+// Receipt Date Service - Receipt dates and date ranges on the Indian calendar
+
+// Receipts are dated by what is printed on them, in IST. A receipt with a date
+// but no time is stored as midnight +05:30, and analytics and reports bucket and
+// filter by IST days so it lands on the printed date.
+class ReceiptDateService {
+    constructor() {
+        this.timezoneOffset = '+05:30';
+        this.timezoneOffsetMs = 330 * 60 * 1000;
+    }
+
+    isDateOnly(value) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+    }
+
+    // Timestamp for a printed YYYY-MM-DD date and optional HH:MM time
+    toTimestamp(date, time = null) {
+        return `${date}T${time || '00:00'}:00${this.timezoneOffset}`;
+    }
+
+    // Timestamp to store for a date a user entered: a bare date is IST midnight
+    fromInput(value) {
+        return this.isDateOnly(value) ? this.toTimestamp(value) : new Date(value).toISOString();
+    }
+
+    // A Date whose UTC fields read as the IST wall clock
+    toIndianClock(timestamp) {
+        return new Date(new Date(timestamp).getTime() + this.timezoneOffsetMs);
+    }
+
+    toIndianDate(timestamp) {
+        return this.toIndianClock(timestamp).toISOString().split('T')[0];
+    }
+
+    toIndianMonth(timestamp) {
+        return this.toIndianDate(timestamp).slice(0, 7);
+    }
+
+    addDays(date, days) {
+        const day = new Date(`${date}T00:00:00Z`);
+        day.setUTCDate(day.getUTCDate() + days);
+        return day.toISOString().split('T')[0];
+    }
+
+    // Filter a query on a timestamp column. Date-only bounds cover whole IST days,
+    // so an endDate includes everything on that day; full timestamps are used as given.
+    applyDateRange(query, column, startDate, endDate) {
+        if (startDate) {
+            query = query.gte(column, this.isDateOnly(startDate) ? this.toTimestamp(startDate) : startDate);
+        }
+        if (endDate) {
+            query = this.isDateOnly(endDate)
+                ? query.lt(column, this.toTimestamp(this.addDays(endDate, 1)))
+                : query.lte(column, endDate);
+        }
+        return query;
+    }
+}
+
+module.exports = new ReceiptDateService();
@@ -0,0 +1,528 @@
+// Receipt Service - Manual receipt entry and corrections to stored receipts
+
+const supabaseService = require('./supabaseService');
+const ocrService = require('./ocrService');
+const categoryService = require('./categoryService');
+const billSplitService = require('./billSplitService');
+const ocrLearningService = require('./ocrLearningService');
+const imageHashService = require('./imageHashService');
+const receiptDateService = require('./receiptDateService');
+const splitMath = require('../../client/split-math');
+const { SplitValidationError } = require('./splitValidationService');
+
+class ReceiptValidationError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'ReceiptValidationError';
+        this.code = 'RECEIPT_VALIDATION_FAILED';
+        this.details = details;
+    }
+}
+
+class ReceiptService {
+    // Create a receipt from JSON, e.g. a cash expense with no slip.
+    // The data goes through the same consistency checks and categorization as OCR results.
+    async createManualReceipt(input = {}) {
+        try {
+            console.log('✍️ Creating manual receipt:', input.merchantName || input.merchant);
+
+            const receiptData = this.buildReceiptData(input);
+            const warnings = this.applyConsistencyChecks(receiptData);
+            const categoryResult = await this.resolveCategory(input, receiptData);
+
+            receiptData.categoryId = categoryResult.category.id;
+            receiptData.categoryName = categoryResult.category.name;
+            receiptData.categoryConfidence = categoryResult.confidence;
+
+            const savedReceipt = await supabaseService.saveReceiptData({
+                ocrData: receiptData,
+                metadata: {
+                    source: 'manual',
+                    notes: input.notes || null,
+                    receiptDate: input.date || null,
+                    processedAt: new Date().toISOString()
+                }
+            });
+
+            if (!savedReceipt) {
+                throw new Error('Database not available, receipt was not saved');
+            }
+
+            console.log('✅ Manual receipt saved:', savedReceipt.id);
+            return {
+                success: true,
+                data: {
+                    ...savedReceipt,
+                    category: categoryResult.category,
+                    categoryConfidence: categoryResult.confidence,
+                    warnings
+                }
+            };
+
+        } catch (error) {
+            console.error('❌ Error creating manual receipt:', error);
+            return this.formatError(error);
+        }
+    }
+
+    // Validate the request and map it to the shape OCR extraction produces
+    buildReceiptData(input) {
+        const errors = [];
+        const merchant = typeof input.merchant === 'object' && input.merchant !== null ? input.merchant : {};
+        const merchantName = (input.merchantName || merchant.name || (typeof input.merchant === 'string' ? input.merchant : '')).trim();
+
+        if (!merchantName) {
+            errors.push({ code: 'MISSING_MERCHANT', field: 'merchantName', message: 'Merchant name is required' });
+        }
+
+        const amount = (field) => {
+            if (input[field] === undefined || input[field] === null || input[field] === '') return 0;
+            const value = parseFloat(input[field]);
+            if (!Number.isFinite(value) || value < 0) {
+                errors.push({ code: 'INVALID_AMOUNT', field, message: `${field} must be a non-negative number` });
+                return 0;
+            }
+            return value;
+        };
+
+        if (input.items !== undefined && !Array.isArray(input.items)) {
+            errors.push({ code: 'INVALID_ITEM', field: 'items', message: 'items must be an array' });
+        }
+        const parsedItems = this.parseItems(Array.isArray(input.items) ? input.items : [], 'items', errors);
+
+        const receiptData = {
+            items: parsedItems,
+            subtotal: amount('subtotal'),
+            tax: amount('tax'),
+            serviceCharge: amount('serviceCharge'),
+            total: amount('total'),
+            merchantInfo: {
+                name: merchantName,
+                address: merchant.address || input.merchantAddress || null,
+                phone: merchant.phone || input.merchantPhone || null
+            },
+            receiptType: input.receiptType || 'general',
+            currency: input.currency || 'INR',
+            transactionDate: input.date && !isNaN(new Date(input.date)) ? receiptDateService.fromInput(input.date) : null,
+            invoiceNumber: input.invoiceNumber || null,
+            kotNumber: input.kotNumber || null,
+            tableNumber: input.tableNumber || null,
+            rawText: '',
+            ocrMethod: 'Manual Entry',
+            confidence: 1
+        };
+
+        if (input.date && isNaN(new Date(input.date))) {
+            errors.push({ code: 'INVALID_DATE', field: 'date', message: 'date must be a valid date' });
+        }
+        if (parsedItems.length === 0 && receiptData.total === 0) {
+            errors.push({ code: 'EMPTY_RECEIPT', field: 'items', message: 'Provide at least one item or a total' });
+        }
+
+        if (errors.length > 0) {
+            throw new ReceiptValidationError('Receipt request is invalid', errors);
+        }
+
+        return receiptData;
+    }
+
+    // Normalise item entries, collecting errors for missing names and bad prices or quantities
+    parseItems(items, field, errors) {
+        return items.map((item, index) => {
+            const name = (item.name || '').trim();
+            const price = parseFloat(item.price);
+            const quantity = item.quantity === undefined ? 1 : parseFloat(item.quantity);
+            const label = name || `Item ${index + 1}`;
+
+            if (!name) {
+                errors.push({ code: 'INVALID_ITEM', field: `${field}[${index}].name`, message: `${label} has no name` });
+            }
+            if (!Number.isFinite(price) || price < 0) {
+                errors.push({ code: 'INVALID_ITEM', field: `${field}[${index}].price`, message: `${label} has an invalid price` });
+            }
+            if (!Number.isFinite(quantity) || quantity <= 0) {
+                errors.push({ code: 'INVALID_ITEM', field: `${field}[${index}].quantity`, message: `${label} has an invalid quantity` });
+            }
+
+            return { ...item, name, price, quantity };
+        });
+    }
+
+    // Run the OCR consistency checks, report what they changed, and make sure
+    // the result satisfies total = subtotal + tax + service charge
+    applyConsistencyChecks(receiptData) {
+        const warnings = [];
+        const itemsBefore = receiptData.items.map(item => item.name);
+        const taxBefore = receiptData.tax;
+
+        ocrService.validateAndFixData(receiptData);
+
+        const itemsAfter = receiptData.items.map(item => item.name);
+        itemsBefore
+            .filter(name => !itemsAfter.includes(name))
+            .forEach(name => warnings.push({
+                code: 'ITEM_REMOVED',
+                message: `${name} was dropped because its price is outside the accepted range`
+            }));
+
+        if (receiptData.tax !== taxBefore) {
+            warnings.push({
+                code: 'TAX_ADJUSTED',
+                message: `Tax was set to ₹${receiptData.tax.toFixed(2)} to match the total`
+            });
+        }
+
+        const round = value => splitMath.fromMinorUnits(splitMath.toMinorUnits(value));
+        receiptData.subtotal = round(receiptData.subtotal);
+        receiptData.tax = round(receiptData.tax);
+        receiptData.serviceCharge = round(receiptData.serviceCharge);
+        receiptData.total = round(receiptData.total);
+
+        const itemsInPaise = receiptData.items.reduce((sum, item) =>
+            sum + splitMath.toMinorUnits(item.price * item.quantity), 0);
+        if (receiptData.items.length > 0 && itemsInPaise !== splitMath.toMinorUnits(receiptData.subtotal)) {
+            warnings.push({
+                code: 'ITEMS_SUBTOTAL_MISMATCH',
+                message: `Items add up to ₹${splitMath.fromMinorUnits(itemsInPaise).toFixed(2)} but the subtotal is ₹${receiptData.subtotal.toFixed(2)}`
+            });
+        }
+
+        const expected = splitMath.toMinorUnits(receiptData.subtotal) +
+            splitMath.toMinorUnits(receiptData.tax) +
+            splitMath.toMinorUnits(receiptData.serviceCharge);
+        if (expected !== splitMath.toMinorUnits(receiptData.total)) {
+            throw new ReceiptValidationError('Receipt request is invalid', [{
+                code: 'TOTAL_MISMATCH',
+                field: 'total',
+                message: `Total ₹${receiptData.total.toFixed(2)} does not equal subtotal + tax + service charge (₹${splitMath.fromMinorUnits(expected).toFixed(2)})`,
+                expected: splitMath.fromMinorUnits(expected),
+                actual: receiptData.total
+            }]);
+        }
+
+        return warnings;
+    }
+
+    // Correct a stored receipt. With replace (PUT) the request carries the full item
+    // list; otherwise (PATCH) it may add, remove and update individual items.
+    // Subtotal and total are recomputed, and every split on the receipt is recalculated;
+    // the edit is refused if one of them can't be.
+    async updateReceipt(receiptId, changes = {}, options = {}) {
+        try {
+            console.log('✏️ Updating receipt:', receiptId);
+
+            const receipt = await supabaseService.getReceiptById(receiptId);
+            const errors = [];
+
+            const { items, mapping, itemsChanged } = options.replace
+                ? this.replaceItems(receipt.items || [], changes.items, errors)
+                : this.applyItemChanges(receipt.items || [], changes, errors);
+
+            const amount = (field, fallback) => {
+                if (changes[field] === undefined) return fallback;
+                const value = parseFloat(changes[field]);
+                if (!Number.isFinite(value) || value < 0) {
+                    errors.push({ code: 'INVALID_AMOUNT', field, message: `${field} must be a non-negative number` });
+                    return fallback;
+                }
+                return value;
+            };
+
+            const merchantName = changes.merchantName !== undefined ? String(changes.merchantName).trim() : receipt.merchant_name;
+            if (!merchantName) {
+                errors.push({ code: 'MISSING_MERCHANT', field: 'merchantName', message: 'Merchant name is required' });
+            }
+            if (changes.date && isNaN(new Date(changes.date))) {
+                errors.push({ code: 'INVALID_DATE', field: 'date', message: 'date must be a valid date' });
+            }
+
+            const tax = amount('tax', options.replace ? 0 : parseFloat(receipt.tax_amount || 0));
+            const serviceCharge = amount('serviceCharge', options.replace ? 0 : parseFloat(receipt.service_charge || 0));
+
+            // Item edits set the subtotal; otherwise keep the stored one (OCR receipts
+            // don't always list every item) unless a new subtotal is given
+            const itemsInPaise = items.reduce((sum, item) => sum + splitMath.toMinorUnits(item.price * item.quantity), 0);
+            const subtotalInPaise = itemsChanged
+                ? itemsInPaise
+                : splitMath.toMinorUnits(amount('subtotal', parseFloat(receipt.subtotal || 0)));
+            const totalInPaise = subtotalInPaise + splitMath.toMinorUnits(tax) + splitMath.toMinorUnits(serviceCharge);
+
+            if (changes.total !== undefined && splitMath.toMinorUnits(changes.total) !== totalInPaise) {
+                errors.push({
+                    code: 'TOTAL_MISMATCH',
+                    field: 'total',
+                    message: `Total ₹${parseFloat(changes.total).toFixed(2)} does not equal subtotal + tax + service charge (₹${splitMath.fromMinorUnits(totalInPaise).toFixed(2)})`,
+                    expected: splitMath.fromMinorUnits(totalInPaise),
+                    actual: parseFloat(changes.total)
+                });
+            }
+
+            if (errors.length > 0) {
+                throw new ReceiptValidationError('Receipt update is invalid', errors);
+            }
+
+            const category = changes.category || changes.categoryId
+                ? (await this.resolveCategory(changes, null)).category
+                : null;
+
+            const updates = {
+                merchant_name: merchantName,
+                ...(changes.merchantAddress !== undefined && { merchant_address: changes.merchantAddress }),
+                ...(changes.merchantPhone !== undefined && { merchant_phone: changes.merchantPhone }),
+                items,
+                subtotal: splitMath.fromMinorUnits(subtotalInPaise),
+                tax_amount: splitMath.fromMinorUnits(splitMath.toMinorUnits(tax)),
+                service_charge: splitMath.fromMinorUnits(splitMath.toMinorUnits(serviceCharge)),
+                total_amount: splitMath.fromMinorUnits(totalInPaise),
+                ...(category && { category_id: category.id }),
+                ...(changes.date && { transaction_at: receiptDateService.fromInput(changes.date) }),
+                ...(changes.invoiceNumber !== undefined && { invoice_number: changes.invoiceNumber || null }),
+                ...(changes.kotNumber !== undefined && { kot_number: changes.kotNumber || null }),
+                ...(changes.tableNumber !== undefined && { table_number: changes.tableNumber || null }),
+                metadata: {
+                    ...receipt.metadata,
+                    ...(category && { categoryId: category.id, categoryName: category.name, categoryConfidence: 1 }),
+                    ...(changes.date && { receiptDate: changes.date }),
+                    ...(changes.notes !== undefined && { notes: changes.notes }),
+                    editedAt: new Date().toISOString()
+                }
+            };
+
+            // Every split must still work out against the edited receipt before anything is written
+            const splitChanges = await this.planSplitRecalculation(receiptId, { ...receipt, ...updates }, mapping);
+
+            const updatedReceipt = await supabaseService.updateReceipt(receiptId, updates);
+            imageHashService.forgetReceipt(receiptId);
+            const splits = await this.recalculateSplits(splitChanges);
+
+            // Corrections to OCR-read receipts teach the parser about this merchant
+            try {
+                await ocrLearningService.recordCorrections(receipt, updatedReceipt, mapping);
+            } catch (error) {
+                console.warn('Failed to record receipt corrections:', error.message);
+            }
+
+            console.log('✅ Receipt updated:', receiptId);
+            return {
+                success: true,
+                data: {
+                    receipt: updatedReceipt,
+                    splits
+                }
+            };
+
+        } catch (error) {
+            console.error('❌ Error updating receipt:', error);
+            return this.formatError(error);
+        }
+    }
+
+    // Delete a receipt and the splits on it. Splits with recorded payments
+    // are protected unless force is set.
+    async deleteReceipt(receiptId, options = {}) {
+        try {
+            const { data: splits, error } = await supabaseService.supabase
+                .from('bill_splits')
+                .select('id, split_name, split_participants(amount_paid)')
+                .eq('receipt_id', receiptId);
+
+            if (error) throw error;
+
+            const paidSplits = splits.filter(split =>
+                split.split_participants.some(participant => parseFloat(participant.amount_paid || 0) > 0));
+
+            if (paidSplits.length > 0 && !options.force) {
+                throw new ReceiptValidationError('Receipt has splits with recorded payments', paidSplits.map(split => ({
+                    code: 'SPLIT_HAS_PAYMENTS',
+                    splitId: split.id,
+                    message: `${split.split_name} already has payments recorded`
+                })));
+            }
+
+            await supabaseService.deleteReceipt(receiptId);
+            imageHashService.forgetReceipt(receiptId);
+
+            return {
+                success: true,
+                data: {
+                    receiptId,
+                    deletedSplits: splits.map(split => split.id)
+                }
+            };
+
+        } catch (error) {
+            console.error('❌ Error deleting receipt:', error);
+            return this.formatError(error);
+        }
+    }
+
+    // PUT: take the new item list as is. Items keep their split assignments
+    // when an item with the same name is still on the receipt.
+    replaceItems(oldItems, newItems, errors) {
+        if (!Array.isArray(newItems)) {
+            errors.push({ code: 'INVALID_ITEM', field: 'items', message: 'items must be an array' });
+            return { items: oldItems, mapping: { indexes: {}, names: {} }, itemsChanged: false };
+        }
+
+        const items = this.parseItems(newItems, 'items', errors);
+        const mapping = { indexes: {}, names: {} };
+        const used = new Set();
+
+        oldItems.forEach((item, index) => {
+            const newIndex = items.findIndex((candidate, position) => !used.has(position) && candidate.name === item.name);
+            if (newIndex === -1) {
+                mapping.indexes[index] = null;
+                mapping.names[item.name] = null;
+            } else {
+                used.add(newIndex);
+                mapping.indexes[index] = newIndex;
+            }
+        });
+
+        return { items, mapping, itemsChanged: true };
+    }
+
+    // PATCH: updateItems, removeItems and addItems. Existing items are referenced
+    // by their current index or name.
+    applyItemChanges(oldItems, changes, errors) {
+        const working = oldItems.map((item, index) => ({ item: { ...item }, originalIndex: index, removed: false }));
+        const mapping = { indexes: {}, names: {} };
+        const find = key => working.find(entry =>
+            typeof key === 'number' ? entry.originalIndex === key : oldItems[entry.originalIndex].name === key);
+
+        // Each update names the item by index or current name (item) and sets name, price or quantity
+        (changes.updateItems || []).forEach((update, position) => {
+            const key = update.index !== undefined ? update.index : update.item;
+            const entry = find(key);
+            if (!entry) {
+                errors.push({ code: 'UNKNOWN_ITEM', field: `updateItems[${position}]`, message: `No item ${key} on this receipt` });
+                return;
+            }
+
+            const [parsed] = this.parseItems([{
+                ...entry.item,
+                ...(update.name !== undefined && { name: update.name }),
+                ...(update.price !== undefined && { price: update.price }),
+                ...(update.quantity !== undefined && { quantity: update.quantity })
+            }], `updateItems[${position}]`, errors);
+
+            if (parsed.name !== entry.item.name) {
+                mapping.names[entry.item.name] = parsed.name;
+            }
+            entry.item = parsed;
+        });
+
+        (changes.removeItems || []).forEach((key, position) => {
+            const entry = find(key);
+            if (!entry) {
+                errors.push({ code: 'UNKNOWN_ITEM', field: `removeItems[${position}]`, message: `No item ${key} on this receipt` });
+                return;
+            }
+            entry.removed = true;
+            mapping.names[oldItems[entry.originalIndex].name] = null;
+        });
+
+        const added = this.parseItems(changes.addItems || [], 'addItems', errors)
+            .map(item => ({ item, originalIndex: null, removed: false }));
+
+        const kept = working.filter(entry => !entry.removed).concat(added);
+        working.forEach(entry => {
+            mapping.indexes[entry.originalIndex] = entry.removed ? null : kept.indexOf(entry);
+        });
+
+        const itemsChanged = ['updateItems', 'removeItems', 'addItems']
+            .some(field => (changes[field] || []).length > 0);
+
+        return { items: kept.map(entry => entry.item), mapping, itemsChanged };
+    }
+
+    // Work out the changes every split on the receipt needs after an edit, carrying
+    // item assignments over to the new item list. A split with a single payer has
+    // their payment moved to the new total. Each split is dry-run against the edited
+    // receipt, and the edit is rejected if any of them would no longer add up.
+    async planSplitRecalculation(receiptId, editedReceipt, mapping) {
+        const { data: splits, error } = await supabaseService.supabase
+            .from('bill_splits')
+            .select('*, split_participants(*)')
+            .eq('receipt_id', receiptId);
+
+        if (error) throw error;
+
+        const plans = [];
+        const errors = [];
+        for (const split of splits) {
+            const changes = billSplitService.remapItemReferences(split, mapping);
+            const paidBy = split.split_data?.paidBy || {};
+            const payers = Object.keys(paidBy);
+            if (payers.length === 1) {
+                changes.paidBy = { [payers[0]]: editedReceipt.total_amount };
+            }
+
+            try {
+                billSplitService.prepareSplit(receiptId, editedReceipt, billSplitService.mergeSplitChanges(split, changes));
+                plans.push({ split, changes });
+            } catch (splitError) {
+                if (!(splitError instanceof SplitValidationError)) throw splitError;
+                errors.push({
+                    code: 'SPLIT_RECALCULATION_FAILED',
+                    splitId: split.id,
+                    message: `${split.split_name} would no longer add up: ${splitError.details.map(detail => detail.message).join('; ') || splitError.message}`,
+                    details: splitError.details
+                });
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new ReceiptValidationError('Receipt update would break its splits', errors);
+        }
+
+        return plans;
+    }
+
+    // Apply the planned changes to each split on the receipt
+    async recalculateSplits(plans) {
+        const results = [];
+        for (const { split, changes } of plans) {
+            const result = await billSplitService.updateSplit(split.id, changes);
+            results.push({
+                splitId: split.id,
+                splitName: split.split_name,
+                success: result.success,
+                ...(result.success
+                    ? { flaggedParticipants: result.data.flaggedParticipants || [] }
+                    : { error: result.error, code: result.code, details: result.details })
+            });
+        }
+
+        return results;
+    }
+
+    // Use the requested category (by ID or name), or auto-categorize the receipt
+    async resolveCategory(input, receiptData) {
+        const requested = input.categoryId || input.category;
+
+        if (requested) {
+            const category = await categoryService.findCategory(requested);
+            if (!category) {
+                throw new ReceiptValidationError('Receipt request is invalid', [
+                    { code: 'UNKNOWN_CATEGORY', field: 'category', message: `Unknown category: ${requested}` }
+                ]);
+            }
+            return { category, confidence: 1 };
+        }
+
+        return await categoryService.categorizeReceipt(receiptData);
+    }
+
+    formatError(error) {
+        return {
+            success: false,
+            error: error.message,
+            ...(error.code && { code: error.code }),
+            ...(error.details && { details: error.details })
+        };
+    }
+}
+
+module.exports = new ReceiptService();
+module.exports.ReceiptValidationError = ReceiptValidationError;
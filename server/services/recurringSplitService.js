@@ -0,0 +1,522 @@
+// Recurring Split Service - Rent, subscriptions and utilities split on a schedule
+
+const supabaseService = require('./supabaseService');
+const receiptDateService = require('./receiptDateService');
+const billSplitService = require('./billSplitService');
+const categoryService = require('./categoryService');
+const groupService = require('./groupService');
+const splitValidationService = require('./splitValidationService');
+const { SplitValidationError } = splitValidationService;
+
+class RecurringSplitService {
+    constructor() {
+        this.frequencies = {
+            WEEKLY: 'weekly',
+            MONTHLY: 'monthly',
+            YEARLY: 'yearly'
+        };
+
+        // Recurring bills have no items, so only amount-based methods apply
+        this.supportedMethods = [
+            billSplitService.splitMethods.EQUAL,
+            billSplitService.splitMethods.CUSTOM,
+            billSplitService.splitMethods.PERCENTAGE,
+            billSplitService.splitMethods.SHARES
+        ];
+
+        // Cap on missed occurrences generated for one template in a single run
+        this.maxCatchUpOccurrences = 12;
+        this.schedulerTimer = null;
+    }
+
+    // Create a recurring split template
+    async createRecurringSplit(templateData) {
+        try {
+            console.log('🔁 Creating recurring split:', templateData.name);
+
+            const record = await this.buildTemplateRecord(templateData);
+
+            const { data, error } = await supabaseService.supabase
+                .from('recurring_splits')
+                .insert([record])
+                .select('*, expense_categories(name, color, icon)')
+                .single();
+
+            if (error) throw error;
+
+            return {
+                success: true,
+                data
+            };
+
+        } catch (error) {
+            console.error('❌ Error creating recurring split:', error);
+            return billSplitService.formatError(error);
+        }
+    }
+
+    // List recurring split templates
+    async getRecurringSplits(options = {}) {
+        try {
+            let query = supabaseService.supabase
+                .from('recurring_splits')
+                .select('*, expense_categories(name, color, icon)')
+                .order('next_due_date');
+
+            if (options.active !== undefined) {
+                query = query.eq('is_active', options.active);
+            }
+            if (options.groupId) {
+                query = query.eq('group_id', options.groupId);
+            }
+
+            const { data, error } = await query;
+            if (error) throw error;
+
+            return {
+                success: true,
+                data
+            };
+
+        } catch (error) {
+            console.error('❌ Error getting recurring splits:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Get a template with the splits generated from it
+    async getRecurringSplit(templateId) {
+        try {
+            const { data, error } = await supabaseService.supabase
+                .from('recurring_splits')
+                .select(`
+                    *,
+                    expense_categories(name, color, icon),
+                    bill_splits(id, split_name, status, recurring_due_date, created_at)
+                `)
+                .eq('id', templateId)
+                .single();
+
+            if (error) throw error;
+
+            return {
+                success: true,
+                data
+            };
+
+        } catch (error) {
+            console.error('❌ Error getting recurring split:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Update a template. Changes apply to occurrences generated from now on;
+    // splits that were already generated are left alone.
+    async updateRecurringSplit(templateId, changes = {}) {
+        try {
+            const { data: existing, error: fetchError } = await supabaseService.supabase
+                .from('recurring_splits')
+                .select('*')
+                .eq('id', templateId)
+                .single();
+
+            if (fetchError) throw fetchError;
+
+            const record = await this.buildTemplateRecord({
+                ...this.toTemplateData(existing),
+                ...changes
+            });
+
+            // Keep the schedule position unless the schedule itself changed
+            const scheduleChanged = ['frequency', 'interval', 'startDate']
+                .some(field => changes[field] !== undefined);
+            if (!scheduleChanged) {
+                record.next_due_date = existing.next_due_date;
+            }
+
+            const { data, error } = await supabaseService.supabase
+                .from('recurring_splits')
+                .update(record)
+                .eq('id', templateId)
+                .select('*, expense_categories(name, color, icon)')
+                .single();
+
+            if (error) throw error;
+
+            return {
+                success: true,
+                data
+            };
+
+        } catch (error) {
+            console.error('❌ Error updating recurring split:', error);
+            return billSplitService.formatError(error);
+        }
+    }
+
+    // Delete a template. Splits it already generated are kept.
+    async deleteRecurringSplit(templateId) {
+        try {
+            const { error } = await supabaseService.supabase
+                .from('recurring_splits')
+                .delete()
+                .eq('id', templateId);
+
+            if (error) throw error;
+
+            return {
+                success: true,
+                message: 'Recurring split deleted'
+            };
+
+        } catch (error) {
+            console.error('❌ Error deleting recurring split:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Generate a split for every occurrence that is due on or before asOf
+    async processDueSplits(asOf = new Date()) {
+        try {
+            const today = this.toDateString(asOf);
+
+            const { data: templates, error } = await supabaseService.supabase
+                .from('recurring_splits')
+                .select('*, expense_categories(id, name)')
+                .eq('is_active', true)
+                .lte('next_due_date', today);
+
+            if (error) throw error;
+
+            const generated = [];
+            const failed = [];
+
+            for (const template of templates) {
+                let current = template;
+
+                for (let i = 0; i < this.maxCatchUpOccurrences && current.is_active && current.next_due_date <= today; i++) {
+                    try {
+                        const result = await this.generateOccurrence(current);
+                        if (!result) break;
+
+                        generated.push(result);
+                        current = result.template;
+                    } catch (occurrenceError) {
+                        console.error(`❌ Failed to generate ${template.name} for ${current.next_due_date}:`, occurrenceError.message);
+                        failed.push({
+                            recurringSplitId: template.id,
+                            name: template.name,
+                            dueDate: current.next_due_date,
+                            error: occurrenceError.message
+                        });
+                        break;
+                    }
+                }
+            }
+
+            if (generated.length > 0) {
+                console.log(`🔁 Generated ${generated.length} recurring split(s)`);
+            }
+
+            return {
+                success: true,
+                data: {
+                    asOf: today,
+                    generated: generated.map(({ template, ...occurrence }) => occurrence),
+                    failed
+                }
+            };
+
+        } catch (error) {
+            console.error('❌ Error processing recurring splits:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Turn one due occurrence into a receipt, a bill split and UPI payment links.
+    // Returns null when another run already claimed the occurrence.
+    async generateOccurrence(template) {
+        const dueDate = template.next_due_date;
+        const nextDueDate = this.getNextDueDate(template, dueDate);
+        const finished = template.end_date && nextDueDate > template.end_date;
+
+        // Claim the occurrence by moving the schedule on, so concurrent runs can't both generate it
+        const { data: claimed, error: claimError } = await supabaseService.supabase
+            .from('recurring_splits')
+            .update({
+                next_due_date: nextDueDate,
+                is_active: !finished,
+                last_generated_at: new Date().toISOString()
+            })
+            .eq('id', template.id)
+            .eq('next_due_date', dueDate)
+            .select('*, expense_categories(id, name)');
+
+        if (claimError) throw claimError;
+        if (!claimed || claimed.length === 0) return null;
+
+        let receipt = null;
+        try {
+            receipt = await supabaseService.saveReceiptData({
+                ocrData: {
+                    merchantInfo: { name: template.merchant_name || template.name },
+                    items: [{ name: template.name, price: parseFloat(template.amount), quantity: 1 }],
+                    subtotal: template.amount,
+                    tax: 0,
+                    serviceCharge: 0,
+                    total: template.amount,
+                    ocrMethod: 'Recurring Split',
+                    confidence: 1,
+                    receiptType: 'recurring',
+                    currency: template.currency,
+                    categoryId: template.category_id,
+                    categoryName: template.expense_categories?.name,
+                    categoryConfidence: 1,
+                    receiptDate: dueDate,
+                    transactionDate: receiptDateService.toTimestamp(dueDate)
+                },
+                metadata: {
+                    recurringSplitId: template.id,
+                    dueDate
+                }
+            });
+
+            const splitResult = await billSplitService.createSplit(receipt.id, {
+                ...template.split_data,
+                name: `${template.name} (${dueDate})`,
+                method: template.split_method,
+                ...(template.payer_name && { paidBy: { [template.payer_name]: template.amount } })
+            }, {
+                recurring_split_id: template.id,
+                recurring_due_date: dueDate
+            });
+
+            if (!splitResult.success) throw new Error(splitResult.error);
+
+            const splitId = splitResult.data.split.id;
+
+            if (template.group_id) {
+                const groupResult = await groupService.addSplitToGroup(template.group_id, splitId, template.group_payer_id);
+                if (!groupResult.success) {
+                    console.warn('⚠️ Could not add recurring split to group:', groupResult.error);
+                }
+            }
+
+            const paymentResult = await billSplitService.generateSplitPayments(splitId, template.payee_upi);
+            if (!paymentResult.success) {
+                console.warn(`⚠️ No payment links for ${template.name}:`, paymentResult.error);
+            }
+
+            console.log(`✅ Generated ${template.name} for ${dueDate}:`, splitId);
+            return {
+                recurringSplitId: template.id,
+                name: template.name,
+                dueDate,
+                receiptId: receipt.id,
+                splitId,
+                payments: paymentResult.success ? paymentResult.data.payments : [],
+                paymentError: paymentResult.success ? null : paymentResult.error,
+                template: claimed[0]
+            };
+
+        } catch (error) {
+            // Release the claim so the occurrence is retried on the next run
+            await supabaseService.supabase
+                .from('recurring_splits')
+                .update({ next_due_date: dueDate, is_active: template.is_active })
+                .eq('id', template.id)
+                .eq('next_due_date', nextDueDate);
+
+            if (receipt) {
+                await supabaseService.deleteReceipt(receipt.id);
+            }
+
+            throw error;
+        }
+    }
+
+    // Check for due recurring splits periodically
+    startScheduler(intervalMs = 60 * 60 * 1000) {
+        if (this.schedulerTimer) return;
+
+        const run = () => this.processDueSplits()
+            .catch(error => console.error('❌ Recurring split run failed:', error));
+
+        this.schedulerTimer = setInterval(run, intervalMs);
+        this.schedulerTimer.unref();
+        run();
+
+        console.log(`🔁 Recurring split scheduler running every ${Math.round(intervalMs / 60000)} min`);
+    }
+
+    stopScheduler() {
+        clearInterval(this.schedulerTimer);
+        this.schedulerTimer = null;
+    }
+
+    // Validate a template request and map it to a recurring_splits row
+    async buildTemplateRecord(templateData) {
+        const errors = [];
+        const method = templateData.method || billSplitService.splitMethods.EQUAL;
+        const amount = parseFloat(templateData.amount);
+        const frequency = templateData.frequency || this.frequencies.MONTHLY;
+        const interval = parseInt(templateData.interval) || 1;
+        const startDate = templateData.startDate || this.toDateString(new Date());
+
+        if (!templateData.name || !templateData.name.trim()) {
+            errors.push(splitValidationService.error('MISSING_NAME', 'name', 'A recurring split needs a name'));
+        }
+        if (!Number.isFinite(amount) || amount <= 0) {
+            errors.push(splitValidationService.error('INVALID_AMOUNT', 'amount', 'Amount must be greater than zero'));
+        }
+        if (!this.supportedMethods.includes(method)) {
+            errors.push(splitValidationService.error('UNKNOWN_METHOD', 'method',
+                `Recurring splits support ${this.supportedMethods.join(', ')}`));
+        }
+        if (!Object.values(this.frequencies).includes(frequency)) {
+            errors.push({ code: 'INVALID_SCHEDULE', field: 'frequency', message: `Unknown frequency: ${frequency}` });
+        }
+        if (!this.isDateString(startDate) || (templateData.endDate && !this.isDateString(templateData.endDate))) {
+            errors.push({ code: 'INVALID_SCHEDULE', field: 'startDate', message: 'Dates must be in YYYY-MM-DD format' });
+        }
+
+        const splitData = {
+            participants: templateData.participants || [],
+            customAmounts: templateData.customAmounts,
+            percentages: templateData.percentages,
+            shares: templateData.shares,
+            rounding: templateData.rounding
+        };
+
+        if (errors.length === 0) {
+            const validation = splitValidationService.validateSplitData(
+                { total_amount: amount },
+                {
+                    ...splitData,
+                    method,
+                    ...(templateData.payerName && { paidBy: { [templateData.payerName]: amount } })
+                },
+                billSplitService.splitMethods
+            );
+            errors.push(...validation.errors);
+        }
+
+        if (errors.length > 0) {
+            throw new SplitValidationError('Recurring split request is invalid', errors);
+        }
+
+        const category = await this.resolveCategory(templateData);
+
+        return {
+            name: templateData.name.trim(),
+            merchant_name: templateData.merchantName || null,
+            amount,
+            currency: templateData.currency || 'INR',
+            category_id: category?.id || null,
+            split_method: method,
+            split_data: splitData,
+            payer_name: templateData.payerName || null,
+            payee_upi: templateData.payeeUPI || null,
+            frequency,
+            interval_count: interval,
+            start_date: startDate,
+            end_date: templateData.endDate || null,
+            next_due_date: startDate,
+            is_active: templateData.isActive !== false,
+            group_id: templateData.groupId || null,
+            group_payer_id: templateData.groupPayerId || null
+        };
+    }
+
+    // Map a stored template back to the request format
+    toTemplateData(template) {
+        return {
+            ...template.split_data,
+            name: template.name,
+            merchantName: template.merchant_name,
+            amount: template.amount,
+            currency: template.currency,
+            categoryId: template.category_id,
+            method: template.split_method,
+            payerName: template.payer_name,
+            payeeUPI: template.payee_upi,
+            frequency: template.frequency,
+            interval: template.interval_count,
+            startDate: template.start_date,
+            endDate: template.end_date,
+            isActive: template.is_active,
+            groupId: template.group_id,
+            groupPayerId: template.group_payer_id
+        };
+    }
+
+    // Use the requested category (by ID or name), or auto-categorize from the name
+    async resolveCategory(templateData) {
+        const requested = templateData.categoryId || templateData.category;
+
+        if (requested) {
+            const match = await categoryService.findCategory(requested);
+            if (!match) {
+                throw new SplitValidationError('Recurring split request is invalid', [
+                    { code: 'UNKNOWN_CATEGORY', field: 'category', message: `Unknown category: ${requested}` }
+                ]);
+            }
+            return match;
+        }
+
+        const result = await categoryService.categorizeReceipt({
+            merchantInfo: { name: templateData.merchantName || templateData.name },
+            items: [{ name: templateData.name }]
+        });
+        return result.category;
+    }
+
+    // Find the first occurrence after a given date. Occurrences are counted from
+    // the start date, so a bill due on the 31st falls back to the 30th or 28th
+    // in shorter months and returns to the 31st afterwards.
+    getNextDueDate(template, afterDate) {
+        for (let index = 1; ; index++) {
+            const occurrence = this.getOccurrence(template, index);
+            if (occurrence > afterDate) return occurrence;
+        }
+    }
+
+    getOccurrence(template, index) {
+        const start = new Date(`${template.start_date}T00:00:00Z`);
+        const steps = index * (template.interval_count || 1);
+
+        if (template.frequency === this.frequencies.WEEKLY) {
+            start.setUTCDate(start.getUTCDate() + steps * 7);
+            return this.toDateString(start);
+        }
+
+        const months = template.frequency === this.frequencies.YEARLY ? steps * 12 : steps;
+        const year = start.getUTCFullYear() + Math.floor((start.getUTCMonth() + months) / 12);
+        const month = (start.getUTCMonth() + months) % 12;
+        const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+        return this.toDateString(new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay))));
+    }
+
+    toDateString(date) {
+        return new Date(date).toISOString().split('T')[0];
+    }
+
+    isDateString(value) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`));
+    }
+}
+
+module.exports = new RecurringSplitService();
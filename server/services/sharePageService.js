@@ -0,0 +1,413 @@
+// Share Page Service - Server-rendered public page for a shared receipt and its split
+
+const supabaseService = require('./supabaseService');
+const sharingService = require('./sharingService');
+const billSplitService = require('./billSplitService');
+const upiService = require('./upiService');
+const itemClaimService = require('./itemClaimService');
+const splitMath = require('../../client/split-math');
+
+class SharePageService {
+    constructor() {
+        this.statusLabels = {
+            pending: 'Pending',
+            partially_paid: 'Partly paid',
+            paid: 'Paid',
+            waived: 'Waived'
+        };
+
+        this.qrSize = 180;
+    }
+
+    // Render the page for a share token. Returns { success, code, html } where a
+    // failed result carries the share error code (PIN_REQUIRED renders the PIN form).
+    // options.notice / options.error show the outcome of a claim form submission.
+    async renderSharedReceipt(shareToken, access = {}, options = {}) {
+        const result = await sharingService.getSharedReceipt(shareToken, access);
+
+        if (!result.success) {
+            return {
+                success: false,
+                code: result.code,
+                html: this.renderAccessError(result, shareToken)
+            };
+        }
+
+        const view = await this.buildSplitView(result.data);
+        // A PIN-protected page re-sends the PIN with the claim form
+        view.pagePath = this.pagePath(shareToken);
+        view.pin = access.pin || null;
+        view.notice = options.notice || null;
+        view.error = options.error || null;
+
+        return {
+            success: true,
+            html: this.renderSplitPage(view)
+        };
+    }
+
+    // Gather what the page shows: receipt, items, and per-person shares with UPI payments
+    async buildSplitView(shared) {
+        const receipt = shared.receipt;
+        const currency = receipt.metadata?.currency || receipt.currency || 'INR';
+        const split = await this.loadSplit(receipt.id, shared.split);
+
+        const view = {
+            merchant: receipt.merchant_name || 'Unknown Merchant',
+            date: this.formatDate(receipt.spent_at || receipt.created_at),
+            currency,
+            items: (receipt.items || []).map(item => ({
+                name: item.name,
+                quantity: item.quantity || 1,
+                price: parseFloat(item.price || 0)
+            })),
+            subtotal: parseFloat(receipt.subtotal || 0),
+            tax: parseFloat(receipt.tax_amount || 0),
+            serviceCharge: parseFloat(receipt.service_charge || 0),
+            total: parseFloat(receipt.total_amount || 0),
+            expiresAt: shared.shareInfo.expiresAt,
+            claims: null,
+            split: null
+        };
+
+        if (shared.shareInfo.allowEdit) {
+            const share = {
+                id: shared.shareInfo.shareId,
+                claims_locked_at: shared.shareInfo.claimsLockedAt,
+                split_id: shared.split ? shared.split.id : null
+            };
+            const claims = await itemClaimService.listClaims(share.id);
+            view.claims = itemClaimService.buildClaimSummary(share, receipt, claims, { includeContacts: false });
+        }
+
+        if (!split) return view;
+
+        const transfers = billSplitService.buildPaymentTransfers(split.split_participants);
+        const balances = Object.fromEntries(split.balance.participants.map(balance => [balance.participantId, balance]));
+
+        view.split = {
+            name: split.split_name,
+            method: (split.split_method || '').replace(/_/g, ' '),
+            outstanding: split.balance.outstanding,
+            participants: []
+        };
+
+        for (const participant of split.split_participants) {
+            const balance = balances[participant.id];
+
+            view.split.participants.push({
+                name: participant.name,
+                share: parseFloat(participant.share_amount || participant.amount_owed || 0),
+                paid: balance.amountPaid,
+                outstanding: balance.outstanding,
+                status: balance.status,
+                payments: currency === 'INR'
+                    ? await this.buildPayments(participant, balance.outstanding, transfers, shared.shareInfo, view.merchant)
+                    : []
+            });
+        }
+
+        return view;
+    }
+
+    // The split shown on the page: the one the link was created for, else the receipt's latest
+    async loadSplit(receiptId, linkedSplit) {
+        let splitId = linkedSplit ? linkedSplit.id : null;
+
+        if (!splitId) {
+            const { data, error } = await supabaseService.supabase
+                .from('bill_splits')
+                .select('id')
+                .eq('receipt_id', receiptId)
+                .order('created_at', { ascending: false })
+                .limit(1);
+
+            if (error) throw error;
+            if (data.length === 0) return null;
+            splitId = data[0].id;
+        }
+
+        const result = await billSplitService.getSplit(splitId);
+        return result.success ? result.data : null;
+    }
+
+    // UPI payment packages for what a participant still owes, spread over the
+    // people they settle with. Splits without a recorded payer use the payee
+    // chosen when the link was created.
+    async buildPayments(participant, outstanding, transfers, shareInfo, merchant) {
+        let remaining = splitMath.toMinorUnits(outstanding);
+        const payments = [];
+
+        for (const transfer of transfers.filter(candidate => candidate.id === participant.id)) {
+            if (remaining <= 0) break;
+
+            const payeeUPI = transfer.payeeUPI || shareInfo.payeeUPI;
+            const payeeName = transfer.payeeName || shareInfo.payeeName || 'Bill payer';
+            const amount = Math.min(remaining, splitMath.toMinorUnits(transfer.amount));
+            remaining -= amount;
+
+            if (!payeeUPI || amount <= 0) continue;
+
+            const paymentPackage = await upiService.generatePaymentPackage({
+                recipientUPI: payeeUPI,
+                recipientName: payeeName,
+                amount: splitMath.fromMinorUnits(amount),
+                note: `SplitSnap: ${merchant}`.slice(0, 50)
+            }, { size: this.qrSize });
+
+            if (paymentPackage.success) {
+                payments.push({
+                    payeeName,
+                    payeeUPI,
+                    amount: paymentPackage.data.amount,
+                    upiLink: paymentPackage.data.upiLink,
+                    qrCode: paymentPackage.data.qrCode
+                });
+            }
+        }
+
+        return payments;
+    }
+
+    renderSplitPage(view) {
+        const money = amount => this.formatAmount(amount, view.currency);
+
+        const items = view.items.length > 0
+            ? `<table class="items">
+                ${view.items.map(item => `<tr>
+                    <td>${this.escapeHtml(item.name)}${item.quantity > 1 ? ` <span class="muted">× ${item.quantity}</span>` : ''}</td>
+                    <td class="amount">${money(item.price)}</td>
+                </tr>`).join('')}
+            </table>`
+            : '<p class="muted">No items were recorded for this receipt.</p>';
+
+        const totals = [
+            ['Subtotal', view.subtotal],
+            ['Tax', view.tax],
+            ['Service charge', view.serviceCharge]
+        ].filter(([, amount]) => amount > 0)
+            .map(([label, amount]) => `<tr><td>${label}</td><td class="amount">${money(amount)}</td></tr>`)
+            .join('');
+
+        const split = view.split ? this.renderSplitSection(view.split, money) : '';
+        const claims = view.claims ? this.renderClaimSection(view) : '';
+        const notice = [
+            view.notice ? `<p class="notice">${this.escapeHtml(view.notice)}</p>` : '',
+            view.error ? `<p class="error">${this.escapeHtml(view.error)}</p>` : ''
+        ].join('');
+
+        return this.renderLayout(`${view.merchant} - SplitSnap`, `
+            <header>
+                <h1>${this.escapeHtml(view.merchant)}</h1>
+                ${view.date ? `<p class="muted">${this.escapeHtml(view.date)}</p>` : ''}
+            </header>
+            <section>
+                <h2>Items</h2>
+                ${items}
+                <table class="totals">
+                    ${totals}
+                    <tr class="grand-total"><td>Total</td><td class="amount">${money(view.total)}</td></tr>
+                </table>
+            </section>
+            ${notice}
+            ${claims}
+            ${split}
+            <footer class="muted">
+                Shared via SplitSnap${view.expiresAt ? ` · Link valid until ${this.escapeHtml(this.formatDate(view.expiresAt))}` : ''}
+            </footer>
+        `);
+    }
+
+    renderSplitSection(split, money) {
+        const participants = split.participants.map(participant => {
+            const payments = participant.payments.map(payment => `
+                <div class="payment">
+                    <a class="pay-button" href="${this.escapeHtml(payment.upiLink)}">Pay ${money(payment.amount)} to ${this.escapeHtml(payment.payeeName)}</a>
+                    <img class="qr" src="${payment.qrCode}" width="${this.qrSize}" height="${this.qrSize}"
+                        alt="UPI QR code to pay ${money(payment.amount)} to ${this.escapeHtml(payment.payeeName)}">
+                    <p class="muted">UPI ID: ${this.escapeHtml(payment.payeeUPI)}</p>
+                </div>`).join('');
+
+            const noPayment = participant.outstanding > 0 && participant.payments.length === 0
+                ? '<p class="muted">Ask the bill payer for their UPI ID to pay.</p>'
+                : '';
+
+            return `
+                <li class="participant">
+                    <div class="participant-header">
+                        <strong>${this.escapeHtml(participant.name)}</strong>
+                        <span class="status status-${this.escapeHtml(participant.status)}">${this.statusLabels[participant.status] || this.escapeHtml(participant.status)}</span>
+                    </div>
+                    <p>Share ${money(participant.share)}${participant.paid > 0 ? ` · Paid ${money(participant.paid)}` : ''}${participant.outstanding > 0 ? ` · <strong>Due ${money(participant.outstanding)}</strong>` : ''}</p>
+                    ${payments}${noPayment}
+                </li>`;
+        }).join('');
+
+        return `
+            <section>
+                <h2>${this.escapeHtml(split.name || 'Split')}</h2>
+                <p class="muted">Split ${this.escapeHtml(split.method)} · ${split.outstanding > 0 ? `${money(split.outstanding)} still due` : 'All settled'}</p>
+                <ul class="participants">${participants}</ul>
+            </section>`;
+    }
+
+    // Claim form for editable links: tick what you had, and "shared" for dishes
+    // split at the table. Submitting again replaces your earlier claims.
+    renderClaimSection(view) {
+        const claims = view.claims;
+        const statusNotes = {
+            unclaimed: '<span class="status">Unclaimed</span>',
+            partial: '<span class="status">Partly claimed</span>',
+            conflict: '<span class="status status-conflict">Conflict</span>'
+        };
+
+        const rows = claims.items.map(item => {
+            const claimedBy = item.claims.length > 0
+                ? `<br><span class="muted">${item.claims.map(claim =>
+                    `${this.escapeHtml(claim.name)}${claim.units !== null ? ` (${claim.units})` : ''}${claim.shared ? ' (shared)' : ''}`).join(', ')}</span>`
+                : '';
+            const inputs = claims.locked ? '' : `
+                    <td class="claim-input"><input type="checkbox" name="items" value="${item.index}" aria-label="I had ${this.escapeHtml(item.name)}"></td>
+                    <td class="claim-input"><input type="checkbox" name="shared" value="${item.index}" aria-label="${this.escapeHtml(item.name)} was shared"></td>`;
+
+            return `<tr>
+                    <td>${this.escapeHtml(item.name)}${item.quantity > 1 ? ` <span class="muted">× ${item.quantity}</span>` : ''}
+                        ${statusNotes[item.status] || ''}${claimedBy}</td>${inputs}
+                </tr>`;
+        }).join('');
+
+        if (claims.locked) {
+            return `
+            <section>
+                <h2>Who had what</h2>
+                <p class="muted">The split has been locked, so claims can no longer change.</p>
+                <table class="items">${rows}</table>
+            </section>`;
+        }
+
+        return `
+            <section>
+                <h2>Claim your items</h2>
+                <form method="post" action="${view.pagePath}/claims">
+                    ${view.pin ? `<input type="hidden" name="pin" value="${this.escapeHtml(view.pin)}">` : ''}
+                    <label for="claim-name">Your name</label>
+                    <input id="claim-name" name="name" maxlength="100" required>
+                    <label for="claim-phone">Phone (optional, to tell apart people with the same name)</label>
+                    <input id="claim-phone" name="phone" type="tel" inputmode="tel">
+                    <table class="items">
+                        <tr><th></th><th>I had it</th><th>Shared</th></tr>
+                        ${rows}
+                    </table>
+                    <button type="submit">Save my items</button>
+                </form>
+            </section>`;
+    }
+
+    renderAccessError(result, shareToken) {
+        if (['PIN_REQUIRED', 'INVALID_PIN'].includes(result.code)) {
+            return this.renderLayout('Enter PIN - SplitSnap', `
+                <header><h1>This receipt is protected</h1></header>
+                <section>
+                    <form method="post" action="${this.pagePath(shareToken)}">
+                        <label for="pin">Enter the PIN you were given</label>
+                        <input id="pin" name="pin" type="password" inputmode="numeric" pattern="[0-9]{4,8}" autocomplete="off" required autofocus>
+                        ${result.code === 'INVALID_PIN' ? '<p class="error">Incorrect PIN, please try again.</p>' : ''}
+                        <button type="submit">View receipt</button>
+                    </form>
+                </section>
+            `);
+        }
+
+        const messages = {
+            SHARE_EXPIRED: ['Link expired', 'This share link has expired. Ask the sender for a new one.'],
+            SHARE_REVOKED: ['Link revoked', 'The sender has turned off this share link.'],
+            AUTH_REQUIRED: ['Sign-in required', 'This receipt is only visible to signed-in SplitSnap users. Open it in the SplitSnap app.'],
+            PIN_LOCKED: ['Too many attempts', 'Too many wrong PINs were entered. Try again in a few minutes.']
+        };
+        const [title, message] = messages[result.code] || ['Link not found', 'This share link does not exist. Check that you copied the whole link.'];
+
+        return this.renderErrorPage(title, message);
+    }
+
+    renderErrorPage(title, message) {
+        return this.renderLayout(`${title} - SplitSnap`, `
+            <header><h1>${this.escapeHtml(title)}</h1></header>
+            <section><p>${this.escapeHtml(message)}</p></section>
+        `);
+    }
+
+    renderLayout(title, body) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex, nofollow">
+    <title>${this.escapeHtml(title)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0; background: #f5f6fa; color: #1f2933; }
+        main { max-width: 560px; margin: 0 auto; padding: 16px; }
+        header, section, footer { background: #fff; border-radius: 12px; padding: 16px; margin-bottom: 12px; }
+        footer { background: none; text-align: center; font-size: 0.85em; }
+        h1 { font-size: 1.4em; margin: 0 0 4px; }
+        h2 { font-size: 1.1em; margin: 0 0 8px; }
+        table { width: 100%; border-collapse: collapse; }
+        td { padding: 6px 0; border-bottom: 1px solid #eef0f4; }
+        .amount { text-align: right; white-space: nowrap; }
+        .totals td { border: none; }
+        .grand-total td { font-weight: bold; border-top: 2px solid #1f2933; }
+        .muted { color: #6b7280; }
+        .participants { list-style: none; padding: 0; margin: 0; }
+        .participant { border-top: 1px solid #eef0f4; padding: 12px 0; }
+        .participant-header { display: flex; justify-content: space-between; align-items: center; }
+        .status { font-size: 0.8em; padding: 2px 8px; border-radius: 10px; background: #fef3c7; color: #92400e; }
+        .status-paid, .status-waived { background: #d1fae5; color: #065f46; }
+        .payment { text-align: center; margin-top: 8px; }
+        .pay-button, button { display: block; background: #4f46e5; color: #fff; text-decoration: none; border: none; border-radius: 8px; padding: 12px; font-size: 1em; width: 100%; box-sizing: border-box; }
+        .qr { margin-top: 8px; }
+        input { width: 100%; box-sizing: border-box; padding: 10px; font-size: 1.1em; margin: 8px 0; }
+        .error { color: #b91c1c; }
+        .notice { color: #065f46; }
+        .status-conflict { background: #fee2e2; color: #991b1b; }
+        .claim-input { text-align: center; width: 64px; }
+        th { font-size: 0.8em; font-weight: normal; color: #6b7280; }
+        label { display: block; margin-top: 8px; }
+    </style>
+</head>
+<body>
+    <main>${body}</main>
+</body>
+</html>`;
+    }
+
+    pagePath(shareToken) {
+        return `/shared/${encodeURIComponent(shareToken)}`;
+    }
+
+    formatAmount(amount, currency = 'INR') {
+        const value = Number(amount || 0).toFixed(2);
+        return currency === 'INR' ? `₹${value}` : `${this.escapeHtml(currency)} ${value}`;
+    }
+
+    formatDate(timestamp) {
+        if (!timestamp) return null;
+
+        return new Date(timestamp).toLocaleDateString('en-IN', {
+            timeZone: 'Asia/Kolkata',
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric'
+        });
+    }
+
+    escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+module.exports = new SharePageService();
@@ -1,8 +1,25 @@
 // Sharing Service - WhatsApp, Email, and link sharing
 
+const crypto = require('crypto');
+const { promisify } = require('util');
 const supabaseService = require('./supabaseService');
+const upiService = require('./upiService');
+const billSplitService = require('./billSplitService');
+const mailService = require('./mailService');
 const axios = require('axios');
 
+const scrypt = promisify(crypto.scrypt);
+
+class ShareAccessError extends Error {
+    constructor(message, code, outcome = null) {
+        super(message);
+        this.name = 'ShareAccessError';
+        this.code = code;
+        // Outcome recorded in share_access_logs when a visitor is turned away
+        this.outcome = outcome;
+    }
+}
+
 class SharingService {
     constructor() {
         this.shareTypes = {
@@ -11,13 +28,39 @@ class SharingService {
             LINK: 'link',
             SMS: 'sms'
         };
+
+        this.linkStatuses = {
+            ACTIVE: 'active',
+            EXPIRED: 'expired',
+            REVOKED: 'revoked'
+        };
+
+        this.defaultLinkDays = 7;
+        this.maxLinkDays = 90;
+
+        // Wrong PINs allowed per link before it is locked for a while
+        this.maxPinAttempts = 5;
+        this.pinLockoutMs = 15 * 60 * 1000;
+
+        // Codes authorizeShare turns a visitor away with
+        this.accessErrorCodes = ['SHARE_NOT_FOUND', 'SHARE_REVOKED', 'SHARE_EXPIRED', 'AUTH_REQUIRED', 'PIN_LOCKED', 'PIN_REQUIRED', 'INVALID_PIN'];
     }
 
-    // Generate shareable link for receipt
+    // Generate shareable link for receipt. The token is returned once and only its
+    // hash is stored. options: expiresAt or expiresInDays, pin, allowEdit, requireAuth,
+    // splitId (the split to show, default the receipt's latest) and payeeUPI (who
+    // gets paid on splits without a recorded payer).
     async generateShareableLink(receiptId, options = {}) {
         try {
             console.log('🔗 Generating shareable link for receipt:', receiptId);
 
+            const expiresAt = this.resolveExpiry(options);
+            const pin = this.validatePin(options.pin);
+
+            if (options.payeeUPI && !upiService.validateUPIId(options.payeeUPI)) {
+                throw new ShareAccessError('Invalid payee UPI ID', 'INVALID_UPI_ID');
+            }
+
             // Get receipt data
             const { data: receipt, error } = await supabaseService.supabase
                 .from('receipts')
@@ -27,20 +70,35 @@ class SharingService {
 
             if (error) throw error;
 
-            // Create share token (simple UUID for now)
-            const shareToken = `share_${receiptId}_${Date.now()}`;
-            
+            if (options.splitId) {
+                const { data: split, error: splitError } = await supabaseService.supabase
+                    .from('bill_splits')
+                    .select('id')
+                    .eq('id', options.splitId)
+                    .eq('receipt_id', receiptId)
+                    .maybeSingle();
+
+                if (splitError) throw splitError;
+                if (!split) throw new ShareAccessError('Split not found for this receipt', 'INVALID_SPLIT');
+            }
+
+            // 256 random bits, URL-safe
+            const shareToken = crypto.randomBytes(32).toString('base64url');
+
             // Store share record
             const shareRecord = {
                 receipt_id: receiptId,
+                split_id: options.splitId || null,
                 share_method: this.shareTypes.LINK,
                 recipient_info: {
-                    shareToken,
-                    expiresAt: options.expiresAt || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), // 7 days
                     allowEdit: options.allowEdit || false,
-                    requireAuth: options.requireAuth || false
+                    requireAuth: options.requireAuth || false,
+                    ...(options.payeeUPI && { payeeUPI: options.payeeUPI, payeeName: options.payeeName || null })
                 },
-                status: 'active'
+                token_hash: this.hashToken(shareToken),
+                pin_hash: pin ? await this.hashPin(pin) : null,
+                expires_at: expiresAt,
+                status: this.linkStatuses.ACTIVE
             };
 
             const { data: shareData, error: shareError } = await supabaseService.supabase
@@ -51,15 +109,20 @@ class SharingService {
 
             if (shareError) throw shareError;
 
-            const baseUrl = process.env.BASE_URL || 'http://localhost:3002';
+            // The public split page is served by the backend
+            const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3003}`;
             const shareUrl = `${baseUrl}/shared/${shareToken}`;
 
             return {
                 success: true,
                 data: {
+                    shareId: shareData.id,
                     shareUrl,
                     shareToken,
-                    expiresAt: shareRecord.recipient_info.expiresAt,
+                    expiresAt,
+                    hasPin: Boolean(pin),
+                    requireAuth: shareRecord.recipient_info.requireAuth,
+                    allowEdit: shareRecord.recipient_info.allowEdit,
                     receipt: {
                         id: receipt.id,
                         merchant: receipt.merchant_name,
@@ -71,10 +134,7 @@ class SharingService {
 
         } catch (error) {
             console.error('❌ Error generating shareable link:', error);
-            return {
-                success: false,
-                error: error.message
-            };
+            return this.formatError(error);
         }
     }
 
@@ -257,7 +317,9 @@ class SharingService {
         }
     }
 
-    // Share receipt via email
+    // Share receipt via email. Every recipient gets their own message and share
+    // record, which moves from 'pending' to 'sent' or 'failed' once the mail
+    // transport answers. mailtoUrl is still returned for clients that prefer it.
     async shareViaEmail(receiptId, emailAddresses, subject = null, customMessage = null) {
         try {
             console.log('📧 Sharing receipt via email to:', emailAddresses);
@@ -278,13 +340,12 @@ class SharingService {
             // Format email content
             const emailSubject = subject || `Receipt from ${receipt.merchant_name || 'Unknown Merchant'}`;
             const emailBody = customMessage || this.formatEmailMessage(receipt, linkResult.data.shareUrl);
+            const emailHtml = this.formatEmailHtml(receipt, linkResult.data.shareUrl, { customMessage });
 
             const results = [];
 
             for (const email of emailAddresses) {
                 try {
-                    // For now, we'll create a mailto link
-                    // In production, you'd integrate with an email service like SendGrid, AWS SES, etc.
                     const mailtoUrl = this.createMailtoUrl(email, emailSubject, emailBody);
                     
                     // Store share record
@@ -309,11 +370,21 @@ class SharingService {
 
                     if (shareError) throw shareError;
 
+                    const delivery = await this.deliverEmail(shareData, {
+                        to: email,
+                        subject: emailSubject,
+                        text: emailBody,
+                        html: emailHtml
+                    });
+
                     results.push({
                         email,
                         mailtoUrl,
                         shareId: shareData.id,
-                        success: true
+                        status: delivery.status,
+                        messageId: delivery.messageId,
+                        success: delivery.success,
+                        ...(delivery.error && { error: delivery.error })
                     });
 
                 } catch (error) {
@@ -344,30 +415,221 @@ class SharingService {
         }
     }
 
-    // Get shared receipt by token
-    async getSharedReceipt(shareToken) {
+    // Email each participant of a bill split what they still owe with UPI payment
+    // links. options: subject, customMessage, and payeeUPI/payeeName for splits
+    // without a recorded payer. Participants without an email address, and those
+    // who have paid or been waived, are skipped.
+    async shareBillSplitViaEmail(splitId, options = {}) {
         try {
-            console.log('🔍 Getting shared receipt for token:', shareToken);
+            console.log('💰 Sharing bill split via email:', splitId);
 
-            // Get share record
-            const { data: share, error: shareError } = await supabaseService.supabase
-                .from('receipt_shares')
+            // Get split data
+            const { data: split, error } = await supabaseService.supabase
+                .from('bill_splits')
                 .select(`
                     *,
                     receipts(*),
-                    bill_splits(*)
+                    split_participants(*),
+                    split_payments(*)
                 `)
-                .eq('recipient_info->>shareToken', shareToken)
-                .eq('status', 'active')
+                .eq('id', splitId)
                 .single();
 
-            if (shareError) throw shareError;
+            if (error) throw error;
+
+            const receipt = split.receipts;
+            const participants = split.split_participants;
+            const balance = billSplitService.buildSplitBalance(splitId, participants, split.split_payments);
+            const balances = Object.fromEntries(balance.participants.map(entry => [entry.participantId, entry]));
+            // Paid and waived participants have nothing outstanding
+            const isSettled = participant => !(balances[participant.id].outstanding > 0);
+
+            // One link for the whole split; its page shows everyone's balance
+            const linkResult = await this.generateShareableLink(receipt.id, {
+                splitId,
+                payeeUPI: options.payeeUPI,
+                payeeName: options.payeeName
+            });
+            if (!linkResult.success) return linkResult;
+
+            const shareUrl = linkResult.data.shareUrl;
+            const emailSubject = options.subject || `Your share of ${split.split_name || receipt.merchant_name || 'the bill'}`;
+            const message = options.customMessage || this.formatSplitEmailMessage(receipt, split, participants, shareUrl);
+            const transfers = billSplitService.limitTransfersToOutstanding(
+                billSplitService.buildPaymentTransfers(participants),
+                balance.participants
+            );
+
+            const results = [];
+
+            for (const participant of participants) {
+                if (!participant.email || isSettled(participant)) continue;
+
+                // The email shows what is still owed rather than the original share
+                const outstanding = balances[participant.id].outstanding;
+                const recipient = { ...participant, amount_owed: outstanding };
+
+                try {
+                    const payments = this.buildEmailPayments(participant, transfers, options, receipt);
+                    const personalizedMessage = this.personalizeMessage(message, recipient, { plainText: true });
+                    const paymentLines = payments.map(payment =>
+                        `Pay ₹${payment.amount.toFixed(2)} to ${payment.payeeName} via UPI: ${payment.upiLink}`);
+                    const emailBody = [personalizedMessage, ...paymentLines].join('\n');
+
+                    // Store share record
+                    const shareRecord = {
+                        receipt_id: receipt.id,
+                        split_id: splitId,
+                        share_method: this.shareTypes.EMAIL,
+                        recipient_info: {
+                            email: participant.email,
+                            participantName: participant.name,
+                            amount: outstanding,
+                            subject: emailSubject,
+                            upiLinks: payments.map(payment => payment.upiLink)
+                        },
+                        message: emailBody,
+                        status: 'pending'
+                    };
+
+                    const { data: shareData, error: shareError } = await supabaseService.supabase
+                        .from('receipt_shares')
+                        .insert([shareRecord])
+                        .select()
+                        .single();
+
+                    if (shareError) throw shareError;
+
+                    const delivery = await this.deliverEmail(shareData, {
+                        to: participant.email,
+                        subject: emailSubject,
+                        text: emailBody,
+                        html: this.formatEmailHtml(receipt, shareUrl, {
+                            customMessage: options.customMessage,
+                            participant: recipient,
+                            payments
+                        })
+                    });
+
+                    results.push({
+                        participant: participant.name,
+                        email: participant.email,
+                        amount: outstanding,
+                        shareId: shareData.id,
+                        status: delivery.status,
+                        messageId: delivery.messageId,
+                        success: delivery.success,
+                        ...(delivery.error && { error: delivery.error })
+                    });
+
+                } catch (error) {
+                    results.push({
+                        participant: participant.name,
+                        email: participant.email,
+                        success: false,
+                        error: error.message
+                    });
+                }
+            }
+
+            return {
+                success: true,
+                data: {
+                    results,
+                    shareUrl,
+                    skipped: participants.filter(participant => !participant.email).map(participant => participant.name),
+                    settled: participants.filter(participant => participant.email && isSettled(participant)).map(participant => participant.name),
+                    splitSummary: {
+                        merchant: receipt.merchant_name,
+                        total: receipt.total_amount,
+                        participants: participants.length,
+                        method: split.split_method
+                    }
+                }
+            };
 
-            // Check if expired
-            const expiresAt = new Date(share.recipient_info.expiresAt);
-            if (expiresAt < new Date()) {
-                throw new Error('Share link has expired');
+        } catch (error) {
+            console.error('❌ Error sharing bill split via email:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Send a share email and record the outcome on its receipt_shares row
+    async deliverEmail(share, message) {
+        const sendResult = await mailService.sendMail(message);
+        const status = sendResult.success ? 'sent' : 'failed';
+
+        const delivery = sendResult.success
+            ? {
+                transport: sendResult.data.transport,
+                messageId: sendResult.data.messageId,
+                deliveredAt: new Date().toISOString()
             }
+            : {
+                transport: mailService.transportName,
+                error: sendResult.error,
+                code: sendResult.code,
+                failedAt: new Date().toISOString()
+            };
+
+        const updateResult = await this.updateShareStatus(share.id, status, {
+            recipient_info: { ...share.recipient_info, delivery }
+        });
+        if (!updateResult.success) {
+            console.warn(`⚠️  Email ${status} but share ${share.id} was not updated:`, updateResult.error);
+        }
+
+        return {
+            success: sendResult.success,
+            status,
+            messageId: delivery.messageId || null,
+            error: delivery.error || null
+        };
+    }
+
+    // UPI links for what a participant owes, one per person they settle with
+    buildEmailPayments(participant, transfers, options, receipt) {
+        const payments = [];
+        const note = `SplitSnap: ${receipt.merchant_name || 'Bill'}`.slice(0, 50);
+
+        for (const transfer of transfers.filter(candidate => candidate.id === participant.id)) {
+            const payeeUPI = transfer.payeeUPI || options.payeeUPI;
+            const payeeName = transfer.payeeName || options.payeeName || 'Bill payer';
+            if (!payeeUPI || !(transfer.amount > 0)) continue;
+
+            const linkResult = upiService.generateUPILink({
+                recipientUPI: payeeUPI,
+                recipientName: payeeName,
+                amount: transfer.amount,
+                note
+            });
+
+            if (linkResult.success) {
+                payments.push({
+                    payeeName,
+                    payeeUPI,
+                    amount: transfer.amount,
+                    upiLink: linkResult.data.upiLink
+                });
+            }
+        }
+
+        return payments;
+    }
+
+    // Get shared receipt by token. access carries what the visitor presented:
+    // pin, accessToken (a Supabase session token), ipAddress and userAgent.
+    // Every attempt, allowed or not, is written to the link's access log.
+    async getSharedReceipt(shareToken, access = {}) {
+        try {
+            console.log('🔍 Getting shared receipt for link');
+
+            const { share, userId } = await this.authorizeShare(shareToken, access);
+
+            const viewCount = await this.recordShareAccess(share, 'viewed', access, userId);
 
             return {
                 success: true,
@@ -375,22 +637,354 @@ class SharingService {
                     receipt: share.receipts,
                     split: share.bill_splits,
                     shareInfo: {
-                        expiresAt: share.recipient_info.expiresAt,
+                        shareId: share.id,
+                        expiresAt: share.expires_at,
                         allowEdit: share.recipient_info.allowEdit,
-                        requireAuth: share.recipient_info.requireAuth
+                        requireAuth: share.recipient_info.requireAuth,
+                        payeeUPI: share.recipient_info.payeeUPI || null,
+                        payeeName: share.recipient_info.payeeName || null,
+                        claimsLockedAt: share.claims_locked_at,
+                        viewCount
                     }
                 }
             };
 
         } catch (error) {
-            console.error('❌ Error getting shared receipt:', error);
+            console.error('❌ Error getting shared receipt:', error.message);
+            return this.formatError(error);
+        }
+    }
+
+    // Find a share link by token and check the visitor may use it. Refused
+    // attempts are written to the access log. Returns { share, userId }.
+    async authorizeShare(shareToken, access = {}) {
+        const { data: share, error } = await supabaseService.supabase
+            .from('receipt_shares')
+            .select(`
+                *,
+                receipts(*),
+                bill_splits(*)
+            `)
+            .eq('token_hash', this.hashToken(shareToken))
+            .eq('share_method', this.shareTypes.LINK)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!share) throw new ShareAccessError('Share link not found', 'SHARE_NOT_FOUND');
+
+        try {
+            const userId = await this.checkShareAccess(share, access);
+            return { share, userId };
+        } catch (accessError) {
+            if (accessError.outcome) await this.recordShareAccess(share, accessError.outcome, access);
+            throw accessError;
+        }
+    }
+
+    // Throws a ShareAccessError unless the visitor may open the link; returns
+    // the signed-in user's id when the link requires authentication
+    async checkShareAccess(share, access) {
+        if (share.status === this.linkStatuses.REVOKED) {
+            throw new ShareAccessError('Share link has been revoked', 'SHARE_REVOKED', 'revoked');
+        }
+        if (!share.expires_at || new Date(share.expires_at) < new Date()) {
+            throw new ShareAccessError('Share link has expired', 'SHARE_EXPIRED', 'expired');
+        }
+
+        let userId = null;
+        if (share.recipient_info.requireAuth) {
+            const user = await this.getAuthenticatedUser(access.accessToken);
+            if (!user) {
+                throw new ShareAccessError('Sign in to view this shared receipt', 'AUTH_REQUIRED', 'auth_required');
+            }
+            userId = user.id;
+        }
+
+        if (share.pin_hash) {
+            if (await this.isPinLocked(share.id)) {
+                throw new ShareAccessError('Too many wrong PINs, try again later', 'PIN_LOCKED', 'pin_locked');
+            }
+            if (!access.pin) {
+                throw new ShareAccessError('This shared receipt is protected by a PIN', 'PIN_REQUIRED', 'pin_required');
+            }
+            if (!(await this.verifyPin(String(access.pin), share.pin_hash))) {
+                throw new ShareAccessError('Incorrect PIN', 'INVALID_PIN', 'invalid_pin');
+            }
+        }
+
+        return userId;
+    }
+
+    async getAuthenticatedUser(accessToken) {
+        if (!accessToken) return null;
+
+        const { data, error } = await supabaseService.supabase.auth.getUser(accessToken);
+        if (error) return null;
+
+        return data.user;
+    }
+
+    // A link is locked once it has maxPinAttempts wrong PINs within the lockout window
+    async isPinLocked(shareId) {
+        const since = new Date(Date.now() - this.pinLockoutMs).toISOString();
+
+        const { count, error } = await supabaseService.supabase
+            .from('share_access_logs')
+            .select('id', { count: 'exact', head: true })
+            .eq('share_id', shareId)
+            .eq('outcome', 'invalid_pin')
+            .gte('accessed_at', since);
+
+        if (error) throw error;
+        return count >= this.maxPinAttempts;
+    }
+
+    // Log the attempt and return the link's view count. Logging failures are
+    // reported but never block the visitor.
+    async recordShareAccess(share, outcome, access = {}, userId = null) {
+        try {
+            const { data, error } = await supabaseService.supabase
+                .rpc('record_share_access', {
+                    p_share_id: share.id,
+                    p_outcome: outcome,
+                    p_ip_address: access.ipAddress || null,
+                    p_user_agent: access.userAgent ? String(access.userAgent).slice(0, 500) : null,
+                    p_user_id: userId
+                });
+
+            if (error) throw error;
+            return data;
+
+        } catch (error) {
+            console.warn('Failed to record share access:', error.message);
+            return share.view_count;
+        }
+    }
+
+    // List a receipt's share links for its owner. Tokens are never stored, so
+    // links are identified by their share id.
+    async listShareLinks(receiptId, options = {}) {
+        try {
+            const { data, error } = await supabaseService.supabase
+                .from('receipt_shares')
+                .select('id, status, recipient_info, pin_hash, expires_at, revoked_at, view_count, last_viewed_at, created_at')
+                .eq('receipt_id', receiptId)
+                .eq('share_method', this.shareTypes.LINK)
+                .order('created_at', { ascending: false });
+
+            if (error) throw error;
+
+            const links = data
+                .map(share => this.toShareLink(share))
+                .filter(link => options.includeInactive || link.status === this.linkStatuses.ACTIVE);
+
             return {
-                success: false,
-                error: error.message
+                success: true,
+                data: links
             };
+
+        } catch (error) {
+            console.error('❌ Error listing share links:', error);
+            return this.formatError(error);
         }
     }
 
+    // Revoke a share link; it stops working immediately
+    async revokeShareLink(shareId) {
+        try {
+            const share = await this.getShareLink(shareId);
+            if (share.status === this.linkStatuses.REVOKED) {
+                throw new ShareAccessError('Share link is already revoked', 'SHARE_REVOKED');
+            }
+
+            const { data, error } = await supabaseService.supabase
+                .from('receipt_shares')
+                .update({
+                    status: this.linkStatuses.REVOKED,
+                    revoked_at: new Date().toISOString()
+                })
+                .eq('id', shareId)
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            console.log('🚫 Share link revoked:', shareId);
+            return {
+                success: true,
+                data: this.toShareLink(data)
+            };
+
+        } catch (error) {
+            console.error('❌ Error revoking share link:', error.message);
+            return this.formatError(error);
+        }
+    }
+
+    // Move a link's expiry: options.expiresAt sets it, options.days adds to the
+    // current expiry (or to now for a link that has already expired)
+    async extendShareLink(shareId, options = {}) {
+        try {
+            const share = await this.getShareLink(shareId);
+            if (share.status === this.linkStatuses.REVOKED) {
+                throw new ShareAccessError('A revoked share link cannot be extended', 'SHARE_REVOKED');
+            }
+
+            let expiresAt;
+            if (options.expiresAt) {
+                expiresAt = this.resolveExpiry({ expiresAt: options.expiresAt });
+            } else {
+                const days = Number(options.days) || this.defaultLinkDays;
+                const from = Math.max(Date.now(), new Date(share.expires_at).getTime() || 0);
+                expiresAt = this.resolveExpiry({ expiresAt: new Date(from + days * 24 * 60 * 60 * 1000).toISOString() });
+            }
+
+            const { data, error } = await supabaseService.supabase
+                .from('receipt_shares')
+                .update({ expires_at: expiresAt })
+                .eq('id', shareId)
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            console.log('⏳ Share link extended:', shareId, 'until', expiresAt);
+            return {
+                success: true,
+                data: this.toShareLink(data)
+            };
+
+        } catch (error) {
+            console.error('❌ Error extending share link:', error.message);
+            return this.formatError(error);
+        }
+    }
+
+    // Access log of a share link, newest first
+    async getShareAccessLog(shareId, limit = 100) {
+        try {
+            const share = await this.getShareLink(shareId);
+
+            const { data, error } = await supabaseService.supabase
+                .from('share_access_logs')
+                .select('outcome, ip_address, user_agent, user_id, accessed_at')
+                .eq('share_id', shareId)
+                .order('accessed_at', { ascending: false })
+                .limit(limit);
+
+            if (error) throw error;
+
+            return {
+                success: true,
+                data: {
+                    share: this.toShareLink(share),
+                    entries: data
+                }
+            };
+
+        } catch (error) {
+            console.error('❌ Error getting share access log:', error.message);
+            return this.formatError(error);
+        }
+    }
+
+    async getShareLink(shareId) {
+        const { data, error } = await supabaseService.supabase
+            .from('receipt_shares')
+            .select('*')
+            .eq('id', shareId)
+            .eq('share_method', this.shareTypes.LINK)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) throw new ShareAccessError('Share link not found', 'SHARE_NOT_FOUND');
+
+        return data;
+    }
+
+    toShareLink(share) {
+        let status = share.status;
+        if (status !== this.linkStatuses.REVOKED && (!share.expires_at || new Date(share.expires_at) < new Date())) {
+            status = this.linkStatuses.EXPIRED;
+        }
+
+        return {
+            id: share.id,
+            status,
+            createdAt: share.created_at,
+            expiresAt: share.expires_at,
+            revokedAt: share.revoked_at,
+            viewCount: share.view_count || 0,
+            lastViewedAt: share.last_viewed_at,
+            hasPin: Boolean(share.pin_hash),
+            requireAuth: Boolean(share.recipient_info?.requireAuth),
+            allowEdit: Boolean(share.recipient_info?.allowEdit),
+            splitId: share.split_id || null,
+            claimsLockedAt: share.claims_locked_at || null
+        };
+    }
+
+    // Expiry from options.expiresAt or options.expiresInDays, at most maxLinkDays ahead
+    resolveExpiry(options = {}) {
+        const maxExpiry = Date.now() + this.maxLinkDays * 24 * 60 * 60 * 1000;
+
+        let expiresAt;
+        if (options.expiresAt) {
+            expiresAt = new Date(options.expiresAt).getTime();
+        } else {
+            const days = options.expiresInDays !== undefined ? Number(options.expiresInDays) : this.defaultLinkDays;
+            expiresAt = Date.now() + days * 24 * 60 * 60 * 1000;
+        }
+
+        if (!Number.isFinite(expiresAt) || expiresAt <= Date.now()) {
+            throw new ShareAccessError('Expiry must be a date in the future', 'INVALID_EXPIRY');
+        }
+        if (expiresAt > maxExpiry) {
+            throw new ShareAccessError(`Share links can last at most ${this.maxLinkDays} days`, 'INVALID_EXPIRY');
+        }
+
+        return new Date(expiresAt).toISOString();
+    }
+
+    validatePin(pin) {
+        if (pin === undefined || pin === null || pin === '') return null;
+
+        const value = String(pin);
+        if (!/^\d{4,8}$/.test(value)) {
+            throw new ShareAccessError('PIN must be 4 to 8 digits', 'INVALID_PIN_FORMAT');
+        }
+        return value;
+    }
+
+    // Tokens carry 256 random bits, so a fast hash is enough to keep them out of the database
+    hashToken(shareToken) {
+        return crypto.createHash('sha256').update(String(shareToken || '')).digest('hex');
+    }
+
+    // PINs are short, so they get a salted, deliberately slow hash
+    async hashPin(pin) {
+        const salt = crypto.randomBytes(16);
+        const hash = await scrypt(pin, salt, 32);
+        return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+    }
+
+    async verifyPin(pin, pinHash) {
+        const [scheme, saltHex, hashHex] = String(pinHash).split('$');
+        if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+        const expected = Buffer.from(hashHex, 'hex');
+        const actual = await scrypt(pin, Buffer.from(saltHex, 'hex'), expected.length);
+        return crypto.timingSafeEqual(actual, expected);
+    }
+
+    formatError(error) {
+        return {
+            success: false,
+            error: error.message,
+            ...(error.code && { code: error.code })
+        };
+    }
+
     // Create WhatsApp URL
     createWhatsAppUrl(phoneNumber, message) {
         // Clean phone number
@@ -471,10 +1065,66 @@ Best regards,
 Shared via SplitSnap`;
     }
 
-    // Personalize message for individual participant
-    personalizeMessage(message, participant) {
+    // Format plain-text email for bill split
+    formatSplitEmailMessage(receipt, split, participants, shareUrl) {
+        const merchant = receipt.merchant_name || 'Unknown Merchant';
+        const total = receipt.total_amount || 0;
+        const currency = receipt.currency || 'INR';
+
+        const amounts = participants.map(participant =>
+            `- ${participant.name}: ${currency} ${parseFloat(participant.amount_owed || 0).toFixed(2)}`);
+
+        return `Here is the split for ${split.split_name}:
+
+Merchant: ${merchant}
+Total Amount: ${currency} ${total}
+Split among: ${participants.length} people
+
+${amounts.join('\n')}
+
+See who has paid and pay your share here: ${shareUrl}`;
+    }
+
+    // HTML version of a share email: the receipt summary and, for split emails
+    // (options.participant), the participant's share with a UPI button per payment
+    formatEmailHtml(receipt, shareUrl, options = {}) {
+        const escape = value => mailService.escapeHtml(value);
+        const currency = receipt.currency || 'INR';
+        const money = amount => `${currency} ${parseFloat(amount || 0).toFixed(2)}`;
+        const merchant = receipt.merchant_name || 'Unknown Merchant';
+        const { participant, payments = [] } = options;
+
+        const items = (receipt.items || []).map(item => `<tr>
+<td style="padding:4px 0;">${escape(item.name)}${item.quantity > 1 ? ` × ${escape(item.quantity)}` : ''}</td>
+<td style="padding:4px 0;text-align:right;">${money(item.price)}</td>
+</tr>`).join('');
+
+        const share = participant ? `<p style="font-size:18px;margin:24px 0 8px;"><strong>Your share: ₹${parseFloat(participant.amount_owed || 0).toFixed(2)}</strong></p>
+${payments.map(payment => `<p style="margin:8px 0;">
+<a href="${escape(payment.upiLink)}" style="display:inline-block;padding:10px 16px;background:#2563eb;color:#ffffff;border-radius:6px;text-decoration:none;">Pay ₹${payment.amount.toFixed(2)} to ${escape(payment.payeeName)}</a>
+<br><span style="font-size:12px;color:#7b8794;">UPI ID: ${escape(payment.payeeUPI)} (opens in a UPI app on your phone)</span>
+</p>`).join('')}` : '';
+
+        const body = `<p>${participant ? `Hi ${escape(participant.name)},` : 'Hi,'}</p>
+${options.customMessage ? `<p style="white-space:pre-line;">${escape(options.customMessage)}</p>` : '<p>I\'m sharing a receipt with you:</p>'}
+<table style="width:100%;border-collapse:collapse;">
+<tr><td style="padding:4px 0;color:#7b8794;">Merchant</td><td style="padding:4px 0;text-align:right;">${escape(merchant)}</td></tr>
+<tr><td style="padding:4px 0;color:#7b8794;">Date</td><td style="padding:4px 0;text-align:right;">${escape(new Date(receipt.created_at).toLocaleDateString())}</td></tr>
+</table>
+${items ? `<table style="width:100%;border-collapse:collapse;margin-top:16px;border-top:1px solid #e4e7eb;">${items}</table>` : ''}
+<p style="margin-top:8px;text-align:right;"><strong>Total: ${money(receipt.total_amount)}</strong></p>
+${share}
+${shareUrl ? `<p style="margin-top:24px;"><a href="${escape(shareUrl)}">View the full receipt</a></p>` : ''}`;
+
+        return mailService.renderLayout(`Receipt from ${merchant}`, body);
+    }
+
+    // Personalize message for individual participant. plainText leaves out the
+    // WhatsApp bold markers for channels that would show them literally (email).
+    personalizeMessage(message, participant, options = {}) {
         const amount = parseFloat(participant.amount_owed || 0).toFixed(2);
-        const personalizedMessage = `Hi ${participant.name}! 👋\n\n${message}\n\n*Your share: ₹${amount}*`;
+        const share = options.plainText ? `Your share: ₹${amount}` : `*Your share: ₹${amount}*`;
+        const personalizedMessage = `Hi ${participant.name}! 👋\n\n${message}\n\n${share}`;
         return personalizedMessage;
     }
 
@@ -534,7 +1184,8 @@ Shared via SplitSnap`;
 
             return {
                 success: true,
-                data
+                // Link hashes stay server-side; a PIN hash could be brute-forced offline
+                data: data.map(({ token_hash, pin_hash, ...share }) => ({ ...share, hasPin: Boolean(pin_hash) }))
             };
 
         } catch (error) {
@@ -574,4 +1225,5 @@ Shared via SplitSnap`;
     }
 }
 
-module.exports = new SharingService();
\ No newline at end of file
+module.exports = new SharingService();
+module.exports.ShareAccessError = ShareAccessError;
\ No newline at end of file
@@ -0,0 +1,159 @@
+// Split Validation Service - Check split requests before anything is persisted
+
+const splitMath = require('../../client/split-math');
+
+class SplitValidationError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'SplitValidationError';
+        this.code = 'SPLIT_VALIDATION_FAILED';
+        this.details = details;
+    }
+}
+
+class SplitValidationService {
+    constructor() {
+        this.errorCodes = {
+            NO_PARTICIPANTS: 'NO_PARTICIPANTS',
+            MISSING_NAME: 'MISSING_NAME',
+            DUPLICATE_PARTICIPANT: 'DUPLICATE_PARTICIPANT',
+            UNKNOWN_METHOD: 'UNKNOWN_METHOD',
+            UNKNOWN_PARTICIPANT: 'UNKNOWN_PARTICIPANT',
+            INVALID_AMOUNT: 'INVALID_AMOUNT',
+            NEGATIVE_AMOUNT: 'NEGATIVE_AMOUNT',
+            UNDER_ALLOCATED: 'UNDER_ALLOCATED',
+            OVER_ALLOCATED: 'OVER_ALLOCATED',
+            PAYMENT_MISMATCH: 'PAYMENT_MISMATCH'
+        };
+    }
+
+    // Validate a split request against its receipt.
+    // Returns { valid, errors } where each error has a code, field and message.
+    validateSplitData(receipt, splitData, methods) {
+        const errors = [];
+        const participants = splitData.participants || [];
+
+        if (participants.length === 0) {
+            errors.push(this.error('NO_PARTICIPANTS', 'participants', 'At least one participant is required'));
+            return { valid: false, errors };
+        }
+
+        const seen = new Set();
+        participants.forEach((participant, index) => {
+            const name = (participant.name || '').trim();
+            if (!name) {
+                errors.push(this.error('MISSING_NAME', `participants[${index}].name`, `Participant ${index + 1} has no name`));
+                return;
+            }
+            if (seen.has(name.toLowerCase())) {
+                errors.push(this.error('DUPLICATE_PARTICIPANT', `participants[${index}].name`, `${name} is listed more than once`));
+            }
+            seen.add(name.toLowerCase());
+        });
+
+        const method = splitData.method || methods.EQUAL;
+        if (!Object.values(methods).includes(method)) {
+            errors.push(this.error('UNKNOWN_METHOD', 'method', `Unknown split method: ${method}`));
+        }
+
+        const totalInPaise = splitMath.toMinorUnits(receipt.total_amount);
+
+        if (method === methods.CUSTOM) {
+            const amounts = this.checkParticipantValues(participants, splitData.customAmounts, 'customAmounts', errors);
+            const allocated = amounts.reduce((sum, amount) => sum + splitMath.toMinorUnits(amount), 0);
+            this.checkAllocation(allocated, totalInPaise, 'customAmounts', errors,
+                amount => `₹${splitMath.fromMinorUnits(amount).toFixed(2)}`);
+        }
+
+        if (method === methods.PERCENTAGE) {
+            const percentages = this.checkParticipantValues(participants, splitData.percentages, 'percentages', errors);
+            // Compare in ten-thousandths of a percent to avoid float drift
+            const allocated = percentages.reduce((sum, percentage) => sum + Math.round(percentage * 10000), 0);
+            this.checkAllocation(allocated, 100 * 10000, 'percentages', errors,
+                amount => `${amount / 10000}%`);
+        }
+
+        if (method === methods.SHARES) {
+            this.checkParticipantValues(participants, splitData.shares, 'shares', errors);
+        }
+
+        if (method === methods.BY_ITEMS) {
+            Object.entries(splitData.itemAssignments || {}).forEach(([itemKey, assignees]) => {
+                (Array.isArray(assignees) ? assignees : [assignees]).forEach(assignee => {
+                    const key = assignee !== null && typeof assignee === 'object' ? assignee.participant : assignee;
+                    if (!this.findParticipant(participants, key)) {
+                        errors.push(this.error('UNKNOWN_PARTICIPANT', `itemAssignments.${itemKey}`, `${key} is not a participant in this split`));
+                    }
+                });
+            });
+        }
+
+        const paidBy = splitData.paidBy || {};
+        if (Object.keys(paidBy).length > 0) {
+            const contributions = this.checkParticipantValues(participants, paidBy, 'paidBy', errors);
+            const contributed = contributions.reduce((sum, amount) => sum + splitMath.toMinorUnits(amount), 0);
+            if (contributed !== totalInPaise) {
+                errors.push(this.error('PAYMENT_MISMATCH', 'paidBy',
+                    `Payers cover ₹${splitMath.fromMinorUnits(contributed).toFixed(2)} of a ₹${splitMath.fromMinorUnits(totalInPaise).toFixed(2)} bill`,
+                    { expected: splitMath.fromMinorUnits(totalInPaise), actual: splitMath.fromMinorUnits(contributed) }));
+            }
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    // Check a participant-keyed map (by client ID or name) and return its numeric values
+    checkParticipantValues(participants, values = {}, field, errors) {
+        const result = [];
+
+        Object.entries(values || {}).forEach(([key, rawValue]) => {
+            const participant = this.findParticipant(participants, key);
+            if (!participant) {
+                errors.push(this.error('UNKNOWN_PARTICIPANT', `${field}.${key}`, `${key} is not a participant in this split`));
+                return;
+            }
+
+            const value = parseFloat(rawValue);
+            if (!Number.isFinite(value)) {
+                errors.push(this.error('INVALID_AMOUNT', `${field}.${key}`, `${participant.name} has an invalid value`));
+            } else if (value < 0) {
+                errors.push(this.error('NEGATIVE_AMOUNT', `${field}.${key}`, `${participant.name} has a negative value`));
+            } else {
+                result.push(value);
+            }
+        });
+
+        return result;
+    }
+
+    // Find a requested participant by client ID or name
+    findParticipant(participants, key) {
+        return participants.find(p => (p.id !== undefined && String(p.id) === String(key)) || p.name === key) || null;
+    }
+
+    // Report under- or over-allocation against the expected total
+    checkAllocation(allocated, expected, field, errors, format) {
+        if (allocated === expected) return;
+
+        const code = allocated < expected ? 'UNDER_ALLOCATED' : 'OVER_ALLOCATED';
+        errors.push(this.error(code, field,
+            `${format(allocated)} allocated, expected ${format(expected)}`,
+            { difference: format(Math.abs(expected - allocated)) }));
+    }
+
+    // Build a structured validation error entry
+    error(code, field, message, extra = {}) {
+        return {
+            code: this.errorCodes[code],
+            field,
+            message,
+            ...extra
+        };
+    }
+}
+
+module.exports = new SplitValidationService();
+module.exports.SplitValidationError = SplitValidationError;
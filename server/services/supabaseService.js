@@ -79,6 +79,7 @@ class SupabaseService {
                     'OCR.space API': 'ai',
                     'Tesseract.js': 'ai',
                     'Manual Entry': 'manual',
+                    'Recurring Split': 'recurring',
                     'unknown': 'ai'
                 };
                 return methodMap[method] || 'ai';
@@ -97,8 +98,20 @@ class SupabaseService {
                 raw_ocr_text: receiptData.ocrData.rawText || '',
                 ocr_method: mapOcrMethod(receiptData.ocrData.ocrMethod),
                 confidence_score: parseFloat(receiptData.ocrData.confidence || 0),
+                category_id: receiptData.ocrData.categoryId || null,
+                transaction_at: receiptData.ocrData.transactionDate || null,
+                invoice_number: receiptData.ocrData.invoiceNumber || null,
+                kot_number: receiptData.ocrData.kotNumber || null,
+                table_number: receiptData.ocrData.tableNumber || null,
+                merchant_gstin: receiptData.ocrData.merchantInfo?.gstNumber || null,
+                gst_details: receiptData.ocrData.gst || null,
+                image_sha256: receiptData.imageHashes?.sha256 || null,
+                image_phash: receiptData.imageHashes?.perceptual || null,
+                duplicate_of: receiptData.duplicateOf || null,
                 metadata: {
                     ...receiptData.metadata,
+                    ...(receiptData.ocrData.receiptDate && { receiptDate: receiptData.ocrData.receiptDate }),
+                    ...(receiptData.ocrData.receiptTime && { receiptTime: receiptData.ocrData.receiptTime }),
                     receiptType: receiptData.ocrData.receiptType,
                     currency: receiptData.ocrData.currency || 'INR',
                     categoryId: receiptData.ocrData.categoryId,
@@ -186,6 +199,30 @@ class SupabaseService {
         }
     }
 
+    async updateReceipt(id, updates) {
+        if (!this.supabase) {
+            throw new Error('Supabase client not available');
+        }
+
+        try {
+            const { data, error } = await this.supabase
+                .from('receipts')
+                .update(updates)
+                .eq('id', id)
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            console.log('Receipt updated:', id);
+            return data;
+
+        } catch (error) {
+            console.error('Failed to update receipt:', error);
+            throw error;
+        }
+    }
+
     async deleteReceipt(id) {
         if (!this.supabase) {
             throw new Error('Supabase client not available');
@@ -0,0 +1,139 @@
+// Tesseract Pool Service - Long-lived Tesseract.js workers shared across requests
+
+const os = require('os');
+const Tesseract = require('tesseract.js');
+
+class TesseractPoolService {
+    constructor() {
+        this.size = parseInt(process.env.TESSERACT_POOL_SIZE) || Math.max(1, Math.min(2, os.cpus().length));
+
+        // Receipt-oriented recognition parameters, applied once per worker
+        this.parameters = {
+            tessedit_pageseg_mode: Tesseract.PSM.SINGLE_BLOCK,
+            preserve_interword_spaces: '1',
+            tessedit_char_whitelist: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz₹.,()-+/:@#% '
+        };
+
+        this.entries = [];
+        this.idle = [];
+        this.waiting = [];
+        this.creating = 0;
+    }
+
+    // Recognize an image on the next free worker. onProgress receives 0-1 while
+    // the text is recognized; a signal aborted while waiting for a worker skips the job.
+    async recognize(imageBuffer, options = {}) {
+        const entry = await this.acquire(options.signal);
+
+        try {
+            entry.onProgress = options.onProgress || null;
+            const { data } = await entry.worker.recognize(imageBuffer);
+            return data;
+
+        } catch (error) {
+            // A worker that errored may be in a bad state; replace it
+            await this.discard(entry);
+            throw error;
+
+        } finally {
+            entry.onProgress = null;
+            this.release(entry);
+        }
+    }
+
+    async acquire(signal) {
+        if (signal && signal.aborted) throw new Error('Recognition skipped');
+
+        if (this.idle.length > 0) {
+            return this.idle.pop();
+        }
+
+        if (this.entries.length + this.creating < this.size) {
+            return this.createEntry();
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            this.waiting.push(waiter);
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    this.waiting = this.waiting.filter(other => other !== waiter);
+                    reject(new Error('Recognition skipped'));
+                }, { once: true });
+            }
+        });
+    }
+
+    release(entry) {
+        if (!this.entries.includes(entry)) {
+            // The entry was discarded; let a waiting job create a replacement
+            const waiter = this.waiting.shift();
+            if (waiter) this.createEntry().then(waiter.resolve, waiter.reject);
+            return;
+        }
+
+        const waiter = this.waiting.shift();
+        if (waiter) {
+            waiter.resolve(entry);
+        } else {
+            this.idle.push(entry);
+        }
+    }
+
+    async createEntry() {
+        this.creating++;
+
+        try {
+            const entry = { worker: null, onProgress: null };
+            console.log(`🔧 Starting Tesseract worker ${this.entries.length + this.creating}/${this.size}`);
+
+            entry.worker = await Tesseract.createWorker('eng', Tesseract.OEM.LSTM_ONLY, {
+                logger: m => {
+                    if (m.status === 'recognizing text' && entry.onProgress) {
+                        entry.onProgress(m.progress);
+                    }
+                }
+            });
+            await entry.worker.setParameters(this.parameters);
+
+            this.entries.push(entry);
+            return entry;
+
+        } finally {
+            this.creating--;
+        }
+    }
+
+    async discard(entry) {
+        this.entries = this.entries.filter(other => other !== entry);
+        this.idle = this.idle.filter(other => other !== entry);
+
+        try {
+            await entry.worker.terminate();
+        } catch (error) {
+            console.warn('Failed to terminate Tesseract worker:', error.message);
+        }
+    }
+
+    getStatus() {
+        return {
+            size: this.size,
+            workers: this.entries.length,
+            idle: this.idle.length,
+            waiting: this.waiting.length
+        };
+    }
+
+    async terminate() {
+        const entries = this.entries;
+        this.entries = [];
+        this.idle = [];
+        this.waiting.forEach(waiter => waiter.reject(new Error('Tesseract pool terminated')));
+        this.waiting = [];
+
+        await Promise.all(entries.map(entry => entry.worker.terminate().catch(() => {})));
+    }
+}
+
+module.exports = new TesseractPoolService();
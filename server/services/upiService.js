@@ -189,9 +189,10 @@ class UPIService {
 
             for (const participant of participants) {
                 if (participant.amount > 0) {
+                    // Participants may owe different people when several paid the bill
                     const paymentData = {
-                        recipientUPI: payerUPI,
-                        recipientName: 'Bill Payer',
+                        recipientUPI: participant.payeeUPI || payerUPI,
+                        recipientName: participant.payeeName || 'Bill Payer',
                         amount: participant.amount,
                         note: `${merchantName} - ${participant.name}'s share`,
                         transactionRef: `SS${Date.now()}${Math.random().toString(36).substr(2, 4)}`
@@ -203,6 +204,7 @@ class UPIService {
                         payments.push({
                             participantName: participant.name,
                             participantId: participant.id,
+                            payeeName: paymentData.recipientName,
                             ...paymentPackage.data,
                             whatsappURL: this.generateWhatsAppURL(paymentPackage.data)
                         });